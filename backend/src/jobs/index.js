@@ -0,0 +1,53 @@
+const Task = require('../models/Task');
+const { sendDueReminders } = require('./reminders');
+
+/**
+ * Run a job now and then every intervalMs. A run is skipped while the
+ * previous one is still busy, and errors are logged instead of thrown.
+ * @param {string} name - Job name used in log messages
+ * @param {Function} job - Async function to run
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {Function} Function that stops the job
+ */
+function scheduleJob(name, job, intervalMs) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${name} job error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Background jobs must not keep the process alive on shutdown
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Start all background jobs of the server
+ * @returns {Function[]} Functions that stop the jobs
+ */
+function startJobs() {
+  return [
+    scheduleJob('Due date reminders', sendDueReminders, parseInt(process.env.REMINDER_INTERVAL_MS || 60000)),
+    scheduleJob('Priority score recomputation', () => Task.recalculatePriorityScores(), parseInt(process.env.SCORE_RECOMPUTE_INTERVAL_MS || 3600000)),
+    scheduleJob('Trash purge', () => Task.purgeDeleted(), parseInt(process.env.TRASH_PURGE_INTERVAL_MS || 3600000))
+  ];
+}
+
+module.exports = {
+  scheduleJob,
+  startJobs
+};
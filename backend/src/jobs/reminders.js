@@ -0,0 +1,88 @@
+const moment = require('moment');
+const { database } = require('../utils/database');
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+
+/**
+ * Minutes before the due date at which reminders are sent to users who
+ * did not choose their own (REMINDER_LEAD_MINUTES, comma separated,
+ * default one day and one hour)
+ * @returns {number[]} Lead times in ascending order
+ */
+function leadTimes() {
+  return (process.env.REMINDER_LEAD_MINUTES || '1440,60')
+    .split(',')
+    .map(value => parseInt(value.trim()))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Create reminders for open tasks that are due soon or overdue. Each task
+ * owner and assignee gets one notification per lead time (their own from
+ * the reminders setting, else the defaults) and one once the task is
+ * overdue. Reminders are keyed by type, lead time and due date, so
+ * repeated runs (and restarts) never duplicate them, while moving the due
+ * date starts a fresh set.
+ * @param {moment} [now] - Reference time, defaults to the current time
+ * @returns {Promise<number>} Number of notifications created
+ */
+async function sendDueReminders(now = moment.utc()) {
+  const defaults = leadTimes();
+  const chosen = new Map([...(await Setting.getAll('reminders'))]
+    .map(([user_id, value]) => [user_id, value.lead_minutes]));
+  const horizon = Math.max(0, ...defaults, ...[...chosen.values()].flat());
+
+  // One row per recipient; those already told the task is overdue are done
+  const rows = await database.all(`
+    SELECT tasks.id, tasks.title, tasks.due_date, recipients.id AS recipient_id FROM tasks
+    JOIN users AS recipients ON recipients.id IN (tasks.user_id, tasks.assignee_id)
+    WHERE tasks.status_category IN ('todo', 'in_progress')
+      AND tasks.deleted_at IS NULL
+      AND tasks.due_date IS NOT NULL
+      AND datetime(tasks.due_date) <= datetime(?, ?)
+      AND NOT EXISTS (
+        SELECT 1 FROM notifications
+        WHERE notifications.user_id = recipients.id AND notifications.task_id = tasks.id
+          AND notifications.dedupe_key = 'overdue:' || tasks.due_date
+      )
+  `, [now.toISOString(), `+${horizon} minutes`]);
+
+  let created = 0;
+  for (const row of rows) {
+    const dueDate = moment.utc(row.due_date);
+    const minutesUntilDue = dueDate.diff(now, 'minutes', true);
+
+    let notification;
+    if (minutesUntilDue <= 0) {
+      notification = {
+        type: 'overdue',
+        message: `"${row.title}" is overdue`,
+        dedupe_key: `overdue:${row.due_date}`
+      };
+    } else {
+      // Only the closest lead time applies, so a task created shortly
+      // before its due date does not receive every earlier reminder
+      const lead = (chosen.get(row.recipient_id) || defaults).find(minutes => minutes >= minutesUntilDue);
+      if (lead === undefined) {
+        continue;
+      }
+      notification = {
+        type: 'due_soon',
+        message: `"${row.title}" is due ${dueDate.from(now)}`,
+        dedupe_key: `due_soon:${lead}:${row.due_date}`
+      };
+    }
+
+    if (await Notification.create({ ...notification, user_id: row.recipient_id, task_id: row.id })) {
+      created++;
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  leadTimes,
+  sendDueReminders
+};
@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+
+/**
+ * Check that a decoded access token has not been revoked, either
+ * individually (logout) or by a token_version bump (password change)
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {User} user - Token owner
+ * @returns {Promise<boolean>} Whether the token is still valid
+ */
+const isTokenActive = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.token_version || 0)) {
+    return false;
+  }
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+    return false;
+  }
+  return true;
+};
 
 /**
  * Authentication middleware
@@ -29,8 +47,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!user.is_active) {
+      return res.status(403).json({
+        error: 'Account disabled',
+        message: 'This account has been disabled'
+      });
+    }
+
+    // Reject logged out or invalidated sessions
+    if (!(await isTokenActive(decoded, user))) {
+      return res.status(401).json({
+        error: 'Token revoked',
+        message: 'This session has been revoked, please log in again'
+      });
+    }
+
     // Add user to request object
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -65,8 +99,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
       const user = await User.findById(decoded.userId);
-      if (user) {
+      if (user && user.is_active && await isTokenActive(decoded, user)) {
         req.user = user;
+        req.token = decoded;
       }
     }
     next();
@@ -89,8 +124,7 @@ const authorizeRoles = (allowedRoles = []) => {
       });
     }
 
-    // For now, we'll use a simple role system
-    // In a real application, you might have a roles table
+    // Roles are persisted on the users table (user, manager, admin)
     const userRole = req.user.role || 'user';
     
     if (allowedRoles.length > 0 && !allowedRoles.includes(userRole)) {
@@ -130,6 +164,26 @@ const requireOwnership = (resourceType) => {
         case 'user':
           resource = await User.findById(resourceId);
           break;
+        case 'project':
+          const Project = require('../models/Project');
+          resource = await Project.findById(resourceId);
+          break;
+        case 'tag':
+          const Tag = require('../models/Tag');
+          resource = await Tag.findById(resourceId);
+          break;
+        case 'notification':
+          const Notification = require('../models/Notification');
+          resource = await Notification.findById(resourceId);
+          break;
+        case 'workflow':
+          const Workflow = require('../models/Workflow');
+          resource = await Workflow.findById(resourceId);
+          break;
+        case 'view':
+          const View = require('../models/View');
+          resource = await View.findById(resourceId);
+          break;
         default:
           return res.status(400).json({
             error: 'Invalid resource type',
@@ -164,9 +218,100 @@ const requireOwnership = (resourceType) => {
   };
 };
 
+/**
+ * Middleware to check access to a task. Unlike requireOwnership('task')
+ * this also admits assignees and members of the task's workspace
+ * according to their role. Tasks in the trash are not found unless
+ * include_deleted is set.
+ * @param {string} permission - view, edit or delete
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.include_deleted] - Also load tasks in the trash
+ */
+const requireTaskPermission = (permission, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Please log in to access this resource'
+        });
+      }
+
+      const Task = require('../models/Task');
+      const task = await Task.findById(req.params.id, { include_deleted: options.include_deleted });
+      if (!task) {
+        return res.status(404).json({
+          error: 'Resource not found',
+          message: 'task not found'
+        });
+      }
+
+      if (!(await Task.hasPermission(task, req.user.id, permission))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `You do not have ${permission} permission for this task`
+        });
+      }
+
+      req.resource = task;
+      next();
+    } catch (error) {
+      console.error('Task permission middleware error:', error);
+      return res.status(500).json({
+        error: 'Authorization error',
+        message: 'An error occurred during authorization'
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to check membership of the workspace in req.params.id
+ * @param {...string} roles - Member roles allowed to access the route
+ */
+const requireWorkspaceRole = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Please log in to access this resource'
+        });
+      }
+
+      const Workspace = require('../models/Workspace');
+      const workspace = await Workspace.findById(req.params.id, req.user.id);
+      if (!workspace || !workspace.role) {
+        return res.status(404).json({
+          error: 'Resource not found',
+          message: 'workspace not found'
+        });
+      }
+
+      if (!roles.includes(workspace.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `This action requires one of the following workspace roles: ${roles.join(', ')}`
+        });
+      }
+
+      req.resource = workspace;
+      next();
+    } catch (error) {
+      console.error('Workspace role middleware error:', error);
+      return res.status(500).json({
+        error: 'Authorization error',
+        message: 'An error occurred during authorization'
+      });
+    }
+  };
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
   authorizeRoles,
-  requireOwnership
+  requireOwnership,
+  requireTaskPermission,
+  requireWorkspaceRole
 };
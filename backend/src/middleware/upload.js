@@ -0,0 +1,120 @@
+const multer = require('multer');
+const { createError, sendError } = require('../utils/errors');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip'
+];
+
+/**
+ * Check that contents start with the given bytes
+ * @param {Buffer} buffer - File contents
+ * @param {string} signature - Expected bytes (latin1)
+ * @param {number} [offset] - Position of the bytes
+ * @returns {boolean} Whether the bytes match
+ */
+const hasSignature = (buffer, signature, offset = 0) =>
+  buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature, 'latin1'));
+
+/**
+ * Check that contents are UTF-8 text without NUL bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} Whether the contents are text
+ */
+const isText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Content checks per MIME type, since the type sent by the client is not
+// trusted. Allowed types without a check here are taken as declared.
+const CONTENT_CHECKS = {
+  'image/png': buffer => hasSignature(buffer, '\x89PNG\r\n\x1a\n'),
+  'image/jpeg': buffer => hasSignature(buffer, '\xff\xd8\xff'),
+  'image/gif': buffer => hasSignature(buffer, 'GIF87a') || hasSignature(buffer, 'GIF89a'),
+  'image/webp': buffer => hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'WEBP', 8),
+  'application/pdf': buffer => hasSignature(buffer, '%PDF-'),
+  'application/zip': buffer => hasSignature(buffer, 'PK\x03\x04') || hasSignature(buffer, 'PK\x05\x06'),
+  'text/plain': isText,
+  'text/markdown': isText,
+  'text/csv': isText,
+  'application/json': isText
+};
+
+/**
+ * Maximum attachment size in bytes (ATTACHMENT_MAX_SIZE_MB, default 10)
+ * @returns {number} Size limit
+ */
+const maxAttachmentSize = () => parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB || 10) * 1024 * 1024;
+
+/**
+ * MIME types accepted for attachments (ATTACHMENT_ALLOWED_TYPES, comma separated)
+ * @returns {string[]} Allowed MIME types
+ */
+const allowedAttachmentTypes = () => process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+/**
+ * Middleware to accept a single multipart file in the "file" field.
+ * Files are kept in memory and handed to the storage backend by the route.
+ */
+const uploadAttachment = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxAttachmentSize(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedAttachmentTypes().includes(file.mimetype)) {
+        return cb(createError(415, 'Unsupported file type', `Files of type ${file.mimetype} cannot be attached`));
+      }
+      cb(null, true);
+    }
+  }).single('file');
+
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, createError(413, 'File too large', `Attachments must not exceed ${process.env.ATTACHMENT_MAX_SIZE_MB || 10} MB`));
+      }
+      return sendError(res, createError(400, 'Invalid upload', err.message));
+    }
+    if (err && err.status) {
+      return sendError(res, err);
+    }
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        message: 'A file must be sent in the "file" field'
+      });
+    }
+
+    const matchesContent = CONTENT_CHECKS[req.file.mimetype];
+    if (matchesContent && !matchesContent(req.file.buffer)) {
+      return sendError(res, createError(415, 'Unsupported file type', `The contents of the file are not of type ${req.file.mimetype}`));
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadAttachment
+};
@@ -1,4 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { parseRule } = require('../utils/recurrence');
+const { STRATEGIES } = require('../utils/scoring');
+const { STATUS_KEY } = require('../utils/workflow');
+const { resolveDate } = require('../utils/dateTokens');
+const { TASK_FILTERS, TASK_SORT_FIELDS } = require('../utils/taskFilters');
+const { TaskQueryError, parseTaskQuery, fieldTerms } = require('../utils/taskQuery');
+const Workflow = require('../models/Workflow');
+const Task = require('../models/Task');
 
 /**
  * Handle validation errors
@@ -9,16 +17,45 @@ const handleValidationErrors = (req, res, next) => {
     return res.status(400).json({
       error: 'Validation failed',
       message: 'Please check your input data',
-      details: errors.array().map(error => ({
-        field: error.path,
-        message: error.msg,
-        value: error.value
-      }))
+      details: errors.array().map((error) => {
+        // Query language errors carry the offending token and its position
+        const { message, ...location } = typeof error.msg === 'object' ? error.msg : { message: error.msg };
+        return { field: error.path, message, value: error.value, ...location };
+      })
     });
   }
   next();
 };
 
+/**
+ * Ensure a status exists in a workflow
+ * @param {string} value - Status key
+ * @param {Workflow} workflow - Workflow the status must belong to
+ * @returns {boolean} True when valid
+ */
+const checkWorkflowStatus = (value, workflow) => {
+  if (!workflow.getStatus(value)) {
+    throw new Error(`Status must be one of: ${workflow.statuses.map(status => status.key).join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Ensure a status exists in the workflow of the task in req.params.id (or
+ * of the project it moves to); missing tasks are left to the route
+ * @param {string} value - Status key
+ * @param {Object} meta - express-validator meta with req
+ * @returns {Promise<boolean>} True when valid
+ */
+const checkTaskStatus = async (value, { req }) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return true;
+  }
+  const project_id = req.body.project_id !== undefined ? req.body.project_id : task.project_id;
+  return checkWorkflowStatus(value, await Workflow.forTask({ user_id: task.user_id, project_id }));
+};
+
 /**
  * User registration validation
  */
@@ -60,6 +97,35 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Refresh token validation
+ */
+const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Logout validation
+ */
+const validateLogout = [
+  body('refresh_token')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+  
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('all must be a boolean value'),
+  
+  handleValidationErrors
+];
+
 /**
  * Task creation validation
  */
@@ -75,10 +141,13 @@ const validateTaskCreation = [
     .isLength({ max: 1000 })
     .withMessage('Description must be less than 1000 characters'),
   
+  // Statuses come from the workflow of the project the task goes into
   body('status')
     .optional()
-    .isIn(['TODO', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-    .withMessage('Status must be one of: TODO, IN_PROGRESS, COMPLETED, CANCELLED'),
+    .custom(async (value, { req }) => checkWorkflowStatus(
+      value,
+      await Workflow.forTask({ user_id: req.user.id, project_id: req.body.project_id })
+    )),
   
   body('priority')
     .optional()
@@ -95,6 +164,54 @@ const validateTaskCreation = [
     .isISO8601()
     .withMessage('Due date must be a valid ISO 8601 date'),
   
+  body('parent_id')
+    .optional({ nullable: true })
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Parent ID must be a valid task ID'),
+  
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  body('workspace_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Workspace ID must be a valid UUID'),
+  
+  body('assignee_id')
+    .optional({ nullable: true })
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Assignee ID must be a valid user ID'),
+  
+  body('recurrence_rule')
+    .optional({ nullable: true })
+    .custom((value) => {
+      parseRule(value);
+      return true;
+    }),
+  
+  body('estimate_hours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Estimate must be a number of hours between 0 and 10000'),
+  
+  body('progress')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Progress must be an integer between 0 and 100'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tag names'),
+  
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag names must be between 1 and 30 characters'),
+  
   handleValidationErrors
 ];
 
@@ -114,10 +231,10 @@ const validateTaskUpdate = [
     .isLength({ max: 1000 })
     .withMessage('Description must be less than 1000 characters'),
   
+  // Statuses come from the workflow of the task, or of the project it moves to
   body('status')
     .optional()
-    .isIn(['TODO', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-    .withMessage('Status must be one of: TODO, IN_PROGRESS, COMPLETED, CANCELLED'),
+    .custom(checkTaskStatus),
   
   body('priority')
     .optional()
@@ -134,6 +251,54 @@ const validateTaskUpdate = [
     .isISO8601()
     .withMessage('Due date must be a valid ISO 8601 date'),
   
+  body('parent_id')
+    .optional({ nullable: true })
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Parent ID must be a valid task ID'),
+  
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  body('workspace_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Workspace ID must be a valid UUID'),
+  
+  body('assignee_id')
+    .optional({ nullable: true })
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Assignee ID must be a valid user ID'),
+  
+  body('recurrence_rule')
+    .optional({ nullable: true })
+    .custom((value) => {
+      parseRule(value);
+      return true;
+    }),
+  
+  body('estimate_hours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Estimate must be a number of hours between 0 and 10000'),
+  
+  body('progress')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Progress must be an integer between 0 and 100'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tag names'),
+  
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag names must be between 1 and 30 characters'),
+  
   handleValidationErrors
 ];
 
@@ -148,13 +313,575 @@ const validateTaskId = [
   handleValidationErrors
 ];
 
+/**
+ * Project creation validation
+ */
+const validateProjectCreation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Project name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Color must be a hex color like #FF8800'),
+  
+  body('is_archived')
+    .optional()
+    .isBoolean()
+    .withMessage('is_archived must be a boolean value'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Project update validation
+ */
+const validateProjectUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Project name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Color must be a hex color like #FF8800'),
+  
+  body('is_archived')
+    .optional()
+    .isBoolean()
+    .withMessage('is_archived must be a boolean value'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Project ID validation
+ */
+const validateProjectId = [
+  param('id')
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workspace creation and rename validation
+ */
+const validateWorkspace = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workspace name must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workspace ID validation
+ */
+const validateWorkspaceId = [
+  param('id')
+    .isUUID()
+    .withMessage('Workspace ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workspace member validation (new members are identified by ID or username)
+ */
+const validateWorkspaceMember = [
+  body('user_id')
+    .if(body('username').not().exists())
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Either user_id or username is required'),
+  
+  body('username')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters'),
+  
+  body('role')
+    .optional()
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be one of: viewer, editor, admin'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workspace member role update validation
+ */
+const validateMemberRoleUpdate = [
+  param('userId')
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('User ID must be valid'),
+  
+  body('role')
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be one of: viewer, editor, admin'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workspace member ID validation
+ */
+const validateMemberId = [
+  param('userId')
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('User ID must be valid'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Notification ID validation
+ */
+const validateNotificationId = [
+  param('id')
+    .isUUID()
+    .withMessage('Notification ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag creation validation
+ */
+const validateTagCreation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Color must be a hex color like #FF8800'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag update validation
+ */
+const validateTagUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag name must be between 1 and 30 characters'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('Color must be a hex color like #FF8800'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag ID validation
+ */
+const validateTagId = [
+  param('id')
+    .isUUID()
+    .withMessage('Tag ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workflow creation validation (the status definitions are checked by the model)
+ */
+const validateWorkflowCreation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workflow name must be between 1 and 100 characters'),
+  
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  body('statuses')
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Statuses must be a list of 1 to 30 statuses'),
+  
+  body('transitions')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Transitions must map a status to the statuses it may move to'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workflow update validation (the project of a workflow cannot change)
+ */
+const validateWorkflowUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workflow name must be between 1 and 100 characters'),
+  
+  body('statuses')
+    .optional()
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Statuses must be a list of 1 to 30 statuses'),
+  
+  body('transitions')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Transitions must map a status to the statuses it may move to'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Workflow ID validation
+ */
+const validateWorkflowId = [
+  param('id')
+    .isUUID()
+    .withMessage('Workflow ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Effective workflow query validation
+ */
+const validateEffectiveWorkflow = [
+  query('project_id')
+    .optional()
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Board move validation
+ */
+const validateTaskMove = [
+  body('status')
+    .optional()
+    .custom(checkTaskStatus),
+  
+  body('before_id')
+    .optional()
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('before_id must be a valid task ID'),
+  
+  body('after_id')
+    .optional()
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('after_id must be a valid task ID'),
+  
+  body()
+    .custom(value => !(value.before_id && value.after_id))
+    .withMessage('Provide before_id or after_id, not both'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Board query validation
+ */
+const validateBoardQuery = [
+  query('project_id')
+    .optional()
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Task dependency validation
+ */
+const validateDependency = [
+  body('blocker_id')
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Blocker ID must be a valid task ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Blocker ID parameter validation
+ */
+const validateBlockerId = [
+  param('blockerId')
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Blocker ID must be a valid task ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Comment body validation (Markdown is stored as written)
+ */
+const validateComment = [
+  body('body')
+    .isString()
+    .withMessage('Comment body is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment body must be between 1 and 5000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Comment ID parameter validation
+ */
+const validateCommentId = [
+  param('commentId')
+    .isUUID()
+    .withMessage('Comment ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Occurrence preview validation
+ */
+const validateOccurrencePreview = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Attachment ID parameter validation
+ */
+const validateAttachmentId = [
+  param('attachmentId')
+    .isUUID()
+    .withMessage('Attachment ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Checklist item creation validation
+ */
+const validateChecklistItem = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Checklist item update validation (rename, toggle and/or move)
+ */
+const validateChecklistItemUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('is_checked')
+    .optional()
+    .isBoolean()
+    .withMessage('is_checked must be a boolean value'),
+  
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Checklist item ID parameter validation
+ */
+const validateChecklistItemId = [
+  param('itemId')
+    .isUUID()
+    .withMessage('Checklist item ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Timer start validation
+ */
+const validateTimerStart = [
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Manual time entry validation (an end time or a duration is required)
+ */
+const validateTimeEntry = [
+  body('started_at')
+    .isISO8601()
+    .withMessage('started_at must be a valid ISO 8601 date'),
+  
+  body('ended_at')
+    .optional()
+    .isISO8601()
+    .withMessage('ended_at must be a valid ISO 8601 date'),
+  
+  body('duration_minutes')
+    .if(body('ended_at').not().exists())
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Either ended_at or duration_minutes (1-1440) is required'),
+  
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Time entry ID parameter validation
+ */
+const validateTimeEntryId = [
+  param('entryId')
+    .isUUID()
+    .withMessage('Time entry ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Time report validation (dates are inclusive days)
+ */
+const validateTimeReport = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from must be a valid ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('to must be a valid ISO 8601 date')
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('to must not be before from'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Activity and history filter validation
+ */
+const validateActivityFilters = [
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => ['created', 'updated', 'deleted', 'restored'].includes(type)))
+    .withMessage('Type must be a comma-separated list of: created, updated, deleted, restored'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Scoring settings validation (weights are checked against the strategy defaults by the model)
+ */
+const validateScoringSettings = [
+  body('strategy')
+    .optional()
+    .isIn(Object.keys(STRATEGIES))
+    .withMessage(`Strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}`),
+  
+  body('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be an object keyed by strategy'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Reminder settings validation
+ */
+const validateReminderSettings = [
+  body('lead_minutes')
+    .isArray({ max: 5 })
+    .withMessage('Lead minutes must be an array of at most 5 values'),
+  
+  body('lead_minutes.*')
+    .isInt({ min: 1, max: 43200 })
+    .withMessage('Lead times must be whole minutes between 1 and 43200 (30 days)')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
 /**
  * User ID validation
  */
 const validateUserId = [
   param('id')
-    .isUUID()
-    .withMessage('User ID must be a valid UUID'),
+    .matches(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$|^[a-zA-Z0-9-]+$/)
+    .withMessage('User ID must be a valid UUID or alphanumeric string'),
+  
+  handleValidationErrors
+];
+
+/**
+ * User role update validation
+ */
+const validateRoleUpdate = [
+  body('role')
+    .isIn(['user', 'manager', 'admin'])
+    .withMessage('Role must be one of: user, manager, admin'),
   
   handleValidationErrors
 ];
@@ -177,33 +904,110 @@ const validatePagination = [
 ];
 
 /**
- * Task filtering validation
+ * Rules for the task filters shared by the task list and bulk operations
+ * @param {Function} field - Builds the validation chain for a filter name
+ * @returns {Array} Validation chains
  */
-const validateTaskFilters = [
-  query('status')
+const taskFilterRules = (field) => [
+  // Lists mix tasks of several workflows: any status the user can come across is accepted
+  field('status')
     .optional()
-    .isIn(['TODO', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-    .withMessage('Status must be one of: TODO, IN_PROGRESS, COMPLETED, CANCELLED'),
+    .custom(async (value, { req }) => {
+      if (!(await Workflow.knownStatuses(req.user.id)).includes(value)) {
+        throw new Error('Status does not exist in any of your workflows');
+      }
+      return true;
+    }),
   
-  query('priority')
+  field('priority')
     .optional()
     .isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT'])
     .withMessage('Priority must be one of: LOW, MEDIUM, HIGH, URGENT'),
   
-  query('is_urgent')
+  field('is_urgent')
     .optional()
     .isBoolean()
     .withMessage('is_urgent must be a boolean value'),
   
-  query('search')
+  field('parent_id')
+    .optional()
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Parent ID must be a valid task ID'),
+  
+  field('project_id')
+    .optional()
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  field('workspace_id')
+    .optional()
+    .isUUID()
+    .withMessage('Workspace ID must be a valid UUID'),
+  
+  field('assigned_to')
+    .optional()
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Assigned to must be "me" or a valid user ID'),
+  
+  field('tags')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Tags must be a comma separated list of tag names'),
+  
+  field('tag_mode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag mode must be any or all'),
+  
+  field('search')
     .optional()
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Search term must be between 1 and 100 characters'),
   
+  field('due_after')
+    .optional()
+    .custom(value => resolveDate(value) !== null)
+    .withMessage('due_after must be an ISO 8601 date or a date token such as now, today or today+3d'),
+  
+  field('due_before')
+    .optional()
+    .custom(value => resolveDate(value) !== null)
+    .withMessage('due_before must be an ISO 8601 date or a date token such as now, today or today+3d'),
+  
+  // Errors are thrown as { message, token, position } objects, which become the error message
+  field('q')
+    .optional()
+    .isString()
+    .withMessage('Query must be a string')
+    .bail()
+    .custom(async (value, { req }) => {
+      try {
+        const tree = parseTaskQuery(value);
+        const known = await Workflow.knownStatuses(req.user.id);
+        for (const term of fieldTerms(tree, 'status')) {
+          const unknown = term.values.find(status => !known.includes(status));
+          if (unknown) {
+            throw new TaskQueryError(`Status "${unknown}" does not exist in any of your workflows`, term.token);
+          }
+        }
+        return true;
+      } catch (error) {
+        throw error instanceof TaskQueryError ? error.toDetail() : error;
+      }
+    })
+];
+
+/**
+ * Task filtering validation
+ */
+const validateTaskFilters = [
+  ...taskFilterRules(query),
+  
   query('sort_by')
     .optional()
-    .isIn(['title', 'status', 'priority', 'due_date', 'created_at', 'updated_at', 'completion_percentage', 'priority_score'])
+    .isIn(TASK_SORT_FIELDS)
     .withMessage('Invalid sort field'),
   
   query('sort_order')
@@ -214,6 +1018,180 @@ const validateTaskFilters = [
   handleValidationErrors
 ];
 
+/**
+ * Full-text search validation
+ */
+const validateTaskSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be between 1 and 200 characters'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Bulk operation validation. Tasks are given by ID or by the filters of
+ * the task list, never both.
+ */
+const validateBulkOperation = [
+  body('action')
+    .isIn(['update', 'delete', 'move'])
+    .withMessage('Action must be one of: update, delete, move'),
+  
+  body()
+    .custom(value => (value.ids === undefined) !== (value.filter === undefined))
+    .withMessage('Provide either ids or filter'),
+  
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('IDs must be an array of 1 to 500 task IDs'),
+  
+  body('ids.*')
+    .matches(/^[a-zA-Z0-9-]+$/)
+    .withMessage('Each ID must be a valid task ID'),
+  
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object of task list filters'),
+  
+  ...taskFilterRules(name => body(`filter.${name}`)),
+  
+  body('changes')
+    .if(body('action').equals('update'))
+    .isObject()
+    .withMessage('Changes are required for updates')
+    .bail()
+    .custom(value => Object.keys(value).length > 0 && Object.keys(value).every(key => ['status', 'priority', 'is_urgent', 'due_date'].includes(key)))
+    .withMessage('Changes may only contain status, priority, is_urgent and due_date'),
+  
+  // Checked against the workflow of each task when the operation runs
+  body('changes.status')
+    .optional()
+    .matches(STATUS_KEY)
+    .withMessage('Status must be a status key'),
+  
+  body('changes.priority')
+    .optional()
+    .isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT'])
+    .withMessage('Priority must be one of: LOW, MEDIUM, HIGH, URGENT'),
+  
+  body('changes.is_urgent')
+    .optional()
+    .isBoolean()
+    .withMessage('is_urgent must be a boolean value'),
+  
+  body('changes.due_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date'),
+  
+  body('project_id')
+    .if(body('action').equals('move'))
+    .exists()
+    .withMessage('Project ID is required for moves (null removes the tasks from their project)'),
+  
+  body('project_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Rules shared by saved view creation and update
+ * @param {boolean} optional - Whether the name may be left out
+ * @returns {Array} Validation chains
+ */
+const viewRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('View name must be between 1 and 100 characters'),
+  
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object of task list filters')
+    .bail()
+    .custom(value => Object.keys(value).every(key => TASK_FILTERS.includes(key)))
+    .withMessage(`Filters may only contain ${TASK_FILTERS.join(', ')}`),
+  
+  ...taskFilterRules(name => body(`filters.${name}`)),
+  
+  body('sort_by')
+    .optional()
+    .isIn(TASK_SORT_FIELDS)
+    .withMessage('Invalid sort field'),
+  
+  body('sort_order')
+    .optional()
+    .isIn(['ASC', 'DESC'])
+    .withMessage('Sort order must be ASC or DESC'),
+  
+  body('page_size')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Page size must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Saved view creation validation
+ */
+const validateViewCreation = [
+  ...viewRules(false),
+  
+  handleValidationErrors
+];
+
+/**
+ * Saved view update validation
+ */
+const validateViewUpdate = [
+  ...viewRules(true),
+  
+  handleValidationErrors
+];
+
+/**
+ * Saved view ID validation
+ */
+const validateViewId = [
+  param('id')
+    .isUUID()
+    .withMessage('View ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Statistics filtering validation
+ */
+const validateStatisticsFilters = [
+  query('project_id')
+    .optional()
+    .isUUID()
+    .withMessage('Project ID must be a valid UUID'),
+  
+  handleValidationErrors
+];
+
 /**
  * Email validation
  */
@@ -243,12 +1221,55 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateLogout,
   validateTaskCreation,
   validateTaskUpdate,
   validateTaskId,
+  validateDependency,
+  validateBlockerId,
+  validateComment,
+  validateCommentId,
+  validateAttachmentId,
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateChecklistItemId,
+  validateTimerStart,
+  validateTimeEntry,
+  validateTimeEntryId,
+  validateTimeReport,
+  validateOccurrencePreview,
+  validateProjectCreation,
+  validateProjectUpdate,
+  validateProjectId,
+  validateWorkspace,
+  validateWorkspaceId,
+  validateWorkspaceMember,
+  validateMemberRoleUpdate,
+  validateMemberId,
+  validateNotificationId,
+  validateScoringSettings,
+  validateReminderSettings,
+  validateActivityFilters,
+  validateTagCreation,
+  validateTagUpdate,
+  validateTagId,
+  validateWorkflowCreation,
+  validateWorkflowUpdate,
+  validateWorkflowId,
+  validateEffectiveWorkflow,
+  validateTaskMove,
+  validateBoardQuery,
+  validateViewCreation,
+  validateViewUpdate,
+  validateViewId,
   validateUserId,
+  validateRoleUpdate,
   validatePagination,
   validateTaskFilters,
+  validateTaskSearch,
+  validateBulkOperation,
+  validateStatisticsFilters,
   validateEmail,
   validatePassword
 };
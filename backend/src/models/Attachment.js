@@ -0,0 +1,207 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('../utils/storage');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         task_id:
+ *           type: string
+ *         filename:
+ *           type: string
+ *           description: Original file name
+ *         mime_type:
+ *           type: string
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *         user_id:
+ *           type: string
+ *           description: User who uploaded the file
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+class Attachment {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.task_id = data.task_id;
+    this.user_id = data.user_id;
+    this.filename = data.filename;
+    this.mime_type = data.mime_type;
+    this.size = data.size || 0;
+    this.storage_key = data.storage_key || this.id;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Store an uploaded file and record it
+   * @param {Object} attachmentData - task_id, user_id, filename, mime_type
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Attachment>} Created attachment instance
+   */
+  static async create(attachmentData, buffer) {
+    try {
+      const attachment = new Attachment({ ...attachmentData, size: buffer.length });
+      await getStorage().save(attachment.storage_key, buffer);
+
+      try {
+        await database.run(`
+          INSERT INTO attachments (id, task_id, user_id, filename, mime_type, size, storage_key)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          attachment.id, attachment.task_id, attachment.user_id, attachment.filename,
+          attachment.mime_type, attachment.size, attachment.storage_key
+        ]);
+      } catch (error) {
+        await getStorage().remove(attachment.storage_key);
+        throw error;
+      }
+
+      return await Attachment.findById(attachment.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find attachment by ID
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Attachment|null>} Attachment instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get('SELECT * FROM attachments WHERE id = ?', [id]);
+      return data ? new Attachment(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the attachments of a task, oldest first
+   * @param {string} task_id - Task ID
+   * @returns {Promise<Attachment[]>} Attachments
+   */
+  static async findByTask(task_id) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM attachments WHERE task_id = ? ORDER BY created_at ASC',
+        [task_id]
+      );
+      return rows.map(row => new Attachment(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the storage keys of every attachment of the given tasks
+   * @param {string[]} taskIds - Task IDs
+   * @returns {Promise<string[]>} Storage keys
+   */
+  static async findStorageKeys(taskIds) {
+    try {
+      if (taskIds.length === 0) {
+        return [];
+      }
+
+      const placeholders = taskIds.map(() => '?').join(', ');
+      const rows = await database.all(
+        `SELECT storage_key FROM attachments WHERE task_id IN (${placeholders})`,
+        taskIds
+      );
+      return rows.map(row => row.storage_key);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the storage keys of every attachment a user's deletion removes:
+   * those on the user's tasks and those the user uploaded elsewhere
+   * @param {string} user_id - User ID
+   * @returns {Promise<string[]>} Storage keys
+   */
+  static async findStorageKeysOfUser(user_id) {
+    try {
+      const rows = await database.all(`
+        SELECT storage_key FROM attachments
+        WHERE user_id = ? OR task_id IN (SELECT id FROM tasks WHERE user_id = ?)
+      `, [user_id, user_id]);
+      return rows.map(row => row.storage_key);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Open the stored contents of an attachment
+   * @returns {Promise<ReadableStream>} File stream
+   */
+  async createReadStream() {
+    return await getStorage().createReadStream(this.storage_key);
+  }
+
+  /**
+   * Delete attachment and its stored file
+   * @param {string} id - Attachment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const attachment = await Attachment.findById(id);
+      if (!attachment) {
+        return false;
+      }
+
+      await database.run('DELETE FROM attachments WHERE id = ?', [id]);
+      await getStorage().remove(attachment.storage_key);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove stored files whose rows are already gone (e.g. after the
+   * owning task was deleted by a cascade)
+   * @param {string[]} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  static async removeFiles(keys) {
+    try {
+      const storage = getStorage();
+      for (const key of keys) {
+        await storage.remove(key);
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get attachment data for API response
+   * @returns {Object} Formatted attachment data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      task_id: this.task_id,
+      filename: this.filename,
+      mime_type: this.mime_type,
+      size: this.size,
+      user_id: this.user_id,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Attachment;
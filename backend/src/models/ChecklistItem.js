@@ -0,0 +1,177 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         is_checked:
+ *           type: boolean
+ *         position:
+ *           type: integer
+ *           description: 1-based position within the checklist
+ */
+
+class ChecklistItem {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.task_id = data.task_id;
+    this.title = data.title;
+    this.is_checked = Boolean(data.is_checked);
+    this.position = data.position;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Append an item to the checklist of a task
+   * @param {string} task_id - Task ID
+   * @param {string} title - Item title
+   * @returns {Promise<ChecklistItem>} Created item instance
+   */
+  static async create(task_id, title) {
+    try {
+      const item = new ChecklistItem({ task_id, title });
+      await database.run(`
+        INSERT INTO checklist_items (id, task_id, title, position)
+        VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM checklist_items WHERE task_id = ?))
+      `, [item.id, task_id, title, task_id]);
+
+      return await ChecklistItem.findById(item.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find checklist item by ID
+   * @param {string} id - Item ID
+   * @returns {Promise<ChecklistItem|null>} Item instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get('SELECT * FROM checklist_items WHERE id = ?', [id]);
+      return data ? new ChecklistItem(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the checklist of a task in order
+   * @param {string} task_id - Task ID
+   * @returns {Promise<ChecklistItem[]>} Items
+   */
+  static async findByTask(task_id) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM checklist_items WHERE task_id = ? ORDER BY position ASC',
+        [task_id]
+      );
+      return rows.map(row => new ChecklistItem(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, check or uncheck, and/or move an item
+   * @param {string} id - Item ID
+   * @param {Object} updateData - title, is_checked and/or position (1-based, clamped to the list)
+   * @returns {Promise<ChecklistItem>} Updated item instance
+   */
+  static async update(id, updateData) {
+    try {
+      const item = await ChecklistItem.findById(id);
+      if (!item) {
+        throw new Error('Checklist item not found');
+      }
+
+      if (updateData.title !== undefined || updateData.is_checked !== undefined) {
+        await database.run(
+          'UPDATE checklist_items SET title = ?, is_checked = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [
+            updateData.title ?? item.title,
+            (updateData.is_checked ?? item.is_checked) ? 1 : 0,
+            id
+          ]
+        );
+      }
+
+      if (updateData.position !== undefined) {
+        await ChecklistItem.move(item, updateData.position);
+      }
+
+      return await ChecklistItem.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move an item to a new position and renumber the checklist
+   * @param {ChecklistItem} item - Item to move
+   * @param {number} position - Target position (1-based)
+   * @returns {Promise<void>}
+   */
+  static async move(item, position) {
+    try {
+      const items = (await ChecklistItem.findByTask(item.task_id)).filter(other => other.id !== item.id);
+      const index = Math.max(0, Math.min(position - 1, items.length));
+      items.splice(index, 0, item);
+
+      for (let i = 0; i < items.length; i++) {
+        if (items[i].position !== i + 1) {
+          await database.run('UPDATE checklist_items SET position = ? WHERE id = ?', [i + 1, items[i].id]);
+        }
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete checklist item and close the gap it leaves
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const item = await ChecklistItem.findById(id);
+      if (!item) {
+        return false;
+      }
+
+      await database.run('DELETE FROM checklist_items WHERE id = ?', [id]);
+      await database.run(
+        'UPDATE checklist_items SET position = position - 1 WHERE task_id = ? AND position > ?',
+        [item.task_id, item.position]
+      );
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get checklist item data for API response
+   * @returns {Object} Formatted item data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      title: this.title,
+      is_checked: this.is_checked,
+      position: this.position
+    };
+  }
+}
+
+module.exports = ChecklistItem;
@@ -0,0 +1,183 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         task_id:
+ *           type: string
+ *         body:
+ *           type: string
+ *           description: Comment text in Markdown
+ *         author:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         is_edited:
+ *           type: boolean
+ *         edited_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the body was last changed
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Base query for loading comments together with their author
+const COMMENT_SELECT = `
+  SELECT comments.*, users.username
+  FROM comments
+  LEFT JOIN users ON users.id = comments.user_id
+`;
+
+class Comment {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.task_id = data.task_id;
+    this.user_id = data.user_id;
+    this.username = data.username;
+    this.body = data.body;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.edited_at = data.edited_at || null;
+  }
+
+  /**
+   * Create a new comment
+   * @param {Object} commentData - Comment data
+   * @returns {Promise<Comment>} Created comment instance
+   */
+  static async create(commentData) {
+    try {
+      if (!commentData.task_id || !commentData.user_id || !commentData.body) {
+        throw new Error('task_id, user_id and body are required');
+      }
+
+      const comment = new Comment(commentData);
+      await database.run(
+        'INSERT INTO comments (id, task_id, user_id, body) VALUES (?, ?, ?, ?)',
+        [comment.id, comment.task_id, comment.user_id, comment.body]
+      );
+
+      return await Comment.findById(comment.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Comment|null>} Comment instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get(`${COMMENT_SELECT} WHERE comments.id = ?`, [id]);
+      return data ? new Comment(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the comments of a task, oldest first, with pagination
+   * @param {string} task_id - Task ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Object with comments and pagination info
+   */
+  static async findByTask(task_id, options = {}) {
+    try {
+      const { page = 1, limit = 10 } = options;
+      const offset = (page - 1) * limit;
+
+      const rows = await database.all(
+        `${COMMENT_SELECT} WHERE comments.task_id = ? ORDER BY comments.created_at ASC, comments.rowid ASC LIMIT ? OFFSET ?`,
+        [task_id, limit, offset]
+      );
+      const totalCount = await database.get(
+        'SELECT COUNT(*) as count FROM comments WHERE task_id = ?',
+        [task_id]
+      );
+
+      return {
+        comments: rows.map(row => new Comment(row)),
+        pagination: {
+          page,
+          limit,
+          total: totalCount.count,
+          pages: Math.ceil(totalCount.count / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the body of a comment
+   * @param {string} id - Comment ID
+   * @param {string} body - New Markdown body
+   * @returns {Promise<Comment>} Updated comment instance
+   */
+  static async update(id, body) {
+    try {
+      await database.run(
+        'UPDATE comments SET body = ?, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [body, id]
+      );
+      return await Comment.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete comment
+   * @param {string} id - Comment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM comments WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get comment data for API response
+   * @returns {Object} Formatted comment data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      task_id: this.task_id,
+      body: this.body,
+      author: {
+        id: this.user_id,
+        username: this.username
+      },
+      is_edited: this.edited_at !== null,
+      edited_at: this.edited_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Comment;
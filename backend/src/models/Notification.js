@@ -0,0 +1,190 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [due_soon, overdue]
+ *         message:
+ *           type: string
+ *         task_id:
+ *           type: string
+ *           nullable: true
+ *         is_read:
+ *           type: boolean
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+class Notification {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.task_id = data.task_id || null;
+    this.type = data.type;
+    this.message = data.message;
+    this.dedupe_key = data.dedupe_key || this.id;
+    this.read_at = data.read_at || null;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Create a notification unless the user already received one with the
+   * same task and dedupe key
+   * @param {Object} notificationData - Notification data
+   * @returns {Promise<boolean>} Whether a notification was created
+   */
+  static async create(notificationData) {
+    try {
+      const notification = new Notification(notificationData);
+      const result = await database.run(`
+        INSERT OR IGNORE INTO notifications (id, user_id, task_id, type, message, dedupe_key)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        notification.id, notification.user_id, notification.task_id,
+        notification.type, notification.message, notification.dedupe_key
+      ]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find notification by ID
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification|null>} Notification instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get('SELECT * FROM notifications WHERE id = ?', [id]);
+      return data ? new Notification(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the notifications of a user, newest first, with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Object with notifications and pagination info
+   */
+  static async findAll(options = {}) {
+    try {
+      const { user_id, page = 1, limit = 10, unread_only = false } = options;
+
+      const whereConditions = ['user_id = ?'];
+      const params = [user_id];
+
+      if (unread_only) {
+        whereConditions.push('read_at IS NULL');
+      }
+
+      const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+      const offset = (page - 1) * limit;
+
+      const rows = await database.all(
+        `SELECT * FROM notifications ${whereClause} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const totalCount = await database.get(
+        `SELECT COUNT(*) as count FROM notifications ${whereClause}`,
+        params
+      );
+
+      return {
+        notifications: rows.map(row => new Notification(row)),
+        pagination: {
+          page,
+          limit,
+          total: totalCount.count,
+          pages: Math.ceil(totalCount.count / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count the unread notifications of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  static async countUnread(user_id) {
+    try {
+      const row = await database.get(
+        'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+        [user_id]
+      );
+      return row.count;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification>} Updated notification instance
+   */
+  static async markRead(id) {
+    try {
+      await database.run(
+        'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND read_at IS NULL',
+        [id]
+      );
+      return await Notification.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every unread notification of a user as read
+   * @param {string} user_id - User ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  static async markAllRead(user_id) {
+    try {
+      const result = await database.run(
+        'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL',
+        [user_id]
+      );
+      return result.changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get notification data for API response
+   * @returns {Object} Formatted notification data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      type: this.type,
+      message: this.message,
+      task_id: this.task_id,
+      is_read: this.read_at !== null,
+      read_at: this.read_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,210 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Project:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Unique project identifier
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         color:
+ *           type: string
+ *           example: "#2563EB"
+ *         is_archived:
+ *           type: boolean
+ *           default: false
+ *           description: Archived projects accept no new tasks
+ *         task_count:
+ *           type: integer
+ *           description: Number of tasks in the project
+ *         user_id:
+ *           type: string
+ *           description: User who owns the project
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Base query for loading projects together with their task count
+const PROJECT_SELECT = `
+  SELECT projects.*,
+    (
+      SELECT COUNT(*) FROM tasks
+      WHERE tasks.project_id = projects.id AND tasks.deleted_at IS NULL
+    ) AS task_count
+  FROM projects
+`;
+
+class Project {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.description = data.description;
+    this.color = data.color || '#6B7280';
+    this.is_archived = Boolean(data.is_archived);
+    this.task_count = data.task_count || 0;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create a new project
+   * @param {Object} projectData - Project data
+   * @returns {Promise<Project>} Created project instance
+   */
+  static async create(projectData) {
+    try {
+      if (!projectData.name || !projectData.user_id) {
+        throw new Error('Name and user_id are required');
+      }
+
+      const project = new Project(projectData);
+      await database.run(`
+        INSERT INTO projects (id, user_id, name, description, color, is_archived)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        project.id, project.user_id, project.name, project.description,
+        project.color, project.is_archived ? 1 : 0
+      ]);
+
+      return await Project.findById(project.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find project by ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Project|null>} Project instance or null
+   */
+  static async findById(id) {
+    try {
+      const projectData = await database.get(`${PROJECT_SELECT} WHERE id = ?`, [id]);
+      return projectData ? new Project(projectData) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the projects of a user with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Object with projects and pagination info
+   */
+  static async findAll(options = {}) {
+    try {
+      const { user_id, page = 1, limit = 10, include_archived = false } = options;
+
+      const whereConditions = ['user_id = ?'];
+      const params = [user_id];
+
+      if (!include_archived) {
+        whereConditions.push('is_archived = 0');
+      }
+
+      const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+      const offset = (page - 1) * limit;
+
+      const projects = await database.all(
+        `${PROJECT_SELECT} ${whereClause} ORDER BY name ASC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const totalCount = await database.get(
+        `SELECT COUNT(*) as count FROM projects ${whereClause}`,
+        params
+      );
+
+      return {
+        projects: projects.map(project => new Project(project)),
+        pagination: {
+          page,
+          limit,
+          total: totalCount.count,
+          pages: Math.ceil(totalCount.count / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update project
+   * @param {string} id - Project ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Project>} Updated project instance
+   */
+  static async update(id, updateData) {
+    try {
+      const project = await Project.findById(id);
+      if (!project) {
+        throw new Error('Project not found');
+      }
+
+      ['name', 'description', 'color', 'is_archived'].forEach(field => {
+        if (updateData[field] !== undefined) {
+          project[field] = updateData[field];
+        }
+      });
+
+      await database.run(`
+        UPDATE projects SET
+          name = ?, description = ?, color = ?, is_archived = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [project.name, project.description, project.color, project.is_archived ? 1 : 0, id]);
+
+      return await Project.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete project (its tasks are kept and lose their project)
+   * @param {string} id - Project ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM projects WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get project data for API response
+   * @returns {Object} Formatted project data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      color: this.color,
+      is_archived: this.is_archived,
+      task_count: this.task_count,
+      user_id: this.user_id,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Project;
@@ -0,0 +1,162 @@
+const { database } = require('../utils/database');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Refresh tokens are opaque random strings handed to the client once.
+ * Only their SHA-256 hash is persisted, so a database leak does not
+ * expose usable tokens. Every refresh rotates the token; all tokens
+ * descending from the same login share a family_id so that replaying
+ * an already rotated token can revoke the whole chain.
+ */
+class RefreshToken {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.family_id = data.family_id || this.id;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at || null;
+    this.replaced_by = data.replaced_by || null;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Hash a raw refresh token for storage and lookup
+   * @param {string} token - Raw refresh token
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Lifetime of a refresh token in days
+   * @returns {number} Number of days
+   */
+  static ttlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  }
+
+  /**
+   * Issue a new refresh token
+   * @param {string} user_id - Owner of the token
+   * @param {string} [family_id] - Family to continue, a new one is started if omitted
+   * @returns {Promise<Object>} Object with the raw token and its record
+   */
+  static async create(user_id, family_id) {
+    try {
+      const token = crypto.randomBytes(48).toString('hex');
+      const record = new RefreshToken({
+        user_id,
+        family_id,
+        token_hash: RefreshToken.hash(token),
+        expires_at: new Date(Date.now() + RefreshToken.ttlDays() * 86400000).toISOString()
+      });
+
+      await database.run(`
+        INSERT INTO refresh_tokens (id, user_id, token_hash, family_id, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [record.id, record.user_id, record.token_hash, record.family_id, record.expires_at]);
+
+      return { token, record };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a refresh token record by its raw value
+   * @param {string} token - Raw refresh token
+   * @returns {Promise<RefreshToken|null>} Token record or null
+   */
+  static async findByToken(token) {
+    try {
+      const data = await database.get(
+        'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+        [RefreshToken.hash(token)]
+      );
+      return data ? new RefreshToken(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a single token, optionally recording its successor
+   * @param {string} id - Token record ID
+   * @param {string|null} replaced_by - ID of the token that replaced it
+   * @returns {Promise<boolean>} Whether a token was revoked
+   */
+  static async revoke(id, replaced_by = null) {
+    try {
+      const result = await database.run(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+        [replaced_by, id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token of a family (used on reuse detection)
+   * @param {string} family_id - Token family ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  static async revokeFamily(family_id) {
+    try {
+      const result = await database.run(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+        [family_id]
+      );
+      return result.changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every outstanding token of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  static async revokeAllForUser(user_id) {
+    try {
+      const result = await database.run(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [user_id]
+      );
+      return result.changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove expired tokens
+   * @returns {Promise<number>} Number of removed tokens
+   */
+  static async purgeExpired() {
+    try {
+      const result = await database.run(
+        'DELETE FROM refresh_tokens WHERE expires_at < ?',
+        [new Date().toISOString()]
+      );
+      return result.changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the token can still be exchanged
+   * @returns {boolean} Active status
+   */
+  isActive() {
+    return !this.revoked_at && new Date(this.expires_at) > new Date();
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,62 @@
+const { database } = require('../utils/database');
+
+/**
+ * Revocation list for access tokens that were logged out before they
+ * expired. Entries are only needed until the token would have expired
+ * anyway, so expired rows are purged on every insert.
+ */
+class RevokedToken {
+  /**
+   * Add an access token to the revocation list
+   * @param {string} jti - Token ID claim
+   * @param {string} user_id - Owner of the token
+   * @param {number} exp - Token expiry (seconds since epoch)
+   * @returns {Promise<void>}
+   */
+  static async add(jti, user_id, exp) {
+    try {
+      await RevokedToken.purgeExpired();
+      await database.run(
+        'INSERT OR IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+        [jti, user_id, new Date(exp * 1000).toISOString()]
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {string} jti - Token ID claim
+   * @returns {Promise<boolean>} Revocation status
+   */
+  static async isRevoked(jti) {
+    try {
+      const row = await database.get(
+        'SELECT jti FROM revoked_tokens WHERE jti = ?',
+        [jti]
+      );
+      return Boolean(row);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove entries whose tokens have expired
+   * @returns {Promise<number>} Number of removed entries
+   */
+  static async purgeExpired() {
+    try {
+      const result = await database.run(
+        'DELETE FROM revoked_tokens WHERE expires_at < ?',
+        [new Date().toISOString()]
+      );
+      return result.changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RevokedToken;
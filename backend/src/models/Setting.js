@@ -0,0 +1,144 @@
+const { database } = require('../utils/database');
+const { createError } = require('../utils/errors');
+const { STRATEGIES, mergeWeights, resolveScoring } = require('../utils/scoring');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScoringSettings:
+ *       type: object
+ *       properties:
+ *         strategy:
+ *           type: string
+ *           enum: [default, eisenhower, wsjf]
+ *         weights:
+ *           type: object
+ *           description: Effective weights of the selected strategy (defaults merged with overrides)
+ *         overrides:
+ *           type: object
+ *           description: Weight overrides stored per strategy
+ */
+
+/**
+ * Per-user settings stored as JSON values by key
+ */
+class Setting {
+  /**
+   * Get a setting of a user
+   * @param {string} user_id - User ID
+   * @param {string} key - Setting key
+   * @param {*} [defaultValue] - Value returned when the setting is not stored
+   * @returns {Promise<*>} Setting value
+   */
+  static async get(user_id, key, defaultValue = null) {
+    try {
+      const row = await database.get('SELECT value FROM settings WHERE user_id = ? AND key = ?', [user_id, key]);
+      return row ? JSON.parse(row.value) : defaultValue;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a setting of every user who stored it
+   * @param {string} key - Setting key
+   * @returns {Promise<Map<string, *>>} Setting values by user ID
+   */
+  static async getAll(key) {
+    try {
+      const rows = await database.all('SELECT user_id, value FROM settings WHERE key = ?', [key]);
+      return new Map(rows.map(row => [row.user_id, JSON.parse(row.value)]));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Store a setting of a user
+   * @param {string} user_id - User ID
+   * @param {string} key - Setting key
+   * @param {*} value - JSON serializable value
+   * @returns {Promise<void>}
+   */
+  static async set(user_id, key, value) {
+    try {
+      await database.run(`
+        INSERT INTO settings (user_id, key, value) VALUES (?, ?, ?)
+        ON CONFLICT (user_id, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+      `, [user_id, key, JSON.stringify(value)]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the resolved scoring strategy and weights of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<Object>} { strategy, weights }
+   */
+  static async getScoring(user_id) {
+    try {
+      return resolveScoring(await Setting.get(user_id, 'scoring', {}));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the scoring settings of a user for API responses
+   * @param {string} user_id - User ID
+   * @returns {Promise<Object>} { strategy, weights, overrides }
+   */
+  static async getScoringSettings(user_id) {
+    try {
+      const stored = await Setting.get(user_id, 'scoring', {});
+      return {
+        ...resolveScoring(stored),
+        overrides: stored.weights || {}
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update the scoring settings of a user. Weight overrides are given per
+   * strategy and replace the stored overrides of that strategy only.
+   * @param {string} user_id - User ID
+   * @param {Object} changes - { strategy, weights: { <strategy>: overrides } }
+   * @returns {Promise<Object>} Updated scoring settings
+   */
+  static async updateScoring(user_id, changes) {
+    try {
+      const stored = await Setting.get(user_id, 'scoring', {});
+      const weights = { ...(stored.weights || {}) };
+
+      if (changes.strategy !== undefined && !STRATEGIES[changes.strategy]) {
+        throw createError(400, 'Invalid scoring settings', `Unknown scoring strategy "${changes.strategy}"`);
+      }
+
+      for (const [strategy, overrides] of Object.entries(changes.weights || {})) {
+        if (!STRATEGIES[strategy]) {
+          throw createError(400, 'Invalid scoring settings', `Unknown scoring strategy "${strategy}"`);
+        }
+        try {
+          mergeWeights(STRATEGIES[strategy].weights, overrides);
+        } catch (error) {
+          throw createError(400, 'Invalid scoring settings', `${strategy}: ${error.message}`);
+        }
+        weights[strategy] = overrides;
+      }
+
+      await Setting.set(user_id, 'scoring', {
+        strategy: changes.strategy || stored.strategy,
+        weights
+      });
+      return await Setting.getScoringSettings(user_id);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Setting;
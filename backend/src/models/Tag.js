@@ -0,0 +1,208 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Tag name, unique per user (case-insensitive)
+ *         color:
+ *           type: string
+ *           example: "#6B7280"
+ *         task_count:
+ *           type: integer
+ *           description: Number of tasks carrying the tag
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+const DEFAULT_COLOR = '#6B7280';
+
+class Tag {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.color = data.color || DEFAULT_COLOR;
+    this.task_count = data.task_count || 0;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Create a new tag
+   * @param {Object} tagData - Tag data
+   * @returns {Promise<Tag>} Created tag instance
+   */
+  static async create(tagData) {
+    try {
+      const existing = await Tag.findByName(tagData.user_id, tagData.name);
+      if (existing) {
+        throw createError(409, 'Tag already exists', `A tag named "${tagData.name}" already exists`);
+      }
+
+      const tag = new Tag(tagData);
+      await database.run(
+        'INSERT INTO tags (id, user_id, name, color) VALUES (?, ?, ?, ?)',
+        [tag.id, tag.user_id, tag.name, tag.color]
+      );
+      return tag;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find tag by ID
+   * @param {string} id - Tag ID
+   * @returns {Promise<Tag|null>} Tag instance or null
+   */
+  static async findById(id) {
+    try {
+      const tagData = await database.get('SELECT * FROM tags WHERE id = ?', [id]);
+      return tagData ? new Tag(tagData) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's tag by name (case-insensitive)
+   * @param {string} user_id - User ID
+   * @param {string} name - Tag name
+   * @returns {Promise<Tag|null>} Tag instance or null
+   */
+  static async findByName(user_id, name) {
+    try {
+      const tagData = await database.get(
+        'SELECT * FROM tags WHERE user_id = ? AND name = ?',
+        [user_id, name]
+      );
+      return tagData ? new Tag(tagData) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all tags of a user with the number of tasks carrying each tag
+   * @param {string} user_id - User ID
+   * @returns {Promise<Tag[]>} Tags ordered by name
+   */
+  static async findAllByUser(user_id) {
+    try {
+      const rows = await database.all(`
+        SELECT tags.*, COUNT(tasks.id) as task_count
+        FROM tags
+        LEFT JOIN task_tags ON task_tags.tag_id = tags.id
+        LEFT JOIN tasks ON tasks.id = task_tags.task_id AND tasks.deleted_at IS NULL
+        WHERE tags.user_id = ?
+        GROUP BY tags.id
+        ORDER BY tags.name ASC
+      `, [user_id]);
+      return rows.map(row => new Tag(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update tag name and/or colour
+   * @param {string} id - Tag ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Tag>} Updated tag instance
+   */
+  static async update(id, updateData) {
+    try {
+      const tag = await Tag.findById(id);
+      if (!tag) {
+        throw new Error('Tag not found');
+      }
+
+      if (updateData.name !== undefined && updateData.name.toLowerCase() !== tag.name.toLowerCase()) {
+        const existing = await Tag.findByName(tag.user_id, updateData.name);
+        if (existing) {
+          throw createError(409, 'Tag already exists', `A tag named "${updateData.name}" already exists`);
+        }
+      }
+
+      if (updateData.name !== undefined) {
+        tag.name = updateData.name;
+      }
+      if (updateData.color !== undefined) {
+        tag.color = updateData.color;
+      }
+
+      await database.run(
+        'UPDATE tags SET name = ?, color = ? WHERE id = ?',
+        [tag.name, tag.color, id]
+      );
+      return tag;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete tag (removes it from every task)
+   * @param {string} id - Tag ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM tags WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tags of a task. Unknown names are created for the user
+   * with the default colour.
+   * @param {string} task_id - Task ID
+   * @param {string} user_id - Task owner
+   * @param {string[]} names - Tag names
+   * @returns {Promise<void>}
+   */
+  static async setTaskTags(task_id, user_id, names = []) {
+    try {
+      const uniqueNames = [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+
+      await database.run('DELETE FROM task_tags WHERE task_id = ?', [task_id]);
+      for (const name of uniqueNames) {
+        const tag = await Tag.findByName(user_id, name) || await Tag.create({ user_id, name });
+        await database.run(
+          'INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)',
+          [task_id, tag.id]
+        );
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get tag data for API response
+   * @returns {Object} Formatted tag data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      task_count: this.task_count,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Tag;
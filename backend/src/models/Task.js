@@ -1,6 +1,99 @@
 const { database } = require('../utils/database');
 const { v4: uuidv4 } = require('uuid');
-const moment = require('moment');
+const { createError } = require('../utils/errors');
+const TaskDependency = require('./TaskDependency');
+const Tag = require('./Tag');
+const Project = require('./Project');
+const Workspace = require('./Workspace');
+const Attachment = require('./Attachment');
+const Setting = require('./Setting');
+const TaskEvent = require('./TaskEvent');
+const Workflow = require('./Workflow');
+const { normalizeRule, nextOccurrence } = require('../utils/recurrence');
+const { scoreTask } = require('../utils/scoring');
+const { OPEN_CATEGORIES } = require('../utils/workflow');
+const { parseTaskQuery, compileTaskQuery } = require('../utils/taskQuery');
+const {
+  MAX_TYPO_CANDIDATES,
+  MARK_START,
+  MARK_END,
+  searchTerms,
+  matchExpression,
+  editDistance,
+  allowedEdits,
+  firstLetterRange,
+  markHighlights
+} = require('../utils/search');
+
+// Base query for loading tasks together with their derived counters
+const TASK_SELECT = `
+  SELECT tasks.*,
+    (
+      SELECT COUNT(*) FROM tasks AS subtasks
+      WHERE subtasks.parent_id = tasks.id AND subtasks.deleted_at IS NULL
+    ) AS subtask_count,
+    EXISTS (
+      SELECT 1 FROM task_dependencies
+      JOIN tasks AS blockers ON blockers.id = task_dependencies.blocker_id
+      WHERE task_dependencies.task_id = tasks.id AND blockers.status_category IN ('todo', 'in_progress')
+        AND blockers.deleted_at IS NULL
+    ) AS is_blocked,
+    (SELECT COUNT(*) FROM comments WHERE comments.task_id = tasks.id) AS comment_count,
+    (SELECT COALESCE(SUM(duration_seconds), 0) FROM time_entries WHERE time_entries.task_id = tasks.id) AS tracked_seconds,
+    (
+      SELECT json_group_array(json_object('id', id, 'name', name, 'color', color))
+      FROM (
+        SELECT tags.id, tags.name, tags.color FROM task_tags
+        JOIN tags ON tags.id = task_tags.tag_id
+        WHERE task_tags.task_id = tasks.id
+        ORDER BY tags.name
+      )
+    ) AS tags,
+    (
+      SELECT json_group_array(json_object('id', id, 'title', title, 'is_checked', is_checked, 'position', position))
+      FROM (
+        SELECT id, title, is_checked, position FROM checklist_items
+        WHERE checklist_items.task_id = tasks.id
+        ORDER BY position
+      )
+    ) AS checklist
+  FROM tasks
+`;
+
+// Fields clients may set on a task; the owner, identifiers, versions, board
+// positions, occurrences and derived fields are managed by the server
+const EDITABLE_FIELDS = [
+  'title', 'description', 'status', 'priority', 'is_urgent', 'due_date', 'parent_id',
+  'project_id', 'workspace_id', 'assignee_id', 'recurrence_rule', 'estimate_hours', 'progress', 'tags'
+];
+
+// Tasks a user owns, is assigned to or shares through a workspace (binds the user three times)
+const VISIBLE_TO_VIEWER = `(tasks.user_id = ? OR tasks.assignee_id = ? OR tasks.workspace_id IN (
+  SELECT workspace_id FROM workspace_members WHERE user_id = ?
+))`;
+
+/**
+ * Board position between two neighbours. Positions are fractional, so a
+ * move only rewrites the moved task; null means the neighbours are too
+ * close for a number in between and the column has to be renumbered.
+ * @param {number|null} before - Position of the task above, null at the top
+ * @param {number|null} after - Position of the task below, null at the bottom
+ * @returns {number|null} Position or null
+ */
+const rankBetween = (before, after) => {
+  if (before === null && after === null) {
+    return 1;
+  }
+  if (before === null) {
+    return after - 1;
+  }
+  if (after === null) {
+    return before + 1;
+  }
+
+  const middle = (before + after) / 2;
+  return middle > before && middle < after ? middle : null;
+};
 
 /**
  * @swagger
@@ -23,8 +116,17 @@ const moment = require('moment');
  *           description: Task description
  *         status:
  *           type: string
- *           enum: [TODO, IN_PROGRESS, COMPLETED, CANCELLED]
- *           default: TODO
+ *           description: Status key from the task's workflow (built-in workflow TODO, IN_PROGRESS, COMPLETED, CANCELLED)
+ *           example: TODO
+ *         status_category:
+ *           type: string
+ *           enum: [todo, in_progress, done, cancelled]
+ *           readOnly: true
+ *           description: Category of the status in the task's workflow
+ *         position:
+ *           type: number
+ *           readOnly: true
+ *           description: Order within the board column (owner, project and status), ascending; changed with POST /api/tasks/{id}/move
  *         priority:
  *           type: string
  *           enum: [LOW, MEDIUM, HIGH, URGENT]
@@ -37,13 +139,88 @@ const moment = require('moment');
  *           format: date-time
  *         completion_percentage:
  *           type: number
- *           description: Calculated field based on status
+ *           description: Calculated from the subtasks (weighted by estimate), else the checked share of the checklist, else reported progress or status
  *         priority_score:
  *           type: number
- *           description: Calculated field based on priority, urgency, and due date
+ *           description: Calculated by the owner's scoring strategy from priority, urgency, due date and estimate
+ *         score_computed_at:
+ *           type: string
+ *           format: date-time
+ *           description: When priority_score was last calculated
+ *         estimate_hours:
+ *           type: number
+ *           nullable: true
+ *           description: Estimated effort in hours (job size for WSJF scoring, weight in completion roll-ups)
+ *         progress:
+ *           type: integer
+ *           nullable: true
+ *           description: Progress reported by the user (0-100), used while the task is open and has no subtasks or checklist
  *         user_id:
  *           type: string
  *           description: User who owns the task
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *           description: Parent task when this task is a subtask
+ *         project_id:
+ *           type: string
+ *           nullable: true
+ *           description: Project containing the task
+ *         workspace_id:
+ *           type: string
+ *           nullable: true
+ *           description: Shared workspace the task belongs to
+ *         assignee_id:
+ *           type: string
+ *           nullable: true
+ *           description: User the task is assigned to
+ *         recurrence_rule:
+ *           type: string
+ *           nullable: true
+ *           description: iCalendar RRULE (DAILY/WEEKLY/MONTHLY with INTERVAL, BYDAY, COUNT or UNTIL)
+ *           example: "FREQ=WEEKLY;BYDAY=MO"
+ *         occurrence_index:
+ *           type: integer
+ *           description: Position of this task in its recurring series, starting at 1
+ *         next_occurrence_id:
+ *           type: string
+ *           nullable: true
+ *           description: Task spawned when this occurrence was completed
+ *         subtask_count:
+ *           type: integer
+ *           description: Number of direct subtasks
+ *         is_blocked:
+ *           type: boolean
+ *           description: Whether any blocking task is still open
+ *         comment_count:
+ *           type: integer
+ *           description: Number of comments on the task
+ *         tracked_seconds:
+ *           type: integer
+ *           description: Total time logged on the task (running timers excluded)
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *         checklist:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the task was moved to the trash
+ *         version:
+ *           type: integer
+ *           description: Incremented on every edit, used for If-Match preconditions
  *         created_at:
  *           type: string
  *           format: date-time
@@ -58,123 +235,199 @@ class Task {
     this.title = data.title;
     this.description = data.description;
     this.status = data.status || 'TODO';
+    this.status_category = data.status_category || 'todo';
     this.priority = data.priority || 'MEDIUM';
     this.is_urgent = data.is_urgent || false;
     this.due_date = data.due_date;
     this.completion_percentage = data.completion_percentage || 0;
     this.priority_score = data.priority_score || 0;
+    this.score_computed_at = data.score_computed_at;
+    this.estimate_hours = data.estimate_hours ?? null;
+    this.progress = data.progress ?? null;
     this.user_id = data.user_id;
+    this.parent_id = data.parent_id || null;
+    this.project_id = data.project_id || null;
+    this.workspace_id = data.workspace_id || null;
+    this.assignee_id = data.assignee_id || null;
+    this.recurrence_rule = data.recurrence_rule || null;
+    this.occurrence_index = data.occurrence_index || 1;
+    this.next_occurrence_id = data.next_occurrence_id || null;
+    this.subtask_count = data.subtask_count || 0;
+    this.is_blocked = Boolean(data.is_blocked);
+    this.comment_count = data.comment_count || 0;
+    this.tracked_seconds = data.tracked_seconds || 0;
+    this.tags = typeof data.tags === 'string' ? JSON.parse(data.tags) : [];
+    this.checklist = typeof data.checklist === 'string'
+      ? JSON.parse(data.checklist).map(item => ({ ...item, is_checked: Boolean(item.is_checked) }))
+      : [];
+    this.deleted_at = data.deleted_at || null;
+    this.version = data.version || 1;
+    this.position = data.position ?? null;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
 
   /**
-   * Calculate completion percentage based on status
+   * Calculate completion percentage. Done and cancelled tasks keep the
+   * weight of their status. An open task with subtasks averages their
+   * progress weighted by effort estimate (cancelled subtasks do not count,
+   * unestimated ones weigh as much as the average estimated subtask).
+   * Without subtasks the fraction of checked checklist items is used, then
+   * the progress reported by the user, falling back to the status weight.
+   * @param {Task[]} subtasks - Direct subtasks of this task
+   * @param {Workflow} [workflow] - Workflow of this task, defaults to the built-in workflow
    * @returns {number} Completion percentage (0-100)
    */
-  calculateCompletionPercentage() {
-    const statusPercentages = {
-      'TODO': 0,
-      'IN_PROGRESS': 50,
-      'COMPLETED': 100,
-      'CANCELLED': 0
-    };
-    return statusPercentages[this.status] || 0;
+  calculateCompletionPercentage(subtasks = [], workflow = Workflow.builtIn()) {
+    const status = workflow.getStatus(this.status);
+    const statusWeight = status ? status.weight : 0;
+
+    if (!OPEN_CATEGORIES.includes(this.status_category)) {
+      return statusWeight;
+    }
+
+    const activeSubtasks = subtasks.filter(subtask => subtask.status_category !== 'cancelled');
+    if (activeSubtasks.length > 0) {
+      const estimates = activeSubtasks.map(subtask => subtask.estimate_hours).filter(hours => hours > 0);
+      const defaultWeight = estimates.length > 0 ? estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length : 1;
+      const weightOf = subtask => (subtask.estimate_hours > 0 ? subtask.estimate_hours : defaultWeight);
+
+      const totalWeight = activeSubtasks.reduce((sum, subtask) => sum + weightOf(subtask), 0);
+      const done = activeSubtasks.reduce((sum, subtask) => sum + weightOf(subtask) * (subtask.completion_percentage || 0), 0);
+      return Math.round(done / totalWeight);
+    }
+
+    if (this.checklist.length > 0) {
+      const checked = this.checklist.filter(item => item.is_checked).length;
+      return Math.round((checked / this.checklist.length) * 100);
+    }
+
+    if (this.progress !== null) {
+      return this.progress;
+    }
+
+    return statusWeight;
   }
 
   /**
-   * Calculate priority score based on priority, urgency, and due date
+   * Calculate priority score with a scoring strategy
+   * @param {Object} [scoring] - Resolved scoring settings, defaults to the default strategy
    * @returns {number} Priority score (0-100)
    */
-  calculatePriorityScore() {
-    let score = 0;
-
-    // Priority weight (40%)
-    const priorityWeights = {
-      'LOW': 10,
-      'MEDIUM': 25,
-      'HIGH': 40,
-      'URGENT': 60
-    };
-    score += priorityWeights[this.priority] || 25;
-
-    // Urgency bonus (20%)
-    if (this.is_urgent) {
-      score += 20;
-    }
-
-    // Due date urgency (40%)
-    if (this.due_date) {
-      const now = moment();
-      const dueDate = moment(this.due_date);
-      const daysUntilDue = dueDate.diff(now, 'days');
-
-      if (daysUntilDue < 0) {
-        // Overdue
-        score += 40;
-      } else if (daysUntilDue <= 1) {
-        // Due today or tomorrow
-        score += 35;
-      } else if (daysUntilDue <= 3) {
-        // Due within 3 days
-        score += 25;
-      } else if (daysUntilDue <= 7) {
-        // Due within a week
-        score += 15;
-      } else {
-        // Due later
-        score += 5;
-      }
-    }
+  calculatePriorityScore(scoring) {
+    return scoreTask(this, scoring).score;
+  }
 
-    return Math.min(score, 100);
+  /**
+   * Explain how the priority score is derived
+   * @param {Object} [scoring] - Resolved scoring settings, defaults to the default strategy
+   * @returns {Object} Strategy, weights, score and the components of the score
+   */
+  explainPriorityScore(scoring) {
+    return scoreTask(this, scoring);
   }
 
   /**
    * Create a new task
    * @param {Object} taskData - Task data
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
    * @returns {Promise<Task>} Created task instance
    */
-  static async create(taskData) {
+  static async create(taskData, actor_id = taskData.user_id) {
     try {
       // Validate required fields
       if (!taskData.title || !taskData.user_id) {
         throw new Error('Title and user_id are required');
       }
 
-      // Create task instance
-      const task = new Task(taskData);
-      
-      // Calculate derived fields
-      task.completion_percentage = task.calculateCompletionPercentage();
-      task.priority_score = task.calculatePriorityScore();
-
-      await database.run(`
-        INSERT INTO tasks (
-          id, title, description, status, priority, is_urgent, 
-          due_date, completion_percentage, priority_score, user_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        task.id, task.title, task.description, task.status, task.priority,
-        task.is_urgent ? 1 : 0, task.due_date, task.completion_percentage,
-        task.priority_score, task.user_id
-      ]);
-
-      return task;
+      // One transaction, so the WIP limit still holds when the task is written
+      return await database.transaction(async () => {
+        // Create task instance (tag names are stored separately)
+        const { tags, ...fields } = taskData;
+        const task = new Task(fields);
+
+        if (task.parent_id) {
+          const parent = await Task.validateParent(task.parent_id, task.user_id);
+          // Subtasks of shared tasks stay visible to the rest of the workspace
+          task.workspace_id = task.workspace_id || parent.workspace_id;
+        }
+        if (task.project_id) {
+          await Task.validateProject(task.project_id, task.user_id);
+        }
+        if (task.workspace_id) {
+          await Task.validateWorkspace(task.workspace_id, task.user_id);
+        }
+        if (task.assignee_id) {
+          await Task.validateAssignee(task.assignee_id, task);
+        }
+        if (task.recurrence_rule) {
+          task.recurrence_rule = Task.validateRecurrence(task.recurrence_rule, task.due_date);
+        }
+
+        const workflow = await Workflow.forTask(task);
+        task.status = fields.status || workflow.initialStatus();
+        task.status_category = Task.validateStatus(task.status, workflow).category;
+        await Task.checkWipLimit(task, workflow);
+        task.position = await Task.nextPosition(task);
+
+        // Calculate derived fields
+        task.completion_percentage = task.calculateCompletionPercentage([], workflow);
+        task.priority_score = task.calculatePriorityScore(await Setting.getScoring(task.user_id));
+
+        await database.run(`
+          INSERT INTO tasks (
+            id, title, description, status, status_category, priority, is_urgent, 
+            due_date, completion_percentage, priority_score, user_id, parent_id, project_id,
+            workspace_id, assignee_id, recurrence_rule, occurrence_index, estimate_hours, progress, position,
+            score_computed_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+          task.id, task.title, task.description, task.status, task.status_category, task.priority,
+          task.is_urgent ? 1 : 0, task.due_date, task.completion_percentage,
+          task.priority_score, task.user_id, task.parent_id, task.project_id,
+          task.workspace_id, task.assignee_id, task.recurrence_rule, task.occurrence_index,
+          task.estimate_hours, task.progress, task.position
+        ]);
+
+        if (tags) {
+          await Tag.setTaskTags(task.id, task.user_id, tags);
+        }
+
+        await TaskEvent.record('created', null, await Task.findById(task.id), actor_id);
+
+        if (task.parent_id) {
+          await Task.recalculateCompletion(task.parent_id);
+        }
+
+        return await Task.findById(task.id);
+      });
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Find task by ID
+   * Keep the fields of request data a client may set
+   * @param {Object} data - Request data
+   * @returns {Object} Editable fields that are present
+   */
+  static pickEditable(data) {
+    return Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, data[field]]));
+  }
+
+  /**
+   * Find task by ID. Tasks in the trash are not found unless asked for.
    * @param {string} id - Task ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.include_deleted] - Also find tasks in the trash
    * @returns {Promise<Task|null>} Task instance or null
    */
-  static async findById(id) {
+  static async findById(id, options = {}) {
     try {
       const taskData = await database.get(
-        'SELECT * FROM tasks WHERE id = ?',
+        `${TASK_SELECT} WHERE id = ? ${options.include_deleted ? '' : 'AND deleted_at IS NULL'}`,
         [id]
       );
       return taskData ? new Task(taskData) : null;
@@ -184,7 +437,33 @@ class Task {
   }
 
   /**
-   * Get tasks with filtering, sorting, and pagination
+   * Find several tasks by ID
+   * @param {string[]} ids - Task IDs
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.include_deleted] - Also find tasks in the trash
+   * @returns {Promise<Task[]>} Task instances that exist
+   */
+  static async findByIds(ids, options = {}) {
+    try {
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const placeholders = ids.map(() => '?').join(', ');
+      const rows = await database.all(
+        `${TASK_SELECT} WHERE id IN (${placeholders}) ${options.include_deleted ? '' : 'AND deleted_at IS NULL'}`,
+        ids
+      );
+      return rows.map(row => new Task(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get tasks with filtering, sorting, and pagination. With `deleted` the
+   * trash is listed instead: tasks in the trash whose parent is not, so
+   * subtasks deleted together with their parent are not listed twice.
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Object with tasks and pagination info
    */
@@ -192,12 +471,24 @@ class Task {
     try {
       const {
         user_id,
+        viewer_id,
         page = 1,
         limit = 10,
         status,
         priority,
         is_urgent,
         search,
+        parent_id,
+        project_id,
+        workspace_id,
+        assignee_id,
+        tags,
+        tag_mode = 'any',
+        due_after,
+        due_before,
+        q,
+        now,
+        deleted = false,
         sort_by = 'created_at',
         sort_order = 'DESC'
       } = options;
@@ -206,11 +497,25 @@ class Task {
       const whereConditions = [];
       const params = [];
 
+      if (deleted) {
+        whereConditions.push(`deleted_at IS NOT NULL AND NOT EXISTS (
+          SELECT 1 FROM tasks AS parents WHERE parents.id = tasks.parent_id AND parents.deleted_at IS NOT NULL
+        )`);
+      } else {
+        whereConditions.push('deleted_at IS NULL');
+      }
+
       if (user_id) {
         whereConditions.push('user_id = ?');
         params.push(user_id);
       }
 
+      // Tasks the viewer owns, is assigned to or shares through a workspace
+      if (viewer_id) {
+        whereConditions.push(VISIBLE_TO_VIEWER);
+        params.push(viewer_id, viewer_id, viewer_id);
+      }
+
       if (status) {
         whereConditions.push('status = ?');
         params.push(status);
@@ -231,12 +536,68 @@ class Task {
         params.push(`%${search}%`, `%${search}%`);
       }
 
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')}` 
-        : '';
+      if (parent_id) {
+        whereConditions.push('parent_id = ?');
+        params.push(parent_id);
+      }
+
+      if (project_id) {
+        whereConditions.push('project_id = ?');
+        params.push(project_id);
+      }
+
+      if (workspace_id) {
+        whereConditions.push('workspace_id = ?');
+        params.push(workspace_id);
+      }
+
+      if (assignee_id) {
+        whereConditions.push('assignee_id = ?');
+        params.push(assignee_id);
+      }
+
+      // Due date bounds are exclusive; tasks without a due date never match
+      if (due_after) {
+        whereConditions.push('datetime(due_date) > datetime(?)');
+        params.push(due_after);
+      }
+
+      if (due_before) {
+        whereConditions.push('datetime(due_date) < datetime(?)');
+        params.push(due_before);
+      }
+
+      // Query language, validated by the routes (date tokens resolve against now)
+      if (q) {
+        const condition = compileTaskQuery(parseTaskQuery(q), { user_id: viewer_id || user_id, now });
+        whereConditions.push(condition.sql);
+        params.push(...condition.params);
+      }
+
+      // Tag filter: tasks carrying any (or all) of the given tag names
+      if (tags && tags.length > 0) {
+        const placeholders = tags.map(() => '?').join(', ');
+        if (tag_mode === 'all') {
+          whereConditions.push(`(
+            SELECT COUNT(DISTINCT tags.id) FROM task_tags
+            JOIN tags ON tags.id = task_tags.tag_id
+            WHERE task_tags.task_id = tasks.id AND tags.name IN (${placeholders})
+          ) = ?`);
+          params.push(...tags, new Set(tags.map(tag => tag.toLowerCase())).size);
+        } else {
+          whereConditions.push(`id IN (
+            SELECT task_tags.task_id FROM task_tags
+            JOIN tags ON tags.id = task_tags.tag_id
+            WHERE tags.name IN (${placeholders})
+          )`);
+          params.push(...tags);
+        }
+      }
+
+      const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
       // Validate sort parameters
-      const allowedSortFields = ['title', 'status', 'priority', 'due_date', 'created_at', 'updated_at', 'completion_percentage', 'priority_score'];
+      const allowedSortFields = ['title', 'status', 'priority', 'due_date', 'created_at', 'updated_at', 'completion_percentage', 'priority_score', 'deleted_at'];
       const allowedSortOrders = ['ASC', 'DESC'];
       
       const validSortBy = allowedSortFields.includes(sort_by) ? sort_by : 'created_at';
@@ -245,7 +606,7 @@ class Task {
       // Build query
       const offset = (page - 1) * limit;
       const query = `
-        SELECT * FROM tasks 
+        ${TASK_SELECT}
         ${whereClause}
         ORDER BY ${validSortBy} ${validSortOrder}
         LIMIT ? OFFSET ?
@@ -269,7 +630,16 @@ class Task {
           status,
           priority,
           is_urgent,
-          search
+          search,
+          parent_id,
+          project_id,
+          workspace_id,
+          assigned_to: assignee_id,
+          tags,
+          tag_mode: tags ? tag_mode : undefined,
+          due_after,
+          due_before,
+          q
         },
         sorting: {
           sort_by: validSortBy,
@@ -281,80 +651,1257 @@ class Task {
     }
   }
 
+  /**
+   * Full-text search over the tasks a user can see, best matches first.
+   * Every word must match, as a prefix of an indexed word. When nothing
+   * matches, words of four letters or more may also match indexed words
+   * a typo away.
+   * @param {string} viewer_id - User searching
+   * @param {string} text - Search input
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} { results: [{ task, score, highlights }], pagination, fuzzy }
+   */
+  static async search(viewer_id, text, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const terms = searchTerms(text);
+
+      let found = { rows: [], total: 0 };
+      let fuzzy = false;
+      if (terms.length > 0) {
+        found = await Task.searchIndex(viewer_id, matchExpression(terms.map(term => [term]), true), page, limit);
+        if (found.total === 0) {
+          const alternatives = await Task.typoAlternatives(viewer_id, terms);
+          if (alternatives) {
+            found = await Task.searchIndex(viewer_id, matchExpression(alternatives, true), page, limit);
+            fuzzy = true;
+          }
+        }
+      }
+
+      const tasks = found.rows.length > 0
+        ? await database.all(
+          `${TASK_SELECT} WHERE tasks.id IN (${found.rows.map(() => '?').join(', ')})`,
+          found.rows.map(row => row.task_id)
+        )
+        : [];
+      const byId = new Map(tasks.map(task => [task.id, new Task(task)]));
+
+      return {
+        results: found.rows.map(row => ({
+          task: byId.get(row.task_id),
+          score: Math.round(-row.score * 10000) / 10000,
+          highlights: {
+            title: markHighlights(row.title),
+            // Description first, comments when only they match
+            snippet: markHighlights([row.description, row.comments].find(part => part && part.includes(MARK_START)) || null)
+          }
+        })),
+        pagination: {
+          page,
+          limit,
+          total: found.total,
+          pages: Math.ceil(found.total / limit)
+        },
+        fuzzy
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Run a MATCH expression against the full-text index, limited to the
+   * tasks a user can see. Title matches weigh most, then description,
+   * then comments (BM25, lower scores are better).
+   * @param {string} viewer_id - User searching
+   * @param {string} expression - FTS5 query
+   * @param {number} page - Page
+   * @param {number} limit - Results per page
+   * @returns {Promise<Object>} { rows, total }
+   */
+  static async searchIndex(viewer_id, expression, page, limit) {
+    const scope = `
+      FROM tasks_fts
+      JOIN tasks ON tasks.id = tasks_fts.task_id
+      WHERE tasks_fts MATCH ? AND tasks.deleted_at IS NULL AND ${VISIBLE_TO_VIEWER}
+    `;
+    const params = [expression, viewer_id, viewer_id, viewer_id];
+
+    const rows = await database.all(`
+      SELECT tasks_fts.task_id,
+        bm25(tasks_fts, 0, 10, 5, 1) AS score,
+        highlight(tasks_fts, 1, ?, ?) AS title,
+        snippet(tasks_fts, 2, ?, ?, '…', 16) AS description,
+        snippet(tasks_fts, 3, ?, ?, '…', 16) AS comments
+      ${scope}
+      ORDER BY score
+      LIMIT ? OFFSET ?
+    `, [MARK_START, MARK_END, MARK_START, MARK_END, MARK_START, MARK_END, ...params, limit, (page - 1) * limit]);
+    const total = await database.get(`SELECT COUNT(*) AS count ${scope}`, params);
+
+    return { rows, total: total.count };
+  }
+
+  /**
+   * Indexed words standing in for search terms with a typo: per term the
+   * term itself and the closest words within its allowed edits that start
+   * with the same letter. Only words of tasks the user can see are
+   * candidates, so other users' tasks cannot crowd them out of the
+   * MAX_TYPO_CANDIDATES compared.
+   * @param {string} viewer_id - User searching
+   * @param {string[]} terms - Search terms
+   * @returns {Promise<string[][]|null>} Words per term, null when no term has any
+   */
+  static async typoAlternatives(viewer_id, terms) {
+    const alternatives = [];
+    for (const term of terms) {
+      const edits = allowedEdits(term);
+      const words = [term];
+      if (edits > 0) {
+        const [low, high] = firstLetterRange(term);
+        const rows = await database.all(`
+          SELECT DISTINCT term FROM tasks_fts_vocab
+          WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?
+            AND doc IN (
+              SELECT tasks_fts.rowid FROM tasks_fts
+              JOIN tasks ON tasks.id = tasks_fts.task_id
+              WHERE tasks.deleted_at IS NULL AND ${VISIBLE_TO_VIEWER}
+            )
+          LIMIT ?
+        `, [
+          low, high, term.length - edits, term.length + edits,
+          viewer_id, viewer_id, viewer_id, MAX_TYPO_CANDIDATES
+        ]);
+        words.push(...rows
+          .map(row => ({ word: row.term, distance: editDistance(term, row.term) }))
+          .filter(({ word, distance }) => word !== term && distance <= edits)
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, 10)
+          .map(({ word }) => word));
+      }
+      alternatives.push(words);
+    }
+    return alternatives.some(words => words.length > 1) ? alternatives : null;
+  }
+
   /**
    * Update task
    * @param {string} id - Task ID
    * @param {Object} updateData - Data to update
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
+   * @param {Object} [options] - Options
+   * @param {number} [options.expected_version] - Fail with 412 unless the task still has this version
+   * @param {number} [options.position] - New board position, defaults to the end of the column when the task changes column
    * @returns {Promise<Task>} Updated task instance
    */
-  static async update(id, updateData) {
+  static async update(id, updateData, actor_id, options = {}) {
     try {
-      const task = await Task.findById(id);
-      if (!task) {
-        throw new Error('Task not found');
+      // Reads and writes share a transaction, so no other request can fill
+      // the WIP limit of the new column between the check and the update
+      return await database.transaction(async () => {
+        const task = await Task.findById(id);
+        if (!task) {
+          throw new Error('Task not found');
+        }
+        if (options.expected_version !== undefined && task.version !== options.expected_version) {
+          throw await Task.preconditionFailed(id);
+        }
+
+        // Snapshot for the history, task is modified in place below
+        const before = { ...task };
+        const previousStatus = task.status;
+        const previousCategory = task.status_category;
+        const previousParentId = task.parent_id;
+        const previousProjectId = task.project_id;
+        const previousWorkspaceId = task.workspace_id;
+        const previousAssigneeId = task.assignee_id;
+
+        // Update task properties (tag names are stored separately)
+        const { tags, ...fields } = Task.pickEditable(updateData);
+        Object.assign(task, fields);
+        task.parent_id = task.parent_id || null;
+        task.project_id = task.project_id || null;
+        task.workspace_id = task.workspace_id || null;
+        task.assignee_id = task.assignee_id || null;
+        task.recurrence_rule = task.recurrence_rule || null;
+
+        if (task.parent_id && task.parent_id !== previousParentId) {
+          await Task.validateParent(task.parent_id, task.user_id, id);
+        }
+        if (task.project_id && task.project_id !== previousProjectId) {
+          await Task.validateProject(task.project_id, task.user_id);
+        }
+        if (task.workspace_id && task.workspace_id !== previousWorkspaceId) {
+          await Task.validateWorkspace(task.workspace_id, task.user_id);
+        }
+        if (task.assignee_id && (task.assignee_id !== previousAssigneeId || task.workspace_id !== previousWorkspaceId)) {
+          await Task.validateAssignee(task.assignee_id, task);
+        }
+        if (task.recurrence_rule) {
+          task.recurrence_rule = Task.validateRecurrence(task.recurrence_rule, task.due_date);
+        }
+
+        const workflow = await Workflow.forTask(task);
+        if (fields.status !== undefined) {
+          Task.validateStatus(task.status, workflow);
+          if (!workflow.canTransition(previousStatus, task.status)) {
+            throw createError(409, 'Invalid status transition', `Tasks cannot move from ${previousStatus} to ${task.status}`);
+          }
+        } else {
+          // Moving to a project with another workflow keeps the category of the status
+          task.status = workflow.mapStatus(task.status, previousCategory);
+        }
+        task.status_category = workflow.getStatus(task.status).category;
+
+        // A task entering another board column counts against its WIP limit and goes to its end
+        const columnChanged = task.status !== previousStatus || task.project_id !== previousProjectId;
+        if (columnChanged) {
+          await Task.checkWipLimit(task, workflow);
+        }
+        if (options.position !== undefined) {
+          task.position = options.position;
+        } else {
+          task.position = columnChanged ? await Task.nextPosition(task) : before.position;
+        }
+
+        if (task.status_category === 'done' && previousCategory !== 'done') {
+          const openBlockers = await TaskDependency.countOpenBlockers(id);
+          if (openBlockers > 0) {
+            throw createError(409, 'Task is blocked', `Task cannot be completed while ${openBlockers} blocking task(s) are still open`);
+          }
+        }
+
+        // Recalculate derived fields
+        task.completion_percentage = task.calculateCompletionPercentage(await Task.findSubtasks(id), workflow);
+        task.priority_score = task.calculatePriorityScore(await Setting.getScoring(task.user_id));
+
+        // Guarded by the version read above, so a concurrent edit is not overwritten
+        const result = await database.run(`
+          UPDATE tasks SET 
+            title = ?, description = ?, status = ?, status_category = ?, priority = ?, 
+            is_urgent = ?, due_date = ?, completion_percentage = ?, 
+            priority_score = ?, parent_id = ?, project_id = ?, workspace_id = ?, assignee_id = ?,
+            recurrence_rule = ?, estimate_hours = ?, progress = ?, position = ?, score_computed_at = CURRENT_TIMESTAMP,
+            version = version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND version = ?
+        `, [
+          task.title, task.description, task.status, task.status_category, task.priority,
+          task.is_urgent ? 1 : 0, task.due_date, task.completion_percentage,
+          task.priority_score, task.parent_id, task.project_id, task.workspace_id,
+          task.assignee_id, task.recurrence_rule, task.estimate_hours, task.progress, task.position,
+          id, before.version
+        ]);
+        if (result.changes === 0) {
+          throw await Task.preconditionFailed(id);
+        }
+
+        if (tags) {
+          await Tag.setTaskTags(id, task.user_id, tags);
+        }
+
+        await TaskEvent.record('updated', before, await Task.findById(id), actor_id || task.user_id);
+
+        // Cancelling a task cancels all of its unfinished subtasks
+        if (task.status_category === 'cancelled' && previousCategory !== 'cancelled') {
+          await Task.cancelDescendants(id, actor_id || task.user_id);
+        }
+
+        // Completing an occurrence of a recurring task schedules the next one
+        if (task.status_category === 'done' && previousCategory !== 'done' && task.recurrence_rule && !task.next_occurrence_id) {
+          await Task.spawnNextOccurrence(await Task.findById(id), actor_id || task.user_id);
+        }
+
+        if (task.parent_id) {
+          await Task.recalculateCompletion(task.parent_id);
+        }
+        if (previousParentId && previousParentId !== task.parent_id) {
+          await Task.recalculateCompletion(previousParentId);
+        }
+
+        return await Task.findById(id);
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a task on the board: change its status and/or put it before or
+   * after another task of the target column, in one transaction. Status
+   * changes go through Task.update, so workflow rules and WIP limits apply.
+   * @param {string} id - Task ID
+   * @param {Object} target - Target
+   * @param {string} [target.status] - New status, defaults to the current one
+   * @param {string} [target.before_id] - Put the task right before this task
+   * @param {string} [target.after_id] - Put the task right after this task
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
+   * @param {Object} [options] - Options
+   * @param {number} [options.expected_version] - Fail with 412 unless the task still has this version
+   * @returns {Promise<Task>} Moved task
+   */
+  static async move(id, target, actor_id, options = {}) {
+    try {
+      return await database.transaction(async () => {
+        const task = await Task.findById(id);
+        if (!task) {
+          throw new Error('Task not found');
+        }
+
+        const column = { ...task, status: target.status || task.status };
+        let position = await Task.positionInColumn(column, target);
+        if (position === null) {
+          await Task.renumberColumn(column);
+          position = await Task.positionInColumn(column, target);
+        }
+
+        return await Task.update(id, target.status ? { status: target.status } : {}, actor_id, {
+          ...options,
+          position
+        });
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Conditions selecting the other tasks in the board column of a task:
+   * live tasks with the same owner, project and status
+   * @param {Object} task - Task (its status is the column)
+   * @returns {Object} { where, params }
+   */
+  static columnScope(task) {
+    return {
+      where: 'tasks.user_id = ? AND tasks.project_id IS ? AND tasks.status = ? AND tasks.deleted_at IS NULL AND tasks.id != ?',
+      params: [task.user_id, task.project_id || null, task.status, task.id]
+    };
+  }
+
+  /**
+   * Position at the end of the board column of a task
+   * @param {Object} task - Task (its status is the column)
+   * @returns {Promise<number>} Position
+   */
+  static async nextPosition(task) {
+    const { where, params } = Task.columnScope(task);
+    const row = await database.get(`SELECT MAX(position) as position FROM tasks WHERE ${where}`, params);
+    return rankBetween(row.position, null);
+  }
+
+  /**
+   * Position for a task placed before or after another task of its
+   * column, or at the end when no neighbour is given
+   * @param {Object} task - Task (its status is the target column)
+   * @param {Object} target - before_id or after_id
+   * @returns {Promise<number|null>} Position, null when the column needs renumbering
+   */
+  static async positionInColumn(task, target) {
+    const referenceId = target.before_id || target.after_id;
+    if (!referenceId) {
+      return Task.nextPosition(task);
+    }
+
+    const { where, params } = Task.columnScope(task);
+    const reference = await database.get(`SELECT position FROM tasks WHERE ${where} AND tasks.id = ?`, [...params, referenceId]);
+    if (!reference) {
+      throw createError(400, 'Invalid position', 'The reference task is not in the target column');
+    }
+
+    if (target.after_id) {
+      const next = await database.get(
+        `SELECT position FROM tasks WHERE ${where} AND position > ? ORDER BY position ASC LIMIT 1`,
+        [...params, reference.position]
+      );
+      return rankBetween(reference.position, next ? next.position : null);
+    }
+
+    const previous = await database.get(
+      `SELECT position FROM tasks WHERE ${where} AND position < ? ORDER BY position DESC LIMIT 1`,
+      [...params, reference.position]
+    );
+    return rankBetween(previous ? previous.position : null, reference.position);
+  }
+
+  /**
+   * Give the tasks of a board column the positions 1, 2, 3... in their
+   * current order, making room between neighbours again
+   * @param {Object} task - Task (its status is the column)
+   * @returns {Promise<void>}
+   */
+  static async renumberColumn(task) {
+    const { where, params } = Task.columnScope(task);
+    const rows = await database.all(
+      `SELECT id FROM tasks WHERE ${where} ORDER BY position ASC, created_at ASC, id ASC`,
+      params
+    );
+    for (const [index, row] of rows.entries()) {
+      await database.run('UPDATE tasks SET position = ? WHERE id = ?', [index + 1, row.id]);
+    }
+  }
+
+  /**
+   * Ensure the board column a task enters has room for it. Call it in the
+   * transaction that writes the task, or the count can be stale.
+   * @param {Object} task - Task (its status is the column)
+   * @param {Workflow} workflow - Workflow of the task
+   * @returns {Promise<void>}
+   */
+  static async checkWipLimit(task, workflow) {
+    const status = workflow.getStatus(task.status);
+    if (!status || !status.wip_limit) {
+      return;
+    }
+
+    const { where, params } = Task.columnScope(task);
+    const row = await database.get(`SELECT COUNT(*) as count FROM tasks WHERE ${where}`, params);
+    if (row.count >= status.wip_limit) {
+      throw createError(409, 'WIP limit reached',
+        `Column ${status.name} (${status.key}) already holds ${row.count} task(s), its WIP limit is ${status.wip_limit}`);
+    }
+  }
+
+  /**
+   * Get the board of a user: one column per status of the workflow, with
+   * the tasks in board order. The board shows the user's tasks of one
+   * project, or those outside projects.
+   * @param {string} user_id - Owner of the tasks
+   * @param {Object} [options] - Options
+   * @param {string} [options.project_id] - Project of the board
+   * @param {number} [options.limit] - Tasks returned per column (counts cover all)
+   * @returns {Promise<Object>} { workflow, columns }
+   */
+  static async findBoard(user_id, options = {}) {
+    try {
+      const { project_id = null, limit = 50 } = options;
+      const workflow = await Workflow.forTask({ user_id, project_id });
+
+      const columns = [];
+      for (const status of workflow.statuses) {
+        const where = 'tasks.user_id = ? AND tasks.project_id IS ? AND tasks.status = ? AND tasks.deleted_at IS NULL';
+        const params = [user_id, project_id, status.key];
+
+        const rows = await database.all(
+          `${TASK_SELECT} WHERE ${where} ORDER BY tasks.position ASC, tasks.created_at ASC, tasks.id ASC LIMIT ?`,
+          [...params, limit]
+        );
+        const total = await database.get(`SELECT COUNT(*) as count FROM tasks WHERE ${where}`, params);
+
+        columns.push({
+          status: status.key,
+          name: status.name,
+          category: status.category,
+          wip_limit: status.wip_limit ?? null,
+          count: total.count,
+          tasks: rows.map(row => new Task(row))
+        });
       }
 
-      // Update task properties
-      Object.assign(task, updateData);
-
-      // Recalculate derived fields
-      task.completion_percentage = task.calculateCompletionPercentage();
-      task.priority_score = task.calculatePriorityScore();
-
-      await database.run(`
-        UPDATE tasks SET 
-          title = ?, description = ?, status = ?, priority = ?, 
-          is_urgent = ?, due_date = ?, completion_percentage = ?, 
-          priority_score = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [
-        task.title, task.description, task.status, task.priority,
-        task.is_urgent ? 1 : 0, task.due_date, task.completion_percentage,
-        task.priority_score, id
-      ]);
-
-      return await Task.findById(id);
+      return { workflow, columns };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Build the error for a stale If-Match version. It carries the current
+   * task so the client can merge and retry; a task deleted meanwhile
+   * gives 404 instead.
+   * @param {string} id - Task ID
+   * @returns {Promise<Error>} Error with status 412 and the current task
+   */
+  static async preconditionFailed(id) {
+    const current = await Task.findById(id);
+    if (!current) {
+      return createError(404, 'Task not found', 'The specified task does not exist');
+    }
+
+    const error = createError(412, 'Precondition failed', 'The task has been changed since it was loaded');
+    error.task = current;
+    return error;
+  }
+
+  /**
+   * Move a task and its subtasks to the trash. They are hidden everywhere
+   * until restored or purged.
+   * @param {string} id - Task ID
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
+   * @param {Object} [options] - Options
+   * @param {number} [options.expected_version] - Fail with 412 unless the task still has this version
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id, actor_id, options = {}) {
+    try {
+      // The subtree, its history and the parent's completion change together
+      return await database.transaction(async () => {
+        const task = await Task.findById(id);
+        if (!task) {
+          return false;
+        }
+
+        // One timestamp for the whole subtree, so it is restored as a unit
+        const deletedAt = new Date().toISOString();
+        const result = await database.run(
+          'UPDATE tasks SET deleted_at = ?, version = version + 1 WHERE id = ? AND version = ?',
+          [deletedAt, id, options.expected_version ?? task.version]
+        );
+        if (result.changes === 0) {
+          throw await Task.preconditionFailed(id);
+        }
+
+        const descendants = await Task.findByIds(await Task.getDescendantIds(id));
+        if (descendants.length > 0) {
+          const placeholders = descendants.map(() => '?').join(', ');
+          await database.run(
+            `UPDATE tasks SET deleted_at = ?, version = version + 1 WHERE id IN (${placeholders})`,
+            [deletedAt, ...descendants.map(deleted => deleted.id)]
+          );
+        }
+        const trashed = [task, ...descendants];
+
+        for (const deleted of trashed) {
+          await TaskEvent.record('deleted', deleted, null, actor_id || task.user_id);
+        }
+        if (task.parent_id) {
+          await Task.recalculateCompletion(task.parent_id);
+        }
+        return true;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a task from the trash together with the subtasks that were
+   * deleted with it. Subtasks cannot be restored while their parent is
+   * still in the trash.
+   * @param {Task} task - Task in the trash
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
+   * @returns {Promise<Task>} Restored task instance
+   */
+  static async restore(task, actor_id) {
+    try {
+      return await database.transaction(async () => {
+        if (!task.deleted_at) {
+          throw createError(409, 'Task is not deleted', 'Only tasks in the trash can be restored');
+        }
+        if (task.parent_id && !(await Task.findById(task.parent_id))) {
+          throw createError(409, 'Parent task is deleted', 'Restore the parent task first');
+        }
+
+        const candidateIds = [task.id, ...(await Task.getDescendantIds(task.id))];
+        const restored = (await Task.findByIds(candidateIds, { include_deleted: true }))
+          .filter(candidate => candidate.deleted_at === task.deleted_at);
+        const placeholders = restored.map(() => '?').join(', ');
+        await database.run(
+          `UPDATE tasks SET deleted_at = NULL, version = version + 1 WHERE id IN (${placeholders})`,
+          restored.map(candidate => candidate.id)
+        );
+
+        for (const candidate of restored) {
+          await TaskEvent.record('restored', null, await Task.findById(candidate.id), actor_id || task.user_id);
+        }
+        await Task.recalculateCompletion(task.id);
+
+        return await Task.findById(task.id);
+      });
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Delete task
+   * Permanently delete a task, whether in the trash or not (subtasks,
+   * comments and attachment records are removed by the ON DELETE CASCADE
+   * constraints, attachment files are removed here)
    * @param {string} id - Task ID
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
    * @returns {Promise<boolean>} Success status
    */
-  static async delete(id) {
+  static async destroy(id, actor_id) {
+    try {
+      const attachmentKeys = await database.transaction(async () => {
+        const task = await Task.findById(id, { include_deleted: true });
+        if (!task) {
+          return null;
+        }
+
+        const descendantIds = await Task.getDescendantIds(id);
+        const descendants = await Task.findByIds(descendantIds, { include_deleted: true });
+        const keys = await Attachment.findStorageKeys([id, ...descendantIds]);
+        const result = await database.run(
+          'DELETE FROM tasks WHERE id = ?',
+          [id]
+        );
+        if (result.changes === 0) {
+          return null;
+        }
+
+        // Tasks in the trash already have their deletion in the history
+        for (const deleted of [task, ...descendants].filter(candidate => !candidate.deleted_at)) {
+          await TaskEvent.record('deleted', deleted, null, actor_id || task.user_id);
+        }
+        if (task.parent_id) {
+          await Task.recalculateCompletion(task.parent_id);
+        }
+        return keys;
+      });
+      if (!attachmentKeys) {
+        return false;
+      }
+
+      // Files cannot be rolled back, so they go once the rows are gone for good
+      await Attachment.removeFiles(attachmentKeys);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete tasks that have been in the trash for longer than
+   * the retention period
+   * @param {Object} [options] - Options
+   * @param {number} [options.retentionDays] - Days to keep deleted tasks (TRASH_RETENTION_DAYS, default 30)
+   * @returns {Promise<number>} Number of purged tasks, subtasks included
+   */
+  static async purgeDeleted(options = {}) {
+    try {
+      const retentionDays = options.retentionDays ?? parseInt(process.env.TRASH_RETENTION_DAYS || 30);
+      const rows = await database.all(`
+        SELECT id FROM tasks
+        WHERE deleted_at IS NOT NULL AND datetime(deleted_at) <= datetime('now', ?)
+      `, [`-${retentionDays} days`]);
+
+      // Subtasks are never deleted later than their parent, so they are
+      // either purged here or have already gone with it
+      for (const row of rows) {
+        await Task.destroy(row.id);
+      }
+      return rows.length;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one operation to many tasks in a single transaction. Each task
+   * runs in its own savepoint, so a task that fails (missing, not editable
+   * by the user, or rejected by the update) is rolled back and reported
+   * while the others go through; unexpected errors roll back everything.
+   * @param {string[]} ids - Task IDs
+   * @param {Object} operation - { action: update|delete|move, changes, project_id }
+   * @param {string} user_id - User performing the operation, needs edit permission (delete permission to delete)
+   * @returns {Promise<Object[]>} Result per task: { id, status, data } or { id, status, error, message }
+   */
+  static async bulk(ids, operation, user_id) {
+    try {
+      return await database.transaction(async () => {
+        const results = [];
+        for (const id of ids) {
+          await database.run('SAVEPOINT bulk_task');
+          try {
+            const task = await Task.findById(id);
+            if (!task) {
+              throw createError(404, 'Task not found', 'The specified task does not exist');
+            }
+            const permission = operation.action === 'delete' ? 'delete' : 'edit';
+            if (!(await Task.hasPermission(task, user_id, permission))) {
+              throw createError(403, 'Access denied', `You do not have ${permission} permission for this task`);
+            }
+
+            let data;
+            if (operation.action === 'delete') {
+              await Task.delete(id, user_id);
+            } else {
+              const changes = operation.action === 'move' ? { project_id: operation.project_id } : operation.changes;
+              data = (await Task.update(id, changes, user_id)).toResponse();
+            }
+
+            await database.run('RELEASE bulk_task');
+            results.push({ id, status: 200, data });
+          } catch (error) {
+            await database.run('ROLLBACK TO bulk_task');
+            await database.run('RELEASE bulk_task');
+            if (!error.status) {
+              throw error;
+            }
+            results.push({ id, status: error.status, error: error.error, message: error.message });
+          }
+        }
+        return results;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get direct subtasks of a task
+   * @param {string} id - Parent task ID
+   * @returns {Promise<Task[]>} Subtasks
+   */
+  static async findSubtasks(id) {
+    try {
+      const rows = await database.all(
+        `${TASK_SELECT} WHERE parent_id = ? AND deleted_at IS NULL ORDER BY created_at ASC`,
+        [id]
+      );
+      return rows.map(row => new Task(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of all subtasks below a task, at any depth
+   * @param {string} id - Task ID
+   * @returns {Promise<string[]>} Descendant task IDs
+   */
+  static async getDescendantIds(id) {
+    try {
+      const rows = await database.all(`
+        WITH RECURSIVE descendants(id) AS (
+          SELECT id FROM tasks WHERE parent_id = ?
+          UNION
+          SELECT tasks.id FROM tasks JOIN descendants ON tasks.parent_id = descendants.id
+        )
+        SELECT id FROM descendants
+      `, [id]);
+      return rows.map(row => row.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a task can be used as parent: it must exist, be editable by
+   * the user and must not be the task itself or one of its subtasks
+   * @param {string} parentId - Proposed parent task ID
+   * @param {string} userId - Owner of the child task
+   * @param {string} [taskId] - Child task ID when re-parenting an existing task
+   * @returns {Promise<Task>} Parent task
+   */
+  static async validateParent(parentId, userId, taskId) {
+    const parent = await Task.findById(parentId);
+    if (!parent || !(await Task.hasPermission(parent, userId, 'edit'))) {
+      throw createError(400, 'Invalid parent task', 'Parent task not found');
+    }
+
+    if (taskId) {
+      const descendantIds = await Task.getDescendantIds(taskId);
+      if (parentId === taskId || descendantIds.includes(parentId)) {
+        throw createError(400, 'Invalid parent task', 'A task cannot be moved below itself or one of its subtasks');
+      }
+    }
+
+    return parent;
+  }
+
+  /**
+   * Ensure a project can receive tasks: it must exist, belong to the
+   * user and not be archived
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Task owner
+   * @returns {Promise<Project>} Project
+   */
+  static async validateProject(projectId, userId) {
+    const project = await Project.findById(projectId);
+    if (!project || project.user_id !== userId) {
+      throw createError(400, 'Invalid project', 'Project not found');
+    }
+    if (project.is_archived) {
+      throw createError(400, 'Invalid project', 'Tasks cannot be added to an archived project');
+    }
+    return project;
+  }
+
+  /**
+   * Ensure a status belongs to the workflow of a task
+   * @param {string} status - Status key
+   * @param {Workflow} workflow - Workflow of the task
+   * @returns {Object} Status definition
+   */
+  static validateStatus(status, workflow) {
+    const definition = workflow.getStatus(status);
+    if (!definition) {
+      const keys = workflow.statuses.map(candidate => candidate.key).join(', ');
+      throw createError(400, 'Invalid status', `Status must be one of: ${keys}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Ensure a user may put tasks into a workspace (editor or admin member)
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - Task owner
+   * @returns {Promise<void>}
+   */
+  static async validateWorkspace(workspaceId, userId) {
+    const role = await Workspace.getMemberRole(workspaceId, userId);
+    if (!Workspace.roleAllows(role, 'edit')) {
+      throw createError(400, 'Invalid workspace', 'Workspace not found or you cannot add tasks to it');
+    }
+  }
+
+  /**
+   * Ensure a task can be assigned to a user: the owner of a task can
+   * always be assigned, anyone else must be a member of its workspace
+   * @param {string} assigneeId - Proposed assignee
+   * @param {Task} task - Task being assigned
+   * @returns {Promise<void>}
+   */
+  static async validateAssignee(assigneeId, task) {
+    if (assigneeId === task.user_id) {
+      return;
+    }
+
+    const role = task.workspace_id ? await Workspace.getMemberRole(task.workspace_id, assigneeId) : null;
+    if (!role) {
+      throw createError(400, 'Invalid assignee', 'Tasks can only be assigned to members of the task\'s workspace');
+    }
+  }
+
+  /**
+   * Ensure a recurrence rule is valid and anchored on a due date
+   * @param {string} rule - RRULE string
+   * @param {string} dueDate - Due date of the task
+   * @returns {string} Normalised rule
+   */
+  static validateRecurrence(rule, dueDate) {
+    if (!dueDate) {
+      throw createError(400, 'Invalid recurrence', 'Recurring tasks need a due date');
+    }
+
+    try {
+      return normalizeRule(rule);
+    } catch (error) {
+      throw createError(400, 'Invalid recurrence', error.message);
+    }
+  }
+
+  /**
+   * Create the next occurrence of a recurring task. The copy keeps the
+   * content, assignment and tags, moves to the next due date and gets a
+   * freshly computed priority score. Nothing is created once the series
+   * has ended (COUNT or UNTIL reached).
+   * @param {Task} task - Completed occurrence
+   * @param {string} [actor_id] - User recorded in the task history, defaults to the owner
+   * @returns {Promise<Task|null>} Next occurrence or null
+   */
+  static async spawnNextOccurrence(task, actor_id = task.user_id) {
     try {
-      const result = await database.run(
-        'DELETE FROM tasks WHERE id = ?',
+      const dueDate = nextOccurrence(task.recurrence_rule, task.due_date, task.occurrence_index);
+      if (!dueDate) {
+        return null;
+      }
+
+      // Archived projects accept no new tasks, the next occurrence leaves them
+      const project = task.project_id ? await Project.findById(task.project_id) : null;
+
+      const next = await Task.create({
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        is_urgent: task.is_urgent,
+        due_date: dueDate,
+        user_id: task.user_id,
+        parent_id: task.parent_id,
+        project_id: project && !project.is_archived ? project.id : null,
+        workspace_id: task.workspace_id,
+        assignee_id: task.assignee_id,
+        estimate_hours: task.estimate_hours,
+        tags: task.tags.map(tag => tag.name),
+        recurrence_rule: task.recurrence_rule,
+        occurrence_index: task.occurrence_index + 1
+      }, actor_id);
+
+      await database.run(
+        'UPDATE tasks SET next_occurrence_id = ? WHERE id = ?',
+        [next.id, task.id]
+      );
+      return next;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check what a user may do with a task. Owners may do everything,
+   * assignees may view and edit, and workspace members get the
+   * permissions of their role.
+   * @param {Task} task - Task
+   * @param {string} userId - User ID
+   * @param {string} permission - view, edit or delete
+   * @returns {Promise<boolean>} Whether the permission is granted
+   */
+  static async hasPermission(task, userId, permission) {
+    if (task.user_id === userId) {
+      return true;
+    }
+    if (task.assignee_id === userId && permission !== 'delete') {
+      return true;
+    }
+    if (!task.workspace_id) {
+      return false;
+    }
+
+    const role = await Workspace.getMemberRole(task.workspace_id, userId);
+    return Workspace.roleAllows(role, permission);
+  }
+
+  /**
+   * Get the tasks blocking a task
+   * @param {string} id - Task ID
+   * @returns {Promise<Task[]>} Blocking tasks
+   */
+  static async findBlockers(id) {
+    try {
+      const rows = await database.all(`
+        ${TASK_SELECT}
+        WHERE id IN (SELECT blocker_id FROM task_dependencies WHERE task_id = ?) AND deleted_at IS NULL
+        ORDER BY created_at ASC
+      `, [id]);
+      return rows.map(row => new Task(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Make one task block another. The blocking task must be visible to
+   * the user and the dependency must not introduce a cycle.
+   * @param {Task} task - Blocked task
+   * @param {string} blockerId - Blocking task ID
+   * @param {string} [userId] - User adding the dependency, defaults to the task owner
+   * @returns {Promise<Task>} Blocking task
+   */
+  static async addBlocker(task, blockerId, userId = task.user_id) {
+    const blocker = await Task.findById(blockerId);
+    if (!blocker || !(await Task.hasPermission(blocker, userId, 'view'))) {
+      throw createError(400, 'Invalid dependency', 'Blocking task not found');
+    }
+
+    if (await TaskDependency.wouldCreateCycle(task.id, blockerId)) {
+      throw createError(400, 'Invalid dependency', 'This dependency would create a cycle');
+    }
+
+    const created = await TaskDependency.create(task.id, blockerId);
+    if (!created) {
+      throw createError(409, 'Dependency already exists', 'This task is already blocked by the given task');
+    }
+
+    return blocker;
+  }
+
+  /**
+   * Recompute the completion percentage of a task from its subtasks
+   * and propagate the change to its ancestors. Tasks whose completion
+   * changes get a new version.
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  static async recalculateCompletion(id) {
+    try {
+      await database.transaction(async () => {
+        let currentId = id;
+        while (currentId) {
+          const task = await Task.findById(currentId);
+          if (!task) {
+            return;
+          }
+
+          const completion = task.calculateCompletionPercentage(
+            await Task.findSubtasks(currentId),
+            await Workflow.forTask(task)
+          );
+          if (completion !== task.completion_percentage) {
+            await database.run(
+              'UPDATE tasks SET completion_percentage = ?, version = version + 1 WHERE id = ?',
+              [completion, currentId]
+            );
+          }
+          currentId = task.parent_id;
+        }
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Give a task a new version after a change to data shown with it, such
+   * as its checklist
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  static async touch(id) {
+    try {
+      await database.run(
+        'UPDATE tasks SET version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
         [id]
       );
-      return result.changes > 0;
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Get task statistics for a user
+   * Unassign a former workspace member from the tasks of the workspace
+   * they do not own. Each task gets a new version and an update in its
+   * history.
+   * @param {string} workspace_id - Workspace ID
+   * @param {string} user_id - Former member
+   * @param {string} actor_id - User recorded in the task history
+   * @returns {Promise<number>} Number of unassigned tasks
+   */
+  static async unassignMember(workspace_id, user_id, actor_id) {
+    try {
+      return await database.transaction(async () => {
+        const rows = await database.all(
+          'SELECT id FROM tasks WHERE workspace_id = ? AND assignee_id = ? AND user_id != ?',
+          [workspace_id, user_id, user_id]
+        );
+        const tasks = await Task.findByIds(rows.map(row => row.id), { include_deleted: true });
+
+        for (const task of tasks) {
+          await database.run(
+            'UPDATE tasks SET assignee_id = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [task.id]
+          );
+          await TaskEvent.record('updated', task, { ...task, assignee_id: null }, actor_id);
+        }
+        return tasks.length;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the tasks of a user in line with their workflows after a
+   * workflow was changed or removed. Statuses that no longer exist move to
+   * the first status of the same category and categories follow the status
+   * definitions; each moved task gets an update in its history by the user.
+   * Completion is recomputed for the moved tasks and for tasks showing the
+   * weight of a status whose weight changed, then for their ancestors.
+   * @param {string} user_id - Owner of the tasks
+   * @returns {Promise<number>} Number of tasks whose status changed
+   */
+  static async syncWorkflows(user_id) {
+    try {
+      return await database.transaction(async () => {
+        const groups = await database.all(`
+          SELECT project_id, status, status_category FROM tasks
+          WHERE user_id = ?
+          GROUP BY project_id, status, status_category
+        `, [user_id]);
+
+        const recalculateIds = new Set();
+        let changed = 0;
+        for (const group of groups) {
+          const workflow = await Workflow.forTask({ user_id, project_id: group.project_id });
+          const status = workflow.getStatus(workflow.mapStatus(group.status, group.status_category));
+          const groupParams = [user_id, group.project_id, group.status, group.status_category];
+
+          if (status.key === group.status && status.category === group.status_category) {
+            // Same status, but its weight may have changed
+            const stale = await database.all(`
+              SELECT id FROM tasks
+              WHERE user_id = ? AND project_id IS ? AND status = ? AND status_category = ?
+                AND deleted_at IS NULL AND completion_percentage IS NOT ?
+                AND (status_category NOT IN ('todo', 'in_progress') OR (
+                  progress IS NULL
+                  AND NOT EXISTS (SELECT 1 FROM tasks AS subtasks WHERE subtasks.parent_id = tasks.id AND subtasks.deleted_at IS NULL)
+                  AND NOT EXISTS (SELECT 1 FROM checklist_items WHERE checklist_items.task_id = tasks.id)
+                ))
+            `, [...groupParams, status.weight]);
+            stale.forEach(row => recalculateIds.add(row.id));
+            continue;
+          }
+
+          const before = (await database.all(
+            `${TASK_SELECT} WHERE user_id = ? AND project_id IS ? AND status = ? AND status_category = ?`,
+            groupParams
+          )).map(row => new Task(row));
+          await database.run(`
+            UPDATE tasks SET status = ?, status_category = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND project_id IS ? AND status = ? AND status_category = ?
+          `, [status.key, status.category, ...groupParams]);
+
+          const after = await Task.findByIds(before.map(task => task.id), { include_deleted: true });
+          for (const task of before) {
+            await TaskEvent.record('updated', task, after.find(updated => updated.id === task.id), user_id);
+            recalculateIds.add(task.id);
+          }
+          changed += before.length;
+        }
+
+        // Tasks in the trash are skipped, their ancestors are updated on restore
+        for (const id of recalculateIds) {
+          await Task.recalculateCompletion(id);
+        }
+
+        return changed;
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel every unfinished subtask below a task, at any depth
+   * @param {string} id - Task ID
+   * @returns {Promise<number>} Number of cancelled subtasks
+   */
+  static async cancelDescendants(id, actor_id) {
+    try {
+      const descendantIds = await Task.getDescendantIds(id);
+      if (descendantIds.length === 0) {
+        return 0;
+      }
+
+      const openDescendants = (await Task.findByIds(descendantIds))
+        .filter(task => OPEN_CATEGORIES.includes(task.status_category));
+
+      // Each subtask moves to the first cancelled status of its own workflow
+      let cancelled = 0;
+      for (const task of openDescendants) {
+        const status = (await Workflow.forTask(task)).firstOfCategory('cancelled');
+        const result = await database.run(`
+          UPDATE tasks SET status = ?, status_category = 'cancelled', completion_percentage = ?,
+            version = version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status_category IN ('todo', 'in_progress') AND deleted_at IS NULL
+        `, [status.key, status.weight, task.id]);
+
+        if (result.changes > 0) {
+          cancelled++;
+          await TaskEvent.record('updated', task, { ...task, status: status.key }, actor_id || task.user_id);
+        }
+      }
+      return cancelled;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute the priority score of every open task. The due date part of
+   * the score changes as time passes, so stored scores go stale. Tasks are
+   * processed in batches and the event loop is released between batches
+   * so requests keep being served; rows whose version changed while a batch
+   * was being computed are left alone.
+   * @param {Object} [options] - Options
+   * @param {number} [options.batchSize] - Tasks per batch (SCORE_BATCH_SIZE, default 200)
+   * @param {string} [options.user_id] - Only recompute the tasks of this owner
+   * @returns {Promise<Object>} Number of tasks processed and scores changed
+   */
+  static async recalculatePriorityScores(options = {}) {
+    try {
+      const batchSize = options.batchSize || parseInt(process.env.SCORE_BATCH_SIZE || 200);
+      const ownerCondition = options.user_id ? 'AND user_id = ?' : '';
+      const ownerParams = options.user_id ? [options.user_id] : [];
+      // Scoring settings of each owner, loaded once per run
+      const scorings = new Map();
+      let lastId = '';
+      let processed = 0;
+      let updated = 0;
+
+      for (;;) {
+        const rows = await database.all(`
+          SELECT id, user_id, priority, is_urgent, due_date, estimate_hours, priority_score, version FROM tasks
+          WHERE status_category IN ('todo', 'in_progress') AND deleted_at IS NULL ${ownerCondition} AND id > ?
+          ORDER BY id ASC
+          LIMIT ?
+        `, [...ownerParams, lastId, batchSize]);
+
+        for (const row of rows) {
+          if (!scorings.has(row.user_id)) {
+            scorings.set(row.user_id, await Setting.getScoring(row.user_id));
+          }
+          const score = new Task(row).calculatePriorityScore(scorings.get(row.user_id));
+          const result = await database.run(`
+            UPDATE tasks SET priority_score = ?, score_computed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND version = ?
+          `, [score, row.id, row.version]);
+
+          if (result.changes > 0 && score !== row.priority_score) {
+            updated++;
+          }
+        }
+
+        processed += rows.length;
+        if (rows.length < batchSize) {
+          break;
+        }
+
+        lastId = rows[rows.length - 1].id;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      return { processed, updated };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get task statistics for a user, optionally limited to one project
    * @param {string} user_id - User ID
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.project_id] - Only count tasks of this project
    * @returns {Promise<Object>} Task statistics
    */
-  static async getStatistics(user_id) {
+  static async getStatistics(user_id, filters = {}) {
     try {
+      const whereConditions = ['tasks.user_id = ?', 'tasks.deleted_at IS NULL'];
+      const params = [user_id];
+
+      if (filters.project_id) {
+        whereConditions.push('tasks.project_id = ?');
+        params.push(filters.project_id);
+      }
+
+      const whereClause = whereConditions.join(' AND ');
+
       const stats = await database.get(`
         SELECT 
           COUNT(*) as total_tasks,
-          SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed_tasks,
-          SUM(CASE WHEN status = 'IN_PROGRESS' THEN 1 ELSE 0 END) as in_progress_tasks,
-          SUM(CASE WHEN status = 'TODO' THEN 1 ELSE 0 END) as pending_tasks,
+          SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) as completed_tasks,
+          SUM(CASE WHEN status_category = 'in_progress' THEN 1 ELSE 0 END) as in_progress_tasks,
+          SUM(CASE WHEN status_category = 'todo' THEN 1 ELSE 0 END) as pending_tasks,
           SUM(CASE WHEN is_urgent = 1 THEN 1 ELSE 0 END) as urgent_tasks,
           AVG(completion_percentage) as avg_completion,
           AVG(priority_score) as avg_priority_score
         FROM tasks 
-        WHERE user_id = ?
-      `, [user_id]);
+        WHERE ${whereClause}
+      `, params);
+
+      // Effort of leaf tasks only, so estimates of parents and their subtasks are not counted twice
+      const effort = await database.get(`
+        SELECT
+          COUNT(estimate_hours) as estimated_tasks,
+          SUM(estimate_hours) as estimated_hours,
+          SUM(CASE WHEN status_category IN ('todo', 'in_progress')
+            THEN estimate_hours * (100 - completion_percentage) / 100.0 ELSE 0 END) as remaining_hours
+        FROM tasks
+        WHERE ${whereClause} AND status_category != 'cancelled' AND NOT EXISTS (
+          SELECT 1 FROM tasks AS subtasks
+          WHERE subtasks.parent_id = tasks.id AND subtasks.status_category != 'cancelled' AND subtasks.deleted_at IS NULL
+        )
+      `, params);
+
+      // Per-tag counts over the same set of tasks
+      const tags = await database.all(`
+        SELECT tags.id, tags.name, tags.color, COUNT(tasks.id) as task_count
+        FROM tags
+        LEFT JOIN task_tags ON task_tags.tag_id = tags.id
+        LEFT JOIN tasks ON tasks.id = task_tags.task_id AND ${whereClause}
+        WHERE tags.user_id = ?
+        GROUP BY tags.id
+        ORDER BY tags.name ASC
+      `, [...params, user_id]);
 
       return {
         total_tasks: stats.total_tasks || 0,
@@ -366,7 +1913,13 @@ class Task {
         avg_priority_score: Math.round(stats.avg_priority_score || 0),
         completion_rate: stats.total_tasks > 0 
           ? Math.round((stats.completed_tasks / stats.total_tasks) * 100) 
-          : 0
+          : 0,
+        effort: {
+          estimated_tasks: effort.estimated_tasks || 0,
+          estimated_hours: Math.round((effort.estimated_hours || 0) * 100) / 100,
+          remaining_hours: Math.round((effort.remaining_hours || 0) * 100) / 100
+        },
+        tags
       };
     } catch (error) {
       throw error;
@@ -383,12 +1936,32 @@ class Task {
       title: this.title,
       description: this.description,
       status: this.status,
+      status_category: this.status_category,
       priority: this.priority,
       is_urgent: Boolean(this.is_urgent),
       due_date: this.due_date,
       completion_percentage: this.completion_percentage,
       priority_score: this.priority_score,
+      score_computed_at: this.score_computed_at,
+      estimate_hours: this.estimate_hours,
+      progress: this.progress,
       user_id: this.user_id,
+      parent_id: this.parent_id,
+      project_id: this.project_id,
+      workspace_id: this.workspace_id,
+      assignee_id: this.assignee_id,
+      recurrence_rule: this.recurrence_rule,
+      occurrence_index: this.occurrence_index,
+      next_occurrence_id: this.next_occurrence_id,
+      subtask_count: this.subtask_count,
+      is_blocked: this.is_blocked,
+      comment_count: this.comment_count,
+      tracked_seconds: this.tracked_seconds,
+      tags: this.tags,
+      checklist: this.checklist,
+      deleted_at: this.deleted_at,
+      version: this.version,
+      position: this.position,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -0,0 +1,92 @@
+const { database } = require('../utils/database');
+
+/**
+ * "Blocked by" relation between tasks: task_id cannot be completed
+ * while blocker_id is still open (TODO or IN_PROGRESS).
+ */
+class TaskDependency {
+  /**
+   * Add a dependency
+   * @param {string} task_id - Blocked task ID
+   * @param {string} blocker_id - Blocking task ID
+   * @returns {Promise<boolean>} False if the dependency already existed
+   */
+  static async create(task_id, blocker_id) {
+    try {
+      const result = await database.run(
+        'INSERT OR IGNORE INTO task_dependencies (task_id, blocker_id) VALUES (?, ?)',
+        [task_id, blocker_id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a dependency
+   * @param {string} task_id - Blocked task ID
+   * @param {string} blocker_id - Blocking task ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(task_id, blocker_id) {
+    try {
+      const result = await database.run(
+        'DELETE FROM task_dependencies WHERE task_id = ? AND blocker_id = ?',
+        [task_id, blocker_id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether making blocker_id block task_id would close a cycle,
+   * i.e. whether task_id already (transitively) blocks blocker_id
+   * @param {string} task_id - Blocked task ID
+   * @param {string} blocker_id - Blocking task ID
+   * @returns {Promise<boolean>} Whether a cycle would be created
+   */
+  static async wouldCreateCycle(task_id, blocker_id) {
+    try {
+      if (task_id === blocker_id) {
+        return true;
+      }
+
+      const row = await database.get(`
+        WITH RECURSIVE upstream(id) AS (
+          SELECT blocker_id FROM task_dependencies WHERE task_id = ?
+          UNION
+          SELECT task_dependencies.blocker_id FROM task_dependencies
+          JOIN upstream ON task_dependencies.task_id = upstream.id
+        )
+        SELECT 1 AS found FROM upstream WHERE id = ? LIMIT 1
+      `, [blocker_id, task_id]);
+      return Boolean(row);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count blockers of a task that are still open
+   * @param {string} task_id - Blocked task ID
+   * @returns {Promise<number>} Number of open blockers
+   */
+  static async countOpenBlockers(task_id) {
+    try {
+      const row = await database.get(`
+        SELECT COUNT(*) as count FROM task_dependencies
+        JOIN tasks ON tasks.id = task_dependencies.blocker_id
+        WHERE task_dependencies.task_id = ? AND tasks.status_category IN ('todo', 'in_progress')
+          AND tasks.deleted_at IS NULL
+      `, [task_id]);
+      return row.count;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskDependency;
@@ -0,0 +1,242 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         task_id:
+ *           type: string
+ *         task_title:
+ *           type: string
+ *           description: Title of the task when the event happened
+ *         event_type:
+ *           type: string
+ *           enum: [created, updated, deleted, restored]
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         changes:
+ *           type: object
+ *           description: Changed fields with their values before and after the event
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: {}
+ *               to: {}
+ *           example:
+ *             status:
+ *               from: TODO
+ *               to: IN_PROGRESS
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Fields whose changes are recorded (derived fields are left out)
+const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'priority', 'is_urgent', 'due_date',
+  'parent_id', 'project_id', 'workspace_id', 'assignee_id', 'recurrence_rule',
+  'estimate_hours', 'progress', 'tags'
+];
+
+// Base query for loading events together with their actor
+const EVENT_SELECT = `
+  SELECT task_events.*, users.username
+  FROM task_events
+  LEFT JOIN users ON users.id = task_events.actor_id
+`;
+
+/**
+ * Normalise a tracked field so equal values compare equal
+ * @param {Object} task - Task
+ * @param {string} field - Field name
+ * @returns {*} Comparable value
+ */
+const fieldValue = (task, field) => {
+  if (field === 'tags') {
+    return (task.tags || []).map(tag => tag.name).sort();
+  }
+  if (field === 'is_urgent') {
+    return Boolean(task.is_urgent);
+  }
+  return task[field] ?? null;
+};
+
+class TaskEvent {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.task_id = data.task_id;
+    this.task_title = data.task_title;
+    this.owner_id = data.owner_id;
+    this.workspace_id = data.workspace_id || null;
+    this.actor_id = data.actor_id || null;
+    this.username = data.username;
+    this.event_type = data.event_type;
+    this.changes = typeof data.changes === 'string' ? JSON.parse(data.changes) : (data.changes || {});
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Compute the tracked fields that differ between two versions of a task.
+   * Either version may be null (creation and deletion).
+   * @param {Object|null} before - Task before the event
+   * @param {Object|null} after - Task after the event
+   * @returns {Object} Changes as { field: { from, to } }
+   */
+  static diff(before, after) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      const from = before ? fieldValue(before, field) : null;
+      const to = after ? fieldValue(after, field) : null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Record an event for a task. Updates that change no tracked field are
+   * not recorded.
+   * @param {string} event_type - created, updated, deleted or restored
+   * @param {Object|null} before - Task before the event
+   * @param {Object|null} after - Task after the event
+   * @param {string} actor_id - User who caused the event
+   * @returns {Promise<TaskEvent|null>} Recorded event or null
+   */
+  static async record(event_type, before, after, actor_id) {
+    try {
+      const changes = TaskEvent.diff(before, after);
+      if (event_type === 'updated' && Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      const task = after || before;
+      const event = new TaskEvent({
+        task_id: task.id,
+        task_title: task.title,
+        owner_id: task.user_id,
+        workspace_id: task.workspace_id,
+        actor_id,
+        event_type,
+        changes
+      });
+      await database.run(`
+        INSERT INTO task_events (id, task_id, task_title, owner_id, workspace_id, actor_id, event_type, changes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        event.id, event.task_id, event.task_title, event.owner_id, event.workspace_id,
+        event.actor_id, event.event_type, JSON.stringify(event.changes)
+      ]);
+      return event;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the history of a task, newest first, with pagination
+   * @param {string} task_id - Task ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Object with events and pagination info
+   */
+  static async findByTask(task_id, options = {}) {
+    try {
+      return await TaskEvent.paginate(['task_events.task_id = ?'], [task_id], options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the activity feed of a user: events on tasks they own, are
+   * assigned to or share through a workspace, and events they caused
+   * @param {string} user_id - User ID
+   * @param {Object} options - Query options (page, limit, event_types)
+   * @returns {Promise<Object>} Object with events and pagination info
+   */
+  static async findFeed(user_id, options = {}) {
+    try {
+      return await TaskEvent.paginate([`(
+        task_events.owner_id = ? OR task_events.actor_id = ?
+        OR task_events.task_id IN (SELECT id FROM tasks WHERE assignee_id = ?)
+        OR task_events.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+      )`], [user_id, user_id, user_id, user_id], options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Run a paginated event query
+   * @param {string[]} whereConditions - SQL conditions
+   * @param {Array} params - Condition parameters
+   * @param {Object} options - page, limit and event_types
+   * @returns {Promise<Object>} Object with events and pagination info
+   */
+  static async paginate(whereConditions, params, options = {}) {
+    try {
+      const { page = 1, limit = 10, event_types = [] } = options;
+      const conditions = [...whereConditions];
+      const conditionParams = [...params];
+
+      if (event_types.length > 0) {
+        conditions.push(`task_events.event_type IN (${event_types.map(() => '?').join(', ')})`);
+        conditionParams.push(...event_types);
+      }
+
+      const whereClause = `WHERE ${conditions.join(' AND ')}`;
+      const offset = (page - 1) * limit;
+
+      const rows = await database.all(
+        `${EVENT_SELECT} ${whereClause} ORDER BY task_events.created_at DESC, task_events.rowid DESC LIMIT ? OFFSET ?`,
+        [...conditionParams, limit, offset]
+      );
+      const totalCount = await database.get(
+        `SELECT COUNT(*) as count FROM task_events ${whereClause}`,
+        conditionParams
+      );
+
+      return {
+        events: rows.map(row => new TaskEvent(row)),
+        pagination: {
+          page,
+          limit,
+          total: totalCount.count,
+          pages: Math.ceil(totalCount.count / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get event data for API response
+   * @returns {Object} Formatted event data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      task_id: this.task_id,
+      task_title: this.task_title,
+      event_type: this.event_type,
+      actor: this.actor_id ? { id: this.actor_id, username: this.username } : null,
+      changes: this.changes,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = TaskEvent;
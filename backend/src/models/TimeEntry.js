@@ -0,0 +1,318 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { createError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimeEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         task_id:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         ended_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Null while the timer is running
+ *         duration_seconds:
+ *           type: integer
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         is_running:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Base query for loading time entries together with their user
+const TIME_ENTRY_SELECT = `
+  SELECT time_entries.*, users.username
+  FROM time_entries
+  LEFT JOIN users ON users.id = time_entries.user_id
+`;
+
+// Manual entries longer than a day are almost certainly typos
+const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+
+class TimeEntry {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.task_id = data.task_id;
+    this.user_id = data.user_id;
+    this.username = data.username;
+    this.started_at = data.started_at;
+    this.ended_at = data.ended_at || null;
+    this.duration_seconds = data.duration_seconds ?? null;
+    this.note = data.note || null;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Log a finished piece of work. The end is given either as ended_at or
+   * as duration_minutes after started_at.
+   * @param {Object} entryData - task_id, user_id, started_at, ended_at or duration_minutes, note
+   * @returns {Promise<TimeEntry>} Created time entry instance
+   */
+  static async create(entryData) {
+    try {
+      const startedAt = moment.utc(entryData.started_at);
+      const endedAt = entryData.ended_at
+        ? moment.utc(entryData.ended_at)
+        : startedAt.clone().add(entryData.duration_minutes, 'minutes');
+      const duration = endedAt.diff(startedAt, 'seconds');
+
+      if (!(duration > 0) || duration > MAX_ENTRY_SECONDS) {
+        throw createError(400, 'Invalid time entry', 'A time entry must end after it starts and last at most 24 hours');
+      }
+      if (endedAt.isAfter(moment.utc())) {
+        throw createError(400, 'Invalid time entry', 'A time entry cannot end in the future');
+      }
+
+      const entry = new TimeEntry({
+        ...entryData,
+        started_at: startedAt.toISOString(),
+        ended_at: endedAt.toISOString(),
+        duration_seconds: duration
+      });
+      await database.run(`
+        INSERT INTO time_entries (id, task_id, user_id, started_at, ended_at, duration_seconds, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [entry.id, entry.task_id, entry.user_id, entry.started_at, entry.ended_at, entry.duration_seconds, entry.note]);
+
+      return await TimeEntry.findById(entry.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Start a timer on a task. A user can only have one running timer.
+   * @param {string} task_id - Task ID
+   * @param {string} user_id - User ID
+   * @param {string} [note] - Note
+   * @returns {Promise<TimeEntry>} Running time entry instance
+   */
+  static async start(task_id, user_id, note) {
+    try {
+      const running = await TimeEntry.findRunning(user_id);
+      if (running) {
+        throw createError(409, 'Timer already running', `Stop the timer running on task ${running.task_id} first`);
+      }
+
+      const entry = new TimeEntry({ task_id, user_id, note, started_at: moment.utc().toISOString() });
+      try {
+        await database.run(
+          'INSERT INTO time_entries (id, task_id, user_id, started_at, note) VALUES (?, ?, ?, ?, ?)',
+          [entry.id, entry.task_id, entry.user_id, entry.started_at, entry.note]
+        );
+      } catch (error) {
+        // Another request started a timer in the meantime (idx_time_entries_running)
+        if (error.code === 'SQLITE_CONSTRAINT') {
+          throw createError(409, 'Timer already running', 'Stop the running timer first');
+        }
+        throw error;
+      }
+
+      return await TimeEntry.findById(entry.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the running timer of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<TimeEntry>} Finished time entry instance
+   */
+  static async stop(user_id) {
+    try {
+      const running = await TimeEntry.findRunning(user_id);
+      if (!running) {
+        throw createError(404, 'No running timer', 'There is no timer running');
+      }
+
+      const endedAt = moment.utc();
+      await database.run(
+        'UPDATE time_entries SET ended_at = ?, duration_seconds = ? WHERE id = ? AND ended_at IS NULL',
+        [endedAt.toISOString(), Math.max(endedAt.diff(moment.utc(running.started_at), 'seconds'), 0), running.id]
+      );
+
+      return await TimeEntry.findById(running.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find time entry by ID
+   * @param {string} id - Time entry ID
+   * @returns {Promise<TimeEntry|null>} Time entry instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get(`${TIME_ENTRY_SELECT} WHERE time_entries.id = ?`, [id]);
+      return data ? new TimeEntry(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the running timer of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<TimeEntry|null>} Running time entry or null
+   */
+  static async findRunning(user_id) {
+    try {
+      const data = await database.get(
+        `${TIME_ENTRY_SELECT} WHERE time_entries.user_id = ? AND time_entries.ended_at IS NULL`,
+        [user_id]
+      );
+      return data ? new TimeEntry(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time entries of a task, newest first, with pagination and the
+   * total of finished entries
+   * @param {string} task_id - Task ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Object with entries, total_seconds and pagination info
+   */
+  static async findByTask(task_id, options = {}) {
+    try {
+      const { page = 1, limit = 10 } = options;
+      const offset = (page - 1) * limit;
+
+      const rows = await database.all(
+        `${TIME_ENTRY_SELECT} WHERE time_entries.task_id = ? ORDER BY time_entries.started_at DESC LIMIT ? OFFSET ?`,
+        [task_id, limit, offset]
+      );
+      const totals = await database.get(
+        'SELECT COUNT(*) as count, COALESCE(SUM(duration_seconds), 0) as seconds FROM time_entries WHERE task_id = ?',
+        [task_id]
+      );
+
+      return {
+        entries: rows.map(row => new TimeEntry(row)),
+        total_seconds: totals.seconds,
+        pagination: {
+          page,
+          limit,
+          total: totals.count,
+          pages: Math.ceil(totals.count / limit)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete time entry
+   * @param {string} id - Time entry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM time_entries WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise the finished time entries of a user by day (UTC), task and
+   * task status. Entries are attributed to the day they started.
+   * @param {string} user_id - User ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD), inclusive
+   * @returns {Promise<Object>} Totals and groups
+   */
+  static async summarize(user_id, from, to) {
+    try {
+      const range = `
+        FROM time_entries
+        JOIN tasks ON tasks.id = time_entries.task_id
+        WHERE time_entries.user_id = ? AND time_entries.ended_at IS NOT NULL
+          AND time_entries.started_at >= ? AND time_entries.started_at < ?
+      `;
+      const params = [
+        user_id,
+        moment.utc(from).startOf('day').toISOString(),
+        moment.utc(to).add(1, 'day').startOf('day').toISOString()
+      ];
+
+      const byDay = await database.all(`
+        SELECT date(time_entries.started_at) as day, SUM(duration_seconds) as seconds
+        ${range} GROUP BY day ORDER BY day ASC
+      `, params);
+      const byTask = await database.all(`
+        SELECT tasks.id as task_id, tasks.title, SUM(duration_seconds) as seconds
+        ${range} GROUP BY tasks.id ORDER BY seconds DESC, tasks.title ASC
+      `, params);
+      const byStatus = await database.all(`
+        SELECT tasks.status, SUM(duration_seconds) as seconds
+        ${range} GROUP BY tasks.status ORDER BY seconds DESC
+      `, params);
+
+      const withHours = row => ({ ...row, hours: Math.round((row.seconds / 3600) * 100) / 100 });
+      const totalSeconds = byDay.reduce((sum, row) => sum + row.seconds, 0);
+
+      return {
+        from,
+        to,
+        ...withHours({ seconds: totalSeconds }),
+        by_day: byDay.map(withHours),
+        by_task: byTask.map(withHours),
+        by_status: byStatus.map(withHours)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get time entry data for API response
+   * @returns {Object} Formatted time entry data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      task_id: this.task_id,
+      user: {
+        id: this.user_id,
+        username: this.username
+      },
+      started_at: this.started_at,
+      ended_at: this.ended_at,
+      duration_seconds: this.duration_seconds,
+      note: this.note,
+      is_running: this.ended_at === null,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = TimeEntry;
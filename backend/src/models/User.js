@@ -1,6 +1,8 @@
 const { database } = require('../utils/database');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('./RefreshToken');
+const Attachment = require('./Attachment');
 
 /**
  * @swagger
@@ -26,6 +28,17 @@ const { v4: uuidv4 } = require('uuid');
  *         password:
  *           type: string
  *           description: Hashed password
+ *         token_version:
+ *           type: integer
+ *           description: Incremented to invalidate all issued access tokens
+ *         role:
+ *           type: string
+ *           enum: [user, manager, admin]
+ *           default: user
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ *           description: Disabled users can not log in
  *         created_at:
  *           type: string
  *           format: date-time
@@ -41,6 +54,11 @@ const { v4: uuidv4 } = require('uuid');
  *           type: string
  *         email:
  *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, manager, admin]
+ *         is_active:
+ *           type: boolean
  *         created_at:
  *           type: string
  *           format: date-time
@@ -55,6 +73,9 @@ class User {
     this.username = data.username;
     this.email = data.email;
     this.password = data.password;
+    this.token_version = data.token_version || 0;
+    this.role = data.role || 'user';
+    this.is_active = data.is_active !== undefined ? Boolean(data.is_active) : true;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -212,6 +233,11 @@ class User {
         [...values, id]
       );
 
+      // A new password invalidates every outstanding session
+      if (updateData.password) {
+        await User.revokeSessions(id);
+      }
+
       return await User.findById(id);
     } catch (error) {
       throw error;
@@ -219,16 +245,58 @@ class User {
   }
 
   /**
-   * Delete user
+   * Revoke every session of a user: bumping token_version invalidates all
+   * issued access tokens and the refresh tokens are revoked alongside
+   * @param {string} id - User ID
+   * @returns {Promise<void>}
+   */
+  static async revokeSessions(id) {
+    try {
+      await database.run(
+        'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+        [id]
+      );
+      await RefreshToken.revokeAllForUser(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable a user account. Disabling also revokes every
+   * session so the user is logged out immediately.
+   * @param {string} id - User ID
+   * @param {boolean} isActive - New active status
+   * @returns {Promise<User>} Updated user instance
+   */
+  static async setActive(id, isActive) {
+    try {
+      const user = await User.update(id, { is_active: isActive ? 1 : 0 });
+      if (!isActive) {
+        await User.revokeSessions(id);
+      }
+      return user;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete user. Their tasks and attachment records go with the ON DELETE
+   * CASCADE constraints; the attachment files are removed here.
    * @param {string} id - User ID
    * @returns {Promise<boolean>} Success status
    */
   static async delete(id) {
     try {
+      const attachmentKeys = await Attachment.findStorageKeysOfUser(id);
       const result = await database.run(
         'DELETE FROM users WHERE id = ?',
         [id]
       );
+      if (result.changes > 0) {
+        await Attachment.removeFiles(attachmentKeys);
+      }
       return result.changes > 0;
     } catch (error) {
       throw error;
@@ -262,6 +330,8 @@ class User {
       id: this.id,
       username: this.username,
       email: this.email,
+      role: this.role,
+      is_active: this.is_active,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
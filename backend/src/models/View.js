@@ -0,0 +1,205 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     View:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: View name, unique per user (case-insensitive)
+ *         filters:
+ *           type: object
+ *           description: >
+ *             Filters of GET /api/tasks (status, priority, is_urgent, search,
+ *             parent_id, project_id, workspace_id, assigned_to, tags, tag_mode,
+ *             due_after, due_before, q). Date tokens are resolved each time the
+ *             view runs.
+ *           example:
+ *             assigned_to: me
+ *             due_after: now
+ *             due_before: +3d
+ *         sort_by:
+ *           type: string
+ *           example: due_date
+ *         sort_order:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         page_size:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+class View {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.filters = typeof data.filters === 'string' ? JSON.parse(data.filters) : (data.filters || {});
+    this.sort_by = data.sort_by || 'created_at';
+    this.sort_order = data.sort_order || 'DESC';
+    this.page_size = data.page_size || 10;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create a new saved view
+   * @param {Object} viewData - user_id, name, filters, sort_by, sort_order, page_size
+   * @returns {Promise<View>} Created view instance
+   */
+  static async create(viewData) {
+    try {
+      const existing = await View.findByName(viewData.user_id, viewData.name);
+      if (existing) {
+        throw createError(409, 'View already exists', `A view named "${viewData.name}" already exists`);
+      }
+
+      const view = new View(viewData);
+      await database.run(`
+        INSERT INTO views (id, user_id, name, filters, sort_by, sort_order, page_size)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        view.id, view.user_id, view.name, JSON.stringify(view.filters),
+        view.sort_by, view.sort_order, view.page_size
+      ]);
+
+      return await View.findById(view.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find view by ID
+   * @param {string} id - View ID
+   * @returns {Promise<View|null>} View instance or null
+   */
+  static async findById(id) {
+    try {
+      const viewData = await database.get('SELECT * FROM views WHERE id = ?', [id]);
+      return viewData ? new View(viewData) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's view by name (case-insensitive)
+   * @param {string} user_id - User ID
+   * @param {string} name - View name
+   * @returns {Promise<View|null>} View instance or null
+   */
+  static async findByName(user_id, name) {
+    try {
+      const viewData = await database.get(
+        'SELECT * FROM views WHERE user_id = ? AND name = ?',
+        [user_id, name]
+      );
+      return viewData ? new View(viewData) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all views of a user
+   * @param {string} user_id - User ID
+   * @returns {Promise<View[]>} Views ordered by name
+   */
+  static async findByUser(user_id) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM views WHERE user_id = ? ORDER BY name ASC',
+        [user_id]
+      );
+      return rows.map(row => new View(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a view. New filters replace the old ones as a whole.
+   * @param {string} id - View ID
+   * @param {Object} updateData - name, filters, sort_by, sort_order, page_size
+   * @returns {Promise<View>} Updated view instance
+   */
+  static async update(id, updateData) {
+    try {
+      const view = await View.findById(id);
+      if (!view) {
+        throw new Error('View not found');
+      }
+
+      if (updateData.name !== undefined && updateData.name.toLowerCase() !== view.name.toLowerCase()) {
+        const existing = await View.findByName(view.user_id, updateData.name);
+        if (existing) {
+          throw createError(409, 'View already exists', `A view named "${updateData.name}" already exists`);
+        }
+      }
+
+      for (const field of ['name', 'filters', 'sort_by', 'sort_order', 'page_size']) {
+        if (updateData[field] !== undefined) {
+          view[field] = updateData[field];
+        }
+      }
+
+      await database.run(`
+        UPDATE views
+        SET name = ?, filters = ?, sort_by = ?, sort_order = ?, page_size = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [view.name, JSON.stringify(view.filters), view.sort_by, view.sort_order, view.page_size, id]);
+
+      return await View.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete view
+   * @param {string} id - View ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM views WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get view data for API response
+   * @returns {Object} Formatted view data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      name: this.name,
+      filters: this.filters,
+      sort_by: this.sort_by,
+      sort_order: this.sort_order,
+      page_size: this.page_size,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = View;
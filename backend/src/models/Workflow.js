@@ -0,0 +1,359 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../utils/errors');
+const { DEFAULT_WORKFLOW, normalizeWorkflow } = require('../utils/workflow');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkflowStatus:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: IN_REVIEW
+ *         name:
+ *           type: string
+ *           example: In review
+ *         category:
+ *           type: string
+ *           enum: [todo, in_progress, done, cancelled]
+ *         weight:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Completion percentage of tasks in this status (open tasks only without subtasks, checklist or reported progress)
+ *         wip_limit:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Most tasks the board column of this status may hold, null for no limit
+ *     Workflow:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the built-in workflow
+ *         name:
+ *           type: string
+ *         project_id:
+ *           type: string
+ *           nullable: true
+ *           description: Project the workflow applies to, null for the user's default workflow
+ *         statuses:
+ *           type: array
+ *           description: Ordered statuses, the first one is the initial status
+ *           items:
+ *             $ref: '#/components/schemas/WorkflowStatus'
+ *         transitions:
+ *           type: object
+ *           nullable: true
+ *           description: Allowed target statuses per status; statuses without an entry (or a null map) may move anywhere
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example:
+ *             TODO: [IN_PROGRESS, CANCELLED]
+ *             IN_PROGRESS: [IN_REVIEW, TODO]
+ *             IN_REVIEW: [COMPLETED, IN_PROGRESS]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+class Workflow {
+  constructor(data = {}) {
+    this.id = data.id === undefined ? uuidv4() : data.id;
+    this.user_id = data.user_id;
+    this.project_id = data.project_id || null;
+    this.name = data.name;
+    this.statuses = typeof data.statuses === 'string' ? JSON.parse(data.statuses) : data.statuses;
+    this.transitions = typeof data.transitions === 'string' ? JSON.parse(data.transitions) : (data.transitions || null);
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * The workflow of tasks nobody configured a workflow for
+   * @returns {Workflow} Built-in workflow
+   */
+  static builtIn() {
+    return new Workflow({ id: null, name: 'Default', ...DEFAULT_WORKFLOW });
+  }
+
+  /**
+   * Create a workflow for a user, either their default workflow or the
+   * workflow of one of their projects
+   * @param {Object} workflowData - user_id, name, project_id, statuses, transitions
+   * @returns {Promise<Workflow>} Created workflow instance
+   */
+  static async create(workflowData) {
+    try {
+      const workflow = new Workflow({
+        ...workflowData,
+        ...Workflow.validateDefinition(workflowData)
+      });
+
+      if (workflow.project_id) {
+        await Workflow.validateProject(workflow.project_id, workflow.user_id);
+      }
+
+      const existing = await database.get(
+        'SELECT id FROM workflows WHERE user_id = ? AND project_id IS ?',
+        [workflow.user_id, workflow.project_id]
+      );
+      if (existing) {
+        throw createError(409, 'Workflow already exists', workflow.project_id
+          ? 'This project already has a workflow'
+          : 'You already have a default workflow');
+      }
+
+      await database.run(`
+        INSERT INTO workflows (id, user_id, project_id, name, statuses, transitions)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        workflow.id, workflow.user_id, workflow.project_id, workflow.name,
+        JSON.stringify(workflow.statuses), workflow.transitions ? JSON.stringify(workflow.transitions) : null
+      ]);
+
+      return await Workflow.findById(workflow.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find workflow by ID
+   * @param {string} id - Workflow ID
+   * @returns {Promise<Workflow|null>} Workflow instance or null
+   */
+  static async findById(id) {
+    try {
+      const data = await database.get('SELECT * FROM workflows WHERE id = ?', [id]);
+      return data ? new Workflow(data) : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the workflows of a user, the default workflow first
+   * @param {string} user_id - User ID
+   * @returns {Promise<Workflow[]>} Workflows
+   */
+  static async findByUser(user_id) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM workflows WHERE user_id = ? ORDER BY project_id IS NOT NULL, name ASC',
+        [user_id]
+      );
+      return rows.map(row => new Workflow(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the workflow governing a task: the workflow of its project,
+   * else the default workflow of its owner, else the built-in workflow
+   * @param {Object} task - Task or { user_id, project_id }
+   * @returns {Promise<Workflow>} Workflow
+   */
+  static async forTask(task) {
+    try {
+      const row = await database.get(`
+        SELECT * FROM workflows
+        WHERE (project_id = ? OR (user_id = ? AND project_id IS NULL))
+        ORDER BY project_id IS NULL
+        LIMIT 1
+      `, [task.project_id || null, task.user_id]);
+      return row ? new Workflow(row) : Workflow.builtIn();
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Status keys a user may meet in task lists: those of the built-in
+   * workflow and of the workflows of everybody sharing a workspace with
+   * the user (the user included)
+   * @param {string} user_id - User ID
+   * @returns {Promise<string[]>} Status keys
+   */
+  static async knownStatuses(user_id) {
+    try {
+      const rows = await database.all(`
+        SELECT statuses FROM workflows
+        WHERE user_id = ? OR user_id IN (
+          SELECT others.user_id FROM workspace_members AS mine
+          JOIN workspace_members AS others ON others.workspace_id = mine.workspace_id
+          WHERE mine.user_id = ?
+        )
+      `, [user_id, user_id]);
+
+      const keys = new Set(DEFAULT_WORKFLOW.statuses.map(status => status.key));
+      for (const row of rows) {
+        JSON.parse(row.statuses).forEach(status => keys.add(status.key));
+      }
+      return [...keys];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update the name, statuses and/or transitions of a workflow
+   * @param {string} id - Workflow ID
+   * @param {Object} updateData - name, statuses, transitions
+   * @returns {Promise<Workflow>} Updated workflow instance
+   */
+  static async update(id, updateData) {
+    try {
+      const workflow = await Workflow.findById(id);
+      if (!workflow) {
+        throw new Error('Workflow not found');
+      }
+
+      // Transition rules refer to statuses, so a new status list drops the old rules unless new ones are given
+      const definition = Workflow.validateDefinition({
+        statuses: updateData.statuses ?? workflow.statuses,
+        transitions: updateData.transitions !== undefined || updateData.statuses !== undefined
+          ? updateData.transitions
+          : workflow.transitions
+      });
+
+      await database.run(`
+        UPDATE workflows SET name = ?, statuses = ?, transitions = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        updateData.name ?? workflow.name,
+        JSON.stringify(definition.statuses),
+        definition.transitions ? JSON.stringify(definition.transitions) : null,
+        id
+      ]);
+
+      return await Workflow.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete workflow (its tasks fall back to the next workflow in line)
+   * @param {string} id - Workflow ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM workflows WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check and normalise a workflow definition
+   * @param {Object} definition - { statuses, transitions }
+   * @returns {Object} Normalised { statuses, transitions }
+   */
+  static validateDefinition(definition) {
+    try {
+      return normalizeWorkflow(definition);
+    } catch (error) {
+      throw createError(400, 'Invalid workflow', error.message);
+    }
+  }
+
+  /**
+   * Ensure a workflow can be attached to a project: it must exist and
+   * belong to the user
+   * @param {string} projectId - Project ID
+   * @param {string} userId - Workflow owner
+   * @returns {Promise<void>}
+   */
+  static async validateProject(projectId, userId) {
+    const project = await database.get('SELECT user_id FROM projects WHERE id = ?', [projectId]);
+    if (!project || project.user_id !== userId) {
+      throw createError(400, 'Invalid project', 'Project not found');
+    }
+  }
+
+  /**
+   * Get a status of the workflow
+   * @param {string} key - Status key
+   * @returns {Object|null} Status definition or null
+   */
+  getStatus(key) {
+    return this.statuses.find(status => status.key === key) || null;
+  }
+
+  /**
+   * Status of new tasks
+   * @returns {string} Status key
+   */
+  initialStatus() {
+    return this.statuses[0].key;
+  }
+
+  /**
+   * First status of a category
+   * @param {string} category - Category
+   * @returns {Object|null} Status definition or null
+   */
+  firstOfCategory(category) {
+    return this.statuses.find(status => status.category === category) || null;
+  }
+
+  /**
+   * Whether a task may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransition(from, to) {
+    if (from === to || !this.transitions || !this.transitions[from]) {
+      return true;
+    }
+    return this.transitions[from].includes(to);
+  }
+
+  /**
+   * Map a status onto this workflow: statuses of the workflow are kept,
+   * others become the first status of the same category (in_progress
+   * falls back to the initial status when the workflow has none)
+   * @param {string} key - Status key
+   * @param {string} category - Category of the status
+   * @returns {string} Status key of this workflow
+   */
+  mapStatus(key, category) {
+    if (this.getStatus(key)) {
+      return key;
+    }
+    return (this.firstOfCategory(category) || this.statuses[0]).key;
+  }
+
+  /**
+   * Get workflow data for API response
+   * @returns {Object} Formatted workflow data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      name: this.name,
+      project_id: this.project_id,
+      statuses: this.statuses,
+      transitions: this.transitions,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Workflow;
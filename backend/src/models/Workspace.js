@@ -0,0 +1,295 @@
+const { database } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Workspace:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         owner_id:
+ *           type: string
+ *           description: User who created the workspace
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, admin]
+ *           description: Role of the current user in the workspace
+ *         member_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     WorkspaceMember:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, admin]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// What each member role may do with the tasks of a workspace
+const ROLE_PERMISSIONS = {
+  viewer: ['view'],
+  editor: ['view', 'edit'],
+  admin: ['view', 'edit', 'delete']
+};
+
+// Base query for loading workspaces together with their member count
+const WORKSPACE_SELECT = `
+  SELECT workspaces.*,
+    (SELECT COUNT(*) FROM workspace_members WHERE workspace_members.workspace_id = workspaces.id) AS member_count
+  FROM workspaces
+`;
+
+class Workspace {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.owner_id = data.owner_id;
+    this.role = data.role;
+    this.member_count = data.member_count || 0;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Check whether a member role grants a permission
+   * @param {string|null} role - Member role
+   * @param {string} permission - view, edit or delete
+   * @returns {boolean} Whether the permission is granted
+   */
+  static roleAllows(role, permission) {
+    return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+  }
+
+  /**
+   * Create a workspace; the creator becomes its first admin
+   * @param {Object} workspaceData - Workspace data
+   * @returns {Promise<Workspace>} Created workspace instance
+   */
+  static async create(workspaceData) {
+    try {
+      if (!workspaceData.name || !workspaceData.owner_id) {
+        throw new Error('Name and owner_id are required');
+      }
+
+      const workspace = new Workspace(workspaceData);
+      await database.run(
+        'INSERT INTO workspaces (id, name, owner_id) VALUES (?, ?, ?)',
+        [workspace.id, workspace.name, workspace.owner_id]
+      );
+      await Workspace.addMember(workspace.id, workspace.owner_id, 'admin');
+
+      return await Workspace.findById(workspace.id, workspace.owner_id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find workspace by ID
+   * @param {string} id - Workspace ID
+   * @param {string} [user_id] - Include the role of this user
+   * @returns {Promise<Workspace|null>} Workspace instance or null
+   */
+  static async findById(id, user_id) {
+    try {
+      const data = await database.get(`${WORKSPACE_SELECT} WHERE id = ?`, [id]);
+      if (!data) {
+        return null;
+      }
+
+      const workspace = new Workspace(data);
+      if (user_id) {
+        workspace.role = await Workspace.getMemberRole(id, user_id);
+      }
+      return workspace;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all workspaces a user is a member of
+   * @param {string} user_id - User ID
+   * @returns {Promise<Workspace[]>} Workspaces with the user's role
+   */
+  static async findAllForUser(user_id) {
+    try {
+      const rows = await database.all(`
+        SELECT workspaces.*, workspace_members.role,
+          (SELECT COUNT(*) FROM workspace_members AS members WHERE members.workspace_id = workspaces.id) AS member_count
+        FROM workspaces
+        JOIN workspace_members ON workspace_members.workspace_id = workspaces.id
+        WHERE workspace_members.user_id = ?
+        ORDER BY workspaces.name ASC
+      `, [user_id]);
+      return rows.map(row => new Workspace(row));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Workspace>} Updated workspace instance
+   */
+  static async update(id, updateData) {
+    try {
+      await database.run(
+        'UPDATE workspaces SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [updateData.name, id]
+      );
+      return await Workspace.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete workspace (its tasks fall back to their owners)
+   * @param {string} id - Workspace ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    try {
+      const result = await database.run('DELETE FROM workspaces WHERE id = ?', [id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the role of a user in a workspace
+   * @param {string} workspace_id - Workspace ID
+   * @param {string} user_id - User ID
+   * @returns {Promise<string|null>} Role or null if not a member
+   */
+  static async getMemberRole(workspace_id, user_id) {
+    try {
+      const row = await database.get(
+        'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+        [workspace_id, user_id]
+      );
+      return row ? row.role : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the members of a workspace
+   * @param {string} workspace_id - Workspace ID
+   * @returns {Promise<Object[]>} Members with username and role
+   */
+  static async findMembers(workspace_id) {
+    try {
+      return await database.all(`
+        SELECT workspace_members.user_id, users.username, workspace_members.role, workspace_members.created_at
+        FROM workspace_members
+        JOIN users ON users.id = workspace_members.user_id
+        WHERE workspace_members.workspace_id = ?
+        ORDER BY users.username ASC
+      `, [workspace_id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add a member to a workspace
+   * @param {string} workspace_id - Workspace ID
+   * @param {string} user_id - User ID
+   * @param {string} role - viewer, editor or admin
+   * @returns {Promise<void>}
+   */
+  static async addMember(workspace_id, user_id, role = 'editor') {
+    try {
+      if (await Workspace.getMemberRole(workspace_id, user_id)) {
+        throw createError(409, 'Member already exists', 'The user is already a member of this workspace');
+      }
+
+      await database.run(
+        'INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+        [workspace_id, user_id, role]
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role of a member
+   * @param {string} workspace_id - Workspace ID
+   * @param {string} user_id - User ID
+   * @param {string} role - viewer, editor or admin
+   * @returns {Promise<boolean>} Whether the member exists
+   */
+  static async updateMemberRole(workspace_id, user_id, role) {
+    try {
+      const result = await database.run(
+        'UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?',
+        [role, workspace_id, user_id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a workspace. Their tasks in the workspace are
+   * unassigned with Task.unassignMember.
+   * @param {string} workspace_id - Workspace ID
+   * @param {string} user_id - User ID
+   * @returns {Promise<boolean>} Whether the member existed
+   */
+  static async removeMember(workspace_id, user_id) {
+    try {
+      const result = await database.run(
+        'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+        [workspace_id, user_id]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get workspace data for API response
+   * @returns {Object} Formatted workspace data
+   */
+  toResponse() {
+    return {
+      id: this.id,
+      name: this.name,
+      owner_id: this.owner_id,
+      role: this.role,
+      member_count: this.member_count,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,91 @@
+const express = require('express');
+const TaskEvent = require('../models/TaskEvent');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateActivityFilters,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all activity routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Get the activity feed of the current user, newest first
+ *     description: >
+ *       Task events on tasks the user owns, is assigned to or shares through a
+ *       workspace, plus every event the user caused. Events of deleted tasks
+ *       stay in the feed.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types (created, updated, deleted, restored)
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskEvent'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validatePagination, validateActivityFilters, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type } = req.query;
+
+    const result = await TaskEvent.findFeed(req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      event_types: type ? type.split(',') : []
+    });
+
+    res.json({
+      success: true,
+      data: result.events.map(event => event.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Activity retrieval error:', error);
+    res.status(500).json({
+      error: 'Activity retrieval failed',
+      message: 'An error occurred while retrieving activity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require('express');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+  validateUserId,
+  validateRoleUpdate,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all admin routes
+router.use(authenticateToken);
+
+/**
+ * Load the target user or respond with 404
+ */
+const loadUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('User lookup error:', error);
+    res.status(500).json({
+      error: 'User retrieval failed',
+      message: 'An error occurred while retrieving the user'
+    });
+  }
+};
+
+/**
+ * Prevent admins from locking themselves out
+ */
+const forbidSelf = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      error: 'Invalid operation',
+      message: 'You cannot perform this action on your own account'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List all users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserResponse'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires manager or admin role
+ */
+router.get('/users', authorizeRoles(['manager', 'admin']), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const result = await User.findAll(parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      data: result.users.map(user => user.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('User list error:', error);
+    res.status(500).json({
+      error: 'User retrieval failed',
+      message: 'An error occurred while retrieving users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a specific user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/UserResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires manager or admin role
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', authorizeRoles(['manager', 'admin']), validateUserId, loadUser, async (req, res) => {
+  res.json({
+    success: true,
+    data: req.targetUser.toResponse()
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/disable:
+ *   post:
+ *     summary: Disable a user account and revoke its sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User disabled successfully
+ *       400:
+ *         description: Cannot disable your own account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires admin role
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/disable', authorizeRoles(['admin']), validateUserId, forbidSelf, loadUser, async (req, res) => {
+  try {
+    const user = await User.setActive(req.params.id, false);
+
+    res.json({
+      success: true,
+      message: 'User disabled successfully',
+      data: user.toResponse()
+    });
+  } catch (error) {
+    console.error('User disable error:', error);
+    res.status(500).json({
+      error: 'User update failed',
+      message: 'An error occurred while disabling the user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/enable:
+ *   post:
+ *     summary: Re-enable a disabled user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User enabled successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires admin role
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/enable', authorizeRoles(['admin']), validateUserId, loadUser, async (req, res) => {
+  try {
+    const user = await User.setActive(req.params.id, true);
+
+    res.json({
+      success: true,
+      message: 'User enabled successfully',
+      data: user.toResponse()
+    });
+  } catch (error) {
+    console.error('User enable error:', error);
+    res.status(500).json({
+      error: 'User update failed',
+      message: 'An error occurred while enabling the user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change the role of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, manager, admin]
+ *                 example: "manager"
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or attempt to change your own role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires admin role
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', authorizeRoles(['admin']), validateUserId, validateRoleUpdate, forbidSelf, loadUser, async (req, res) => {
+  try {
+    const user = await User.update(req.params.id, { role: req.body.role });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: user.toResponse()
+    });
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({
+      error: 'User update failed',
+      message: 'An error occurred while updating the role'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   delete:
+ *     summary: Delete a user and all of their tasks
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       400:
+ *         description: Cannot delete your own account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires admin role
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:id', authorizeRoles(['admin']), validateUserId, forbidSelf, loadUser, async (req, res) => {
+  try {
+    await User.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('User deletion error:', error);
+    res.status(500).json({
+      error: 'User deletion failed',
+      message: 'An error occurred while deleting the user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/scores/recompute:
+ *   post:
+ *     summary: Recompute the priority score of all open tasks now
+ *     description: The same recomputation also runs every SCORE_RECOMPUTE_INTERVAL_MS.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scores recomputed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     processed:
+ *                       type: integer
+ *                       description: Open tasks visited
+ *                     updated:
+ *                       type: integer
+ *                       description: Tasks whose score changed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ */
+router.post('/scores/recompute', authorizeRoles(['admin']), async (req, res) => {
+  try {
+    const result = await Task.recalculatePriorityScores();
+
+    res.json({
+      success: true,
+      message: 'Priority scores recomputed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Score recomputation error:', error);
+    res.status(500).json({
+      error: 'Score recomputation failed',
+      message: 'An error occurred while recomputing priority scores'
+    });
+  }
+});
+
+module.exports = router;
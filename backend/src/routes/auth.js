@@ -1,10 +1,14 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
 const { authenticateToken } = require('../middleware/auth');
+const { issueTokens } = require('../utils/tokens');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
+  validateRefreshToken,
+  validateLogout,
   validateEmail, 
   validatePassword 
 } = require('../middleware/validation');
@@ -61,7 +65,10 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/UserResponse'
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: Short-lived JWT access token
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
  *       400:
  *         description: Validation error
  *         content:
@@ -107,18 +114,15 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     // Create user
     const user = await User.create({ username, email, password });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Generate access and refresh tokens
+    const { token, refresh_token } = await issueTokens(user);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: user.toResponse(),
-      token
+      token,
+      refresh_token
     });
   } catch (error) {
     if (error.message.includes('already exists')) {
@@ -176,7 +180,10 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  *                   $ref: '#/components/schemas/UserResponse'
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: Short-lived JWT access token
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
  *       400:
  *         description: Validation error
  *       401:
@@ -192,6 +199,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Username or password is incorrect"
+ *       403:
+ *         description: Account disabled
  */
 router.post('/login', validateUserLogin, async (req, res) => {
   try {
@@ -215,18 +224,22 @@ router.post('/login', validateUserLogin, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    if (!user.is_active) {
+      return res.status(403).json({
+        error: 'Account disabled',
+        message: 'This account has been disabled'
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refresh_token } = await issueTokens(user);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: user.toResponse(),
-      token
+      token,
+      refresh_token
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -237,6 +250,182 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The presented refresh token is rotated and can not be used again. Replaying a rotated token revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Token refreshed successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/UserResponse'
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const stored = await RefreshToken.findByToken(req.body.refresh_token);
+    if (!stored) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'The provided refresh token is invalid'
+      });
+    }
+
+    if (stored.revoked_at) {
+      // A rotated token is being replayed: assume it was stolen
+      await RefreshToken.revokeFamily(stored.family_id);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'The provided refresh token has been revoked'
+      });
+    }
+
+    if (!stored.isActive()) {
+      return res.status(401).json({
+        error: 'Refresh token expired',
+        message: 'The refresh token has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(stored.user_id);
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: user ? 'This account has been disabled' : 'User not found'
+      });
+    }
+
+    const { token, refresh_token, record } = await issueTokens(user, stored.family_id);
+    if (!(await RefreshToken.revoke(stored.id, record.id))) {
+      // A concurrent request rotated the token first: treat it as reuse,
+      // which also revokes the token just issued in the same family
+      await RefreshToken.revokeFamily(stored.family_id);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'The provided refresh token has been revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: user.toResponse(),
+      token,
+      refresh_token
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: 'An error occurred while refreshing the token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 description: Refresh token of this session, revoked together with the access token
+ *               all:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Revoke every session of the user
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logout successful"
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, validateLogout, async (req, res) => {
+  try {
+    const { refresh_token, all } = req.body;
+
+    if (all === true || all === 'true') {
+      await User.revokeSessions(req.user.id);
+    } else {
+      if (req.token.jti) {
+        await RevokedToken.add(req.token.jti, req.user.id, req.token.exp);
+      }
+
+      if (refresh_token) {
+        const stored = await RefreshToken.findByToken(refresh_token);
+        if (stored && stored.user_id === req.user.id) {
+          await RefreshToken.revokeFamily(stored.family_id);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -313,7 +502,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                 example: "NewPassword123"
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Profile updated successfully. Changing the password revokes every existing session and returns a new token pair.
  *         content:
  *           application/json:
  *             schema:
@@ -327,6 +516,12 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                   example: "Profile updated successfully"
  *                 data:
  *                   $ref: '#/components/schemas/UserResponse'
+ *                 token:
+ *                   type: string
+ *                   description: New access token (only when the password changed)
+ *                 refresh_token:
+ *                   type: string
+ *                   description: New refresh token (only when the password changed)
  *       400:
  *         description: Validation error
  *       401:
@@ -365,10 +560,14 @@ router.put('/profile', authenticateToken, validateEmail, async (req, res) => {
     // Update user
     const updatedUser = await User.update(req.user.id, updateData);
 
+    // A password change revokes all sessions, so hand this client a fresh pair
+    const tokens = password ? await issueTokens(updatedUser) : null;
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      data: updatedUser.toResponse()
+      data: updatedUser.toResponse(),
+      ...(tokens && { token: tokens.token, refresh_token: tokens.refresh_token })
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -0,0 +1,127 @@
+const express = require('express');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBoardQuery } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all board routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/boards:
+ *   get:
+ *     summary: Get the Kanban board of the current user
+ *     description: >
+ *       One column per status of the workflow, in workflow order, holding the
+ *       user's tasks of the project (or the tasks outside projects) in board
+ *       order. count covers the whole column, tasks at most limit of them.
+ *       Reorder and move tasks with POST /api/tasks/{id}/move.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Project of the board, omit for tasks outside projects
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Tasks per column
+ *     responses:
+ *       200:
+ *         description: Board retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     workflow:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                           nullable: true
+ *                         name:
+ *                           type: string
+ *                     project_id:
+ *                       type: string
+ *                       nullable: true
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           category:
+ *                             type: string
+ *                           wip_limit:
+ *                             type: integer
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                           tasks:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid project
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validateBoardQuery, async (req, res) => {
+  try {
+    const { project_id, limit = 50 } = req.query;
+    if (project_id) {
+      await Workflow.validateProject(project_id, req.user.id);
+    }
+
+    const board = await Task.findBoard(req.user.id, {
+      project_id: project_id || null,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        workflow: { id: board.workflow.id, name: board.workflow.name },
+        project_id: project_id || null,
+        columns: board.columns.map(column => ({
+          ...column,
+          tasks: column.tasks.map(task => task.toResponse())
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Board retrieval error:', error);
+    res.status(500).json({
+      error: 'Board retrieval failed',
+      message: 'An error occurred while retrieving the board'
+    });
+  }
+});
+
+module.exports = router;
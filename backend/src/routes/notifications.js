@@ -0,0 +1,221 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const {
+  validateNotificationId,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all notification routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the notifications of the current user, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only return unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, unread } = req.query;
+
+    const result = await Notification.findAll({
+      user_id: req.user.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      unread_only: unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result.notifications.map(notification => notification.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Notification retrieval error:', error);
+    res.status(500).json({
+      error: 'Notification retrieval failed',
+      message: 'An error occurred while retrieving notifications'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unread_count:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    res.json({
+      success: true,
+      data: { unread_count: unreadCount }
+    });
+  } catch (error) {
+    console.error('Notification count error:', error);
+    res.status(500).json({
+      error: 'Notification retrieval failed',
+      message: 'An error occurred while counting notifications'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({
+      error: 'Notification update failed',
+      message: 'An error occurred while updating notifications'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', validateNotificationId, requireOwnership('notification'), async (req, res) => {
+  try {
+    const notification = await Notification.markRead(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification.toResponse()
+    });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({
+      error: 'Notification update failed',
+      message: 'An error occurred while updating the notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const express = require('express');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const { database } = require('../utils/database');
+const {
+  validateProjectCreation,
+  validateProjectUpdate,
+  validateProjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all project routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/projects:
+ *   post:
+ *     summary: Create a new project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Client A website"
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               color:
+ *                 type: string
+ *                 example: "#2563EB"
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Project created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', validateProjectCreation, async (req, res) => {
+  try {
+    const { name, description, color, is_archived } = req.body;
+    const project = await Project.create({
+      name,
+      description,
+      color,
+      is_archived,
+      user_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: project.toResponse()
+    });
+  } catch (error) {
+    console.error('Project creation error:', error);
+    res.status(500).json({
+      error: 'Project creation failed',
+      message: 'An error occurred while creating the project'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects:
+ *   get:
+ *     summary: Get the projects of the current user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return archived projects
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, include_archived } = req.query;
+
+    const result = await Project.findAll({
+      user_id: req.user.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      include_archived: include_archived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result.projects.map(project => project.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Project retrieval error:', error);
+    res.status(500).json({
+      error: 'Project retrieval failed',
+      message: 'An error occurred while retrieving projects'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   get:
+ *     summary: Get a specific project by ID
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Project retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id', validateProjectId, requireOwnership('project'), async (req, res) => {
+  res.json({
+    success: true,
+    data: req.resource.toResponse()
+  });
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/statistics:
+ *   get:
+ *     summary: Get task statistics for a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully (same shape as /api/tasks/statistics)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/statistics', validateProjectId, requireOwnership('project'), async (req, res) => {
+  try {
+    const statistics = await Task.getStatistics(req.user.id, { project_id: req.params.id });
+
+    res.json({
+      success: true,
+      data: statistics
+    });
+  } catch (error) {
+    console.error('Project statistics error:', error);
+    res.status(500).json({
+      error: 'Statistics retrieval failed',
+      message: 'An error occurred while retrieving statistics'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   put:
+ *     summary: Update a specific project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               is_archived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.put('/:id', validateProjectId, validateProjectUpdate, requireOwnership('project'), async (req, res) => {
+  try {
+    const { name, description, color, is_archived } = req.body;
+    const project = await Project.update(req.params.id, { name, description, color, is_archived });
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: project.toResponse()
+    });
+  } catch (error) {
+    console.error('Project update error:', error);
+    res.status(500).json({
+      error: 'Project update failed',
+      message: 'An error occurred while updating the project'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     summary: Delete a project (its tasks are kept without a project)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Project deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/:id', validateProjectId, requireOwnership('project'), async (req, res) => {
+  try {
+    await database.transaction(async () => {
+      await Project.delete(req.params.id);
+      // The project's workflow went with it, its former tasks fall back to the default workflow
+      await Task.syncWorkflows(req.user.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Project deletion error:', error);
+    res.status(500).json({
+      error: 'Project deletion failed',
+      message: 'An error occurred while deleting the project'
+    });
+  }
+});
+
+module.exports = router;
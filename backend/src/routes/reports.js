@@ -0,0 +1,121 @@
+const express = require('express');
+const moment = require('moment');
+const TimeEntry = require('../models/TimeEntry');
+const { authenticateToken } = require('../middleware/auth');
+const { validateTimeReport } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all report routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/reports/time:
+ *   get:
+ *     summary: Summarise the time logged by the current user
+ *     description: >
+ *       Finished time entries are grouped by day (UTC, by start time), task and
+ *       task status. The range defaults to the last 7 days including today.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range (inclusive)
+ *     responses:
+ *       200:
+ *         description: Time report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     seconds:
+ *                       type: integer
+ *                     hours:
+ *                       type: number
+ *                     by_day:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           day:
+ *                             type: string
+ *                             format: date
+ *                           seconds:
+ *                             type: integer
+ *                           hours:
+ *                             type: number
+ *                     by_task:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           task_id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           seconds:
+ *                             type: integer
+ *                           hours:
+ *                             type: number
+ *                     by_status:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           seconds:
+ *                             type: integer
+ *                           hours:
+ *                             type: number
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/time', validateTimeReport, async (req, res) => {
+  try {
+    const to = req.query.to || moment.utc().format('YYYY-MM-DD');
+    const from = req.query.from || moment.utc(to).subtract(6, 'days').format('YYYY-MM-DD');
+
+    const report = await TimeEntry.summarize(req.user.id, from, to);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Time report error:', error);
+    res.status(500).json({
+      error: 'Report generation failed',
+      message: 'An error occurred while generating the time report'
+    });
+  }
+});
+
+module.exports = router;
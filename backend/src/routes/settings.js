@@ -0,0 +1,244 @@
+const express = require('express');
+const Setting = require('../models/Setting');
+const Task = require('../models/Task');
+const { authenticateToken } = require('../middleware/auth');
+const { validateScoringSettings, validateReminderSettings } = require('../middleware/validation');
+const { listStrategies } = require('../utils/scoring');
+const { leadTimes } = require('../jobs/reminders');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all settings routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/settings/scoring:
+ *   get:
+ *     summary: Get the priority scoring strategy and weights of the current user
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scoring settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ScoringSettings'
+ *                     - type: object
+ *                       properties:
+ *                         strategies:
+ *                           type: array
+ *                           description: Available strategies with their default weights
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/scoring', async (req, res) => {
+  try {
+    const settings = await Setting.getScoringSettings(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        strategies: listStrategies()
+      }
+    });
+  } catch (error) {
+    console.error('Scoring settings retrieval error:', error);
+    res.status(500).json({
+      error: 'Settings retrieval failed',
+      message: 'An error occurred while retrieving scoring settings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/scoring:
+ *   put:
+ *     summary: Select a scoring strategy and override its weights
+ *     description: >
+ *       Weight overrides are given per strategy, may be partial and replace the
+ *       stored overrides of that strategy. The priority scores of the user's
+ *       open tasks are recomputed with the new settings.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               strategy:
+ *                 type: string
+ *                 enum: [default, eisenhower, wsjf]
+ *               weights:
+ *                 type: object
+ *                 example:
+ *                   default:
+ *                     urgent: 30
+ *                     priority:
+ *                       HIGH: 50
+ *     responses:
+ *       200:
+ *         description: Scoring settings updated successfully
+ *       400:
+ *         description: Validation error or unknown weight
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/scoring', validateScoringSettings, async (req, res) => {
+  try {
+    const settings = await Setting.updateScoring(req.user.id, {
+      strategy: req.body.strategy,
+      weights: req.body.weights
+    });
+    const { processed } = await Task.recalculatePriorityScores({ user_id: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Scoring settings updated successfully',
+      data: {
+        ...settings,
+        rescored_tasks: processed
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Scoring settings update error:', error);
+    res.status(500).json({
+      error: 'Settings update failed',
+      message: 'An error occurred while updating scoring settings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/reminders:
+ *   get:
+ *     summary: Get the due date reminder lead times of the current user
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lead_minutes:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [60, 1440]
+ *                     is_default:
+ *                       type: boolean
+ *                       description: Whether the server defaults apply
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/reminders', async (req, res) => {
+  try {
+    const stored = await Setting.get(req.user.id, 'reminders');
+
+    res.json({
+      success: true,
+      data: {
+        lead_minutes: stored ? stored.lead_minutes : leadTimes(),
+        is_default: !stored
+      }
+    });
+  } catch (error) {
+    console.error('Reminder settings retrieval error:', error);
+    res.status(500).json({
+      error: 'Settings retrieval failed',
+      message: 'An error occurred while retrieving reminder settings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/reminders:
+ *   put:
+ *     summary: Choose when due date reminders are sent
+ *     description: >
+ *       Reminders are sent the given numbers of minutes before a task is
+ *       due, and once it is overdue. An empty list keeps only the overdue
+ *       reminder.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lead_minutes
+ *             properties:
+ *               lead_minutes:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: integer
+ *                   minimum: 1
+ *                   maximum: 43200
+ *                 example: [30, 2880]
+ *     responses:
+ *       200:
+ *         description: Reminder settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/reminders', validateReminderSettings, async (req, res) => {
+  try {
+    const leadMinutes = [...new Set(req.body.lead_minutes)].sort((a, b) => a - b);
+    await Setting.set(req.user.id, 'reminders', { lead_minutes: leadMinutes });
+
+    res.json({
+      success: true,
+      message: 'Reminder settings updated successfully',
+      data: {
+        lead_minutes: leadMinutes,
+        is_default: false
+      }
+    });
+  } catch (error) {
+    console.error('Reminder settings update error:', error);
+    res.status(500).json({
+      error: 'Settings update failed',
+      message: 'An error occurred while updating reminder settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const Tag = require('../models/Tag');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const {
+  validateTagCreation,
+  validateTagUpdate,
+  validateTagId
+} = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all tag routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get all tags of the current user
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Tag.findAllByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: tags.map(tag => tag.toResponse())
+    });
+  } catch (error) {
+    console.error('Tag retrieval error:', error);
+    res.status(500).json({
+      error: 'Tag retrieval failed',
+      message: 'An error occurred while retrieving tags'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: Create a new tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 30
+ *                 example: "client-a"
+ *               color:
+ *                 type: string
+ *                 example: "#2563EB"
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Tag already exists
+ */
+router.post('/', validateTagCreation, async (req, res) => {
+  try {
+    const tag = await Tag.create({
+      user_id: req.user.id,
+      name: req.body.name,
+      color: req.body.color
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tag.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Tag creation error:', error);
+    res.status(500).json({
+      error: 'Tag creation failed',
+      message: 'An error occurred while creating the tag'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   put:
+ *     summary: Rename or recolour a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Tag already exists
+ */
+router.put('/:id', validateTagId, validateTagUpdate, requireOwnership('tag'), async (req, res) => {
+  try {
+    const tag = await Tag.update(req.params.id, {
+      name: req.body.name,
+      color: req.body.color
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: tag.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Tag update error:', error);
+    res.status(500).json({
+      error: 'Tag update failed',
+      message: 'An error occurred while updating the tag'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag and remove it from all tasks
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Tag not found
+ */
+router.delete('/:id', validateTagId, requireOwnership('tag'), async (req, res) => {
+  try {
+    await Tag.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Tag deletion error:', error);
+    res.status(500).json({
+      error: 'Tag deletion failed',
+      message: 'An error occurred while deleting the tag'
+    });
+  }
+});
+
+module.exports = router;
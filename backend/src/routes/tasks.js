@@ -1,19 +1,207 @@
 const express = require('express');
+const crypto = require('crypto');
 const Task = require('../models/Task');
-const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const TaskDependency = require('../models/TaskDependency');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const Setting = require('../models/Setting');
+const TimeEntry = require('../models/TimeEntry');
+const ChecklistItem = require('../models/ChecklistItem');
+const TaskEvent = require('../models/TaskEvent');
+const { authenticateToken, requireTaskPermission } = require('../middleware/auth');
+const { uploadAttachment } = require('../middleware/upload');
+const { nextOccurrences } = require('../utils/recurrence');
 const { 
   validateTaskCreation, 
   validateTaskUpdate, 
   validateTaskId, 
+  validateDependency,
+  validateBlockerId,
+  validateComment,
+  validateCommentId,
+  validateAttachmentId,
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateChecklistItemId,
+  validateTimerStart,
+  validateTimeEntry,
+  validateTimeEntryId,
+  validateOccurrencePreview,
+  validateActivityFilters,
   validatePagination, 
-  validateTaskFilters 
+  validateTaskFilters,
+  validateTaskSearch,
+  validateBulkOperation,
+  validateStatisticsFilters,
+  validateTaskMove
 } = require('../middleware/validation');
+const { database } = require('../utils/database');
+const { sendError } = require('../utils/errors');
+const { taskFilterOptions } = require('../utils/taskFilters');
 
 const router = express.Router();
 
+// Most tasks a single bulk operation may change
+const BULK_MAX_TASKS = 500;
+
 // Apply authentication to all task routes
 router.use(authenticateToken);
 
+/**
+ * Load the comment in req.params.commentId or respond with 404
+ * (comments of other tasks are treated as missing)
+ */
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.task_id !== req.params.id) {
+      return res.status(404).json({
+        error: 'Comment not found',
+        message: 'The specified comment does not exist'
+      });
+    }
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Comment lookup error:', error);
+    res.status(500).json({
+      error: 'Comment retrieval failed',
+      message: 'An error occurred while retrieving the comment'
+    });
+  }
+};
+
+/**
+ * Load the checklist item in req.params.itemId or respond with 404
+ * (items of other tasks are treated as missing)
+ */
+const loadChecklistItem = async (req, res, next) => {
+  try {
+    const item = await ChecklistItem.findById(req.params.itemId);
+    if (!item || item.task_id !== req.params.id) {
+      return res.status(404).json({
+        error: 'Checklist item not found',
+        message: 'The specified checklist item does not exist'
+      });
+    }
+    req.checklistItem = item;
+    next();
+  } catch (error) {
+    console.error('Checklist item lookup error:', error);
+    res.status(500).json({
+      error: 'Checklist item retrieval failed',
+      message: 'An error occurred while retrieving the checklist item'
+    });
+  }
+};
+
+/**
+ * Load the time entry in req.params.entryId or respond with 404
+ * (entries of other tasks are treated as missing)
+ */
+const loadTimeEntry = async (req, res, next) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.entryId);
+    if (!entry || entry.task_id !== req.params.id) {
+      return res.status(404).json({
+        error: 'Time entry not found',
+        message: 'The specified time entry does not exist'
+      });
+    }
+    req.timeEntry = entry;
+    next();
+  } catch (error) {
+    console.error('Time entry lookup error:', error);
+    res.status(500).json({
+      error: 'Time entry retrieval failed',
+      message: 'An error occurred while retrieving the time entry'
+    });
+  }
+};
+
+/**
+ * Load the attachment in req.params.attachmentId or respond with 404
+ * (attachments of other tasks are treated as missing)
+ */
+const loadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.attachmentId);
+    if (!attachment || attachment.task_id !== req.params.id) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        message: 'The specified attachment does not exist'
+      });
+    }
+    req.attachment = attachment;
+    next();
+  } catch (error) {
+    console.error('Attachment lookup error:', error);
+    res.status(500).json({
+      error: 'Attachment retrieval failed',
+      message: 'An error occurred while retrieving the attachment'
+    });
+  }
+};
+
+/**
+ * Entity tag of a task: its version, which changes with every edit, and a
+ * digest of the representation, which also changes with derived fields
+ * such as completion or comment count
+ * @param {Task} task - Task
+ * @returns {string} Quoted strong ETag
+ */
+const taskETag = (task) => {
+  const digest = crypto.createHash('sha1').update(JSON.stringify(task.toResponse())).digest('hex').slice(0, 16);
+  return `"${task.version}-${digest}"`;
+};
+
+/**
+ * Read the task version the client expects from If-Match into
+ * req.expectedVersion. The header may list several ETags, weak or strong;
+ * only their version part is compared with the task loaded by
+ * requireTaskPermission, so derived fields changing meanwhile are no
+ * conflict. "*" matches any version of an existing task. With
+ * REQUIRE_IF_MATCH=true the header is mandatory.
+ */
+const readIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    if (process.env.REQUIRE_IF_MATCH === 'true') {
+      return res.status(428).json({
+        error: 'Precondition required',
+        message: 'Send the ETag of the task in the If-Match header'
+      });
+    }
+    return next();
+  }
+
+  const tags = header.split(',').map(tag => tag.trim());
+  if (!tags.includes('*')) {
+    const versions = tags
+      .map(tag => tag.match(/^(?:W\/)?"(\d+)(?:-[0-9a-f]+)?"$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+    // Tags that are not ours match no version
+    req.expectedVersion = versions.includes(req.resource.version) ? req.resource.version : 0;
+  }
+  next();
+};
+
+/**
+ * Respond to a stale If-Match with 412 and the current task
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from Task.preconditionFailed
+ * @returns {Object} Express response
+ */
+const sendPreconditionFailed = (res, error) => {
+  res.set('ETag', taskETag(error.task));
+  return res.status(412).json({
+    error: error.error,
+    message: error.message,
+    data: error.task.toResponse()
+  });
+};
+
 /**
  * @swagger
  * /api/tasks:
@@ -42,8 +230,7 @@ router.use(authenticateToken);
  *                 example: "Write comprehensive documentation for the API"
  *               status:
  *                 type: string
- *                 enum: [TODO, IN_PROGRESS, COMPLETED, CANCELLED]
- *                 default: TODO
+ *                 description: A status of the workflow of the task's project, defaults to its first status
  *                 example: "TODO"
  *               priority:
  *                 type: string
@@ -58,6 +245,34 @@ router.use(authenticateToken);
  *                 type: string
  *                 format: date-time
  *                 example: "2024-01-15T10:00:00Z"
+ *               parent_id:
+ *                 type: string
+ *                 description: Create the task as a subtask of this task
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Project to add the task to (must not be archived)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag names, unknown tags are created
+ *                 example: ["backend", "client-a"]
+ *               workspace_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Share the task with a workspace (requires editor or admin role)
+ *               assignee_id:
+ *                 type: string
+ *                 description: Assign the task to yourself or a member of its workspace
+ *               recurrence_rule:
+ *                 type: string
+ *                 description: iCalendar RRULE; requires due_date, which is the first occurrence
+ *                 example: "FREQ=MONTHLY;BYDAY=1MO"
+ *               estimate_hours:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Estimated effort in hours, used by the WSJF scoring strategy
  *     responses:
  *       201:
  *         description: Task created successfully
@@ -75,25 +290,30 @@ router.use(authenticateToken);
  *                 data:
  *                   $ref: '#/components/schemas/Task'
  *       400:
- *         description: Validation error
+ *         description: Validation error or invalid parent task
  *       401:
  *         description: Unauthorized
  */
 router.post('/', validateTaskCreation, async (req, res) => {
   try {
     const taskData = {
-      ...req.body,
+      ...Task.pickEditable(req.body),
       user_id: req.user.id
     };
 
     const task = await Task.create(taskData);
 
+    res.set('ETag', taskETag(task));
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
       data: task.toResponse()
     });
   } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
     console.error('Task creation error:', error);
     res.status(500).json({
       error: 'Task creation failed',
@@ -110,6 +330,13 @@ router.post('/', validateTaskCreation, async (req, res) => {
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only count tasks of this project
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -148,12 +375,19 @@ router.post('/', validateTaskCreation, async (req, res) => {
  *                     completion_rate:
  *                       type: number
  *                       example: 60
+ *                     tags:
+ *                       type: array
+ *                       description: Number of tasks per tag
+ *                       items:
+ *                         $ref: '#/components/schemas/Tag'
  *       401:
  *         description: Unauthorized
  */
-router.get('/statistics', async (req, res) => {
+router.get('/statistics', validateStatisticsFilters, async (req, res) => {
   try {
-    const statistics = await Task.getStatistics(req.user.id);
+    const statistics = await Task.getStatistics(req.user.id, {
+      project_id: req.query.project_id
+    });
 
     res.json({
       success: true,
@@ -170,9 +404,105 @@ router.get('/statistics', async (req, res) => {
 
 /**
  * @swagger
- * /api/tasks:
+ * /api/tasks/timer:
  *   get:
- *     summary: Get all tasks with filtering, sorting, and pagination
+ *     summary: Get the running timer of the current user
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Running timer, or null when no timer is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TimeEntry'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/timer', async (req, res) => {
+  try {
+    const running = await TimeEntry.findRunning(req.user.id);
+
+    res.json({
+      success: true,
+      data: running ? running.toResponse() : null
+    });
+  } catch (error) {
+    console.error('Timer retrieval error:', error);
+    res.status(500).json({
+      error: 'Timer retrieval failed',
+      message: 'An error occurred while retrieving the running timer'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/timer/stop:
+ *   post:
+ *     summary: Stop the running timer of the current user
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Timer stopped, the finished time entry is returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TimeEntry'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No timer is running
+ */
+router.post('/timer/stop', async (req, res) => {
+  try {
+    const entry = await TimeEntry.stop(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Timer stopped successfully',
+      data: entry.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Timer stop error:', error);
+    res.status(500).json({
+      error: 'Timer stop failed',
+      message: 'An error occurred while stopping the timer'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/trash:
+ *   get:
+ *     summary: Get the deleted tasks visible to the current user, most recently deleted first
+ *     description: >
+ *       Subtasks deleted together with their parent are not listed separately,
+ *       they are restored with it.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -183,7 +513,6 @@ router.get('/statistics', async (req, res) => {
  *           type: integer
  *           minimum: 1
  *           default: 1
- *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
@@ -191,48 +520,9 @@ router.get('/statistics', async (req, res) => {
  *           minimum: 1
  *           maximum: 100
  *           default: 10
- *         description: Number of items per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [TODO, IN_PROGRESS, COMPLETED, CANCELLED]
- *         description: Filter by status
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: [LOW, MEDIUM, HIGH, URGENT]
- *         description: Filter by priority
- *       - in: query
- *         name: is_urgent
- *         schema:
- *           type: boolean
- *         description: Filter by urgency
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *         description: Search in title and description
- *       - in: query
- *         name: sort_by
- *         schema:
- *           type: string
- *           enum: [title, status, priority, due_date, created_at, updated_at, completion_percentage, priority_score]
- *           default: created_at
- *         description: Sort field
- *       - in: query
- *         name: sort_order
- *         schema:
- *           type: string
- *           enum: [ASC, DESC]
- *           default: DESC
- *         description: Sort order
  *     responses:
  *       200:
- *         description: Tasks retrieved successfully
+ *         description: Deleted tasks retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -247,104 +537,77 @@ router.get('/statistics', async (req, res) => {
  *                     $ref: '#/components/schemas/Task'
  *                 pagination:
  *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     total:
- *                       type: integer
- *                       example: 25
- *                     pages:
- *                       type: integer
- *                       example: 3
- *                 filters:
- *                   type: object
- *                   properties:
- *                     status:
- *                       type: string
- *                     priority:
- *                       type: string
- *                     is_urgent:
- *                       type: boolean
- *                     search:
- *                       type: string
- *                 sorting:
- *                   type: object
- *                   properties:
- *                     sort_by:
- *                       type: string
- *                     sort_order:
- *                       type: string
- *       400:
- *         description: Validation error
  *       401:
  *         description: Unauthorized
  */
-router.get('/', validatePagination, validateTaskFilters, async (req, res) => {
+router.get('/trash', validatePagination, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      is_urgent,
-      search,
-      sort_by = 'created_at',
-      sort_order = 'DESC'
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
 
-    const options = {
-      user_id: req.user.id,
+    const result = await Task.findAll({
+      viewer_id: req.user.id,
+      deleted: true,
       page: parseInt(page),
       limit: parseInt(limit),
-      status,
-      priority,
-      is_urgent: is_urgent !== undefined ? is_urgent === 'true' : undefined,
-      search,
-      sort_by,
-      sort_order
-    };
-
-    const result = await Task.findAll(options);
+      sort_by: 'deleted_at',
+      sort_order: 'DESC'
+    });
 
     res.json({
       success: true,
       data: result.tasks.map(task => task.toResponse()),
-      pagination: result.pagination,
-      filters: result.filters,
-      sorting: result.sorting
+      pagination: result.pagination
     });
   } catch (error) {
-    console.error('Task retrieval error:', error);
+    console.error('Trash retrieval error:', error);
     res.status(500).json({
-      error: 'Task retrieval failed',
-      message: 'An error occurred while retrieving tasks'
+      error: 'Trash retrieval failed',
+      message: 'An error occurred while retrieving deleted tasks'
     });
   }
 });
 
 /**
  * @swagger
- * /api/tasks/{id}:
+ * /api/tasks/search:
  *   get:
- *     summary: Get a specific task by ID
+ *     summary: Full-text search over the tasks of the current user
+ *     description: >
+ *       Searches titles, descriptions and comments of the tasks the user owns,
+ *       is assigned to or shares through a workspace, best matches first
+ *       (BM25; title matches weigh most, then description, then comments).
+ *       Every word must match the start of a word. When nothing matches,
+ *       words of four letters or more also match words one typo away (two
+ *       from eight letters) and fuzzy is true. Highlights are HTML-escaped
+ *       text with the matches in <mark> tags.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: q
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
- *         description: Task ID
+ *           maxLength: 200
+ *         description: Search text
+ *         example: "quarterly rep"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
  *     responses:
  *       200:
- *         description: Task retrieved successfully
+ *         description: Search results
  *         content:
  *           application/json:
  *             schema:
@@ -354,36 +617,2189 @@ router.get('/', validatePagination, validateTaskFilters, async (req, res) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Task'
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       task:
+ *                         $ref: '#/components/schemas/Task'
+ *                       score:
+ *                         type: number
+ *                         description: Relevance, higher is better
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: "<mark>Quarterly</mark> <mark>report</mark>"
+ *                           snippet:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Matching excerpt of the description, else of the comments
+ *                 pagination:
+ *                   type: object
+ *                 search:
+ *                   type: object
+ *                   properties:
+ *                     q:
+ *                       type: string
+ *                     fuzzy:
+ *                       type: boolean
+ *                       description: Whether the results come from the typo tolerant fallback
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/search', validateTaskSearch, async (req, res) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+
+    const result = await Task.search(req.user.id, q, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.results.map(({ task, score, highlights }) => ({
+        task: task.toResponse(),
+        score,
+        highlights
+      })),
+      pagination: result.pagination,
+      search: { q, fuzzy: result.fuzzy }
+    });
+  } catch (error) {
+    console.error('Task search error:', error);
+    res.status(500).json({
+      error: 'Task search failed',
+      message: 'An error occurred while searching tasks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/bulk:
+ *   post:
+ *     summary: Update, delete or move many tasks at once
+ *     description: >
+ *       Targets are given as `ids` or as a `filter` with the filters of
+ *       GET /api/tasks (at most 500 tasks); a filter matches the tasks
+ *       visible to the user. Each task needs edit permission (delete
+ *       permission to delete), as on the single-task routes. Everything runs in one
+ *       transaction, tasks that fail are rolled back individually and
+ *       reported in `results`. Deleting moves tasks to the trash.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [update, delete, move]
+ *               ids:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Filters of GET /api/tasks (status, priority, is_urgent, search, parent_id, project_id, workspace_id, assigned_to, tags, tag_mode)
+ *               changes:
+ *                 type: object
+ *                 description: Fields to set for update
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     description: Checked against the workflow of each task
+ *                   priority:
+ *                     type: string
+ *                     enum: [LOW, MEDIUM, HIGH, URGENT]
+ *                   is_urgent:
+ *                     type: boolean
+ *                   due_date:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *               project_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target project for move, null removes the tasks from their project
+ *     responses:
+ *       200:
+ *         description: Operation applied, see the result of each task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                     total:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           status:
+ *                             type: integer
+ *                             description: HTTP status of the task's operation
+ *                           data:
+ *                             $ref: '#/components/schemas/Task'
+ *                           error:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *       400:
+ *         description: Validation error, or the filter matches more than 500 tasks
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/bulk', validateBulkOperation, async (req, res) => {
+  try {
+    const { action, ids, filter, changes, project_id } = req.body;
+
+    let taskIds = ids ? [...new Set(ids)] : null;
+    if (!taskIds) {
+      const result = await Task.findAll({
+        viewer_id: req.user.id,
+        ...taskFilterOptions(filter, req.user.id),
+        page: 1,
+        limit: BULK_MAX_TASKS
+      });
+      if (result.pagination.total > BULK_MAX_TASKS) {
+        return res.status(400).json({
+          error: 'Too many tasks',
+          message: `The filter matches ${result.pagination.total} tasks, at most ${BULK_MAX_TASKS} can be changed at once`
+        });
+      }
+      taskIds = result.tasks.map(task => task.id);
+    }
+
+    const results = await Task.bulk(taskIds, { action, changes, project_id }, req.user.id);
+    const succeeded = results.filter(result => result.status === 200).length;
+
+    res.json({
+      success: true,
+      message: 'Bulk operation completed',
+      data: {
+        action,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Bulk operation error:', error);
+    res.status(500).json({
+      error: 'Bulk operation failed',
+      message: 'An error occurred while applying the bulk operation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   get:
+ *     summary: Get all tasks with filtering, sorting, and pagination
+ *     description: Returns tasks the user owns, is assigned to, or can see through a workspace
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (any status of the workflows you can see)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [LOW, MEDIUM, HIGH, URGENT]
+ *         description: Filter by priority
+ *       - in: query
+ *         name: is_urgent
+ *         schema:
+ *           type: boolean
+ *         description: Filter by urgency
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *         description: Search in title and description
+ *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: string
+ *         description: Only return subtasks of this task
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only return tasks of this project
+ *       - in: query
+ *         name: workspace_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only return tasks of this workspace
+ *       - in: query
+ *         name: assigned_to
+ *         schema:
+ *           type: string
+ *         description: Only return tasks assigned to this user ID, or "me"
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma separated tag names
+ *         example: "backend,client-a"
+ *       - in: query
+ *         name: tag_mode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match tasks carrying any or all of the given tags
+ *       - in: query
+ *         name: due_after
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Only return tasks due after this moment, an ISO 8601 date or a date
+ *           token (now, today, tomorrow, yesterday, start_of_week, start_of_month,
+ *           optionally followed by an offset such as +3d; a bare offset is
+ *           relative to now)
+ *         example: now
+ *       - in: query
+ *         name: due_before
+ *         schema:
+ *           type: string
+ *         description: Only return tasks due before this moment, same format as due_after
+ *         example: "+3d"
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: >
+ *           Query language, combined with the other filters. Terms next to each
+ *           other must all match, OR matches either side, parentheses group and
+ *           a leading - or NOT negates. Fields: status, priority, due, created,
+ *           updated, completion, project, workspace, assignee, tag, title, is
+ *           (urgent, open, done, cancelled, overdue, subtask, recurring) and has
+ *           (due, project, assignee, description, tags, subtasks), with :
+ *           (comma separated values match any), != and on ordered fields < <= >
+ *           >=. Quoted phrases and bare words search title and description.
+ *           Errors name the offending token and its position.
+ *         example: 'status:TODO,IN_PROGRESS priority>=HIGH due<2026-11-01 -is:urgent "exact phrase"'
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [title, status, priority, due_date, created_at, updated_at, completion_percentage, priority_score]
+ *           default: created_at
+ *         description: Sort field
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 10
+ *                     total:
+ *                       type: integer
+ *                       example: 25
+ *                     pages:
+ *                       type: integer
+ *                       example: 3
+ *                 filters:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     priority:
+ *                       type: string
+ *                     is_urgent:
+ *                       type: boolean
+ *                     search:
+ *                       type: string
+ *                     parent_id:
+ *                       type: string
+ *                     project_id:
+ *                       type: string
+ *                     workspace_id:
+ *                       type: string
+ *                     assigned_to:
+ *                       type: string
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     tag_mode:
+ *                       type: string
+ *                     due_after:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Resolved date of the due_after filter
+ *                     due_before:
+ *                       type: string
+ *                       format: date-time
+ *                     q:
+ *                       type: string
+ *                 sorting:
+ *                   type: object
+ *                   properties:
+ *                     sort_by:
+ *                       type: string
+ *                     sort_order:
+ *                       type: string
+ *       400:
+ *         description: Validation error; query language errors add the offending token and its position to the detail
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validatePagination, validateTaskFilters, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      sort_by = 'created_at',
+      sort_order = 'DESC'
+    } = req.query;
+
+    const options = {
+      viewer_id: req.user.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      ...taskFilterOptions(req.query, req.user.id),
+      sort_by,
+      sort_order
+    };
+
+    const result = await Task.findAll(options);
+
+    res.json({
+      success: true,
+      data: result.tasks.map(task => task.toResponse()),
+      pagination: result.pagination,
+      filters: result.filters,
+      sorting: result.sorting
+    });
+  } catch (error) {
+    console.error('Task retrieval error:', error);
+    res.status(500).json({
+      error: 'Task retrieval failed',
+      message: 'An error occurred while retrieving tasks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Get a specific task by ID
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task retrieved successfully
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Task version and representation digest, send it back in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id', validateTaskId, requireTaskPermission('view'), async (req, res) => {
+  try {
+    res.set('ETag', taskETag(req.resource));
+    res.json({
+      success: true,
+      data: req.resource.toResponse()
+    });
+  } catch (error) {
+    console.error('Task retrieval error:', error);
+    res.status(500).json({
+      error: 'Task retrieval failed',
+      message: 'An error occurred while retrieving the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   put:
+ *     summary: Update a specific task
+ *     description: Requires edit permission (owner, assignee, or workspace editor/admin). The status must belong to the task's workflow and respect its transition rules. A task cannot be moved to a done status while any of its blocking tasks is still open.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/tasks/{id}; a stale version fails with 412 (required when REQUIRE_IF_MATCH=true)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 200
+ *                 example: "Updated task title"
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Updated task description"
+ *               status:
+ *                 type: string
+ *                 description: A status of the task's workflow
+ *                 example: "IN_PROGRESS"
+ *               priority:
+ *                 type: string
+ *                 enum: [LOW, MEDIUM, HIGH, URGENT]
+ *                 example: "HIGH"
+ *               is_urgent:
+ *                 type: boolean
+ *                 example: true
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-01-20T10:00:00Z"
+ *               parent_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Move the task below another task, or null to make it top-level. Cancelling a task also cancels its unfinished subtasks.
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Move the task to another project, or null to remove it from its project
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the tags of the task, unknown tags are created
+ *               workspace_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Share the task with a workspace, or null to make it personal (owner only)
+ *               assignee_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Assign the task to its owner or a member of its workspace, or null to unassign
+ *               recurrence_rule:
+ *                 type: string
+ *                 nullable: true
+ *                 description: iCalendar RRULE, or null to stop recurring. Completing a recurring task creates its next occurrence.
+ *               estimate_hours:
+ *                 type: number
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: Estimated effort in hours, or null to clear it
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Task updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: Task still has open blocking tasks, or the workflow does not allow the status transition
+ *       412:
+ *         description: The task changed since the If-Match ETag was issued; the current task is returned in data with its ETag
+ *       428:
+ *         description: If-Match is required but missing
+ */
+router.put('/:id', validateTaskId, validateTaskUpdate, requireTaskPermission('edit'), readIfMatch, async (req, res) => {
+  try {
+    // Only the owner decides where a task is shared
+    if (req.body.workspace_id !== undefined && req.resource.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the task owner can move it between workspaces'
+      });
+    }
+
+    const updatedTask = await Task.update(req.params.id, req.body, req.user.id, {
+      expected_version: req.expectedVersion
+    });
+
+    res.set('ETag', taskETag(updatedTask));
+    res.json({
+      success: true,
+      message: 'Task updated successfully',
+      data: updatedTask.toResponse()
+    });
+  } catch (error) {
+    if (error.status === 412) {
+      return sendPreconditionFailed(res, error);
+    }
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Task update error:', error);
+    res.status(500).json({
+      error: 'Task update failed',
+      message: 'An error occurred while updating the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   delete:
+ *     summary: Move a task and all of its subtasks to the trash
+ *     description: >
+ *       Requires delete permission (owner or workspace admin). Deleted tasks
+ *       can be restored until they are purged after TRASH_RETENTION_DAYS.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/tasks/{id}; a stale version fails with 412 (required when REQUIRE_IF_MATCH=true)
+ *     responses:
+ *       200:
+ *         description: Task deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Task deleted successfully"
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task changed since the If-Match ETag was issued; the current task is returned in data with its ETag
+ *       428:
+ *         description: If-Match is required but missing
+ */
+router.delete('/:id', validateTaskId, requireTaskPermission('delete'), readIfMatch, async (req, res) => {
+  try {
+    const deleted = await Task.delete(req.params.id, req.user.id, {
+      expected_version: req.expectedVersion
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Task not found',
+        message: 'The specified task does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    if (error.status === 412) {
+      return sendPreconditionFailed(res, error);
+    }
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Task deletion error:', error);
+    res.status(500).json({
+      error: 'Task deletion failed',
+      message: 'An error occurred while deleting the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/move:
+ *   post:
+ *     summary: Move a task on the board
+ *     description: >
+ *       Changes the status (board column) and/or the position of a task in
+ *       one transaction. Requires edit permission. The task goes right before
+ *       before_id or right after after_id, which must be in the target column;
+ *       without either it goes to the end of the column. Entering a column
+ *       follows the workflow rules of PUT /api/tasks/{id} and fails when the
+ *       column is at its WIP limit.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/tasks/{id}; a stale version fails with 412 (required when REQUIRE_IF_MATCH=true)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Target column, defaults to the current status
+ *                 example: "IN_PROGRESS"
+ *               before_id:
+ *                 type: string
+ *               after_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Task moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Task moved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error, or the reference task is not in the target column
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: WIP limit reached, invalid status transition or open blocking tasks
+ *       412:
+ *         description: The task changed since the If-Match ETag was issued; the current task is returned in data with its ETag
+ *       428:
+ *         description: If-Match is required but missing
+ */
+router.post('/:id/move', validateTaskId, validateTaskMove, requireTaskPermission('edit'), readIfMatch, async (req, res) => {
+  try {
+    const { status, before_id, after_id } = req.body;
+    const task = await Task.move(req.params.id, { status, before_id, after_id }, req.user.id, {
+      expected_version: req.expectedVersion
+    });
+
+    res.set('ETag', taskETag(task));
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: task.toResponse()
+    });
+  } catch (error) {
+    if (error.status === 412) {
+      return sendPreconditionFailed(res, error);
+    }
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Task move error:', error);
+    res.status(500).json({
+      error: 'Task move failed',
+      message: 'An error occurred while moving the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash together with the subtasks deleted with it
+ *     description: Requires delete permission (owner or workspace admin).
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: Task is not in the trash, or its parent task still is
+ */
+router.post('/:id/restore', validateTaskId, requireTaskPermission('delete', { include_deleted: true }), async (req, res) => {
+  try {
+    const task = await Task.restore(req.resource, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Task restored successfully',
+      data: task.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Task restore error:', error);
+    res.status(500).json({
+      error: 'Task restore failed',
+      message: 'An error occurred while restoring the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a task and all of its subtasks, whether in the trash or not
+ *     description: Requires delete permission (owner or workspace admin). This cannot be undone.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task permanently deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.delete('/:id/permanent', validateTaskId, requireTaskPermission('delete', { include_deleted: true }), async (req, res) => {
+  try {
+    const deleted = await Task.destroy(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Task not found',
+        message: 'The specified task does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Task deletion error:', error);
+    res.status(500).json({
+      error: 'Task deletion failed',
+      message: 'An error occurred while deleting the task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Get the direct subtasks of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Subtasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/subtasks', validateTaskId, validatePagination, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await Task.findAll({
+      viewer_id: req.user.id,
+      parent_id: req.params.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort_by: 'created_at',
+      sort_order: 'ASC'
+    });
+
+    res.json({
+      success: true,
+      data: result.tasks.map(task => task.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Subtask retrieval error:', error);
+    res.status(500).json({
+      error: 'Subtask retrieval failed',
+      message: 'An error occurred while retrieving subtasks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/occurrences:
+ *   get:
+ *     summary: Preview the upcoming occurrences of a recurring task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences after the task's due date (fewer when the series ends)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recurrence_rule:
+ *                       type: string
+ *                     occurrences:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           occurrence_index:
+ *                             type: integer
+ *                           due_date:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Task is not recurring
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/occurrences', validateTaskId, validateOccurrencePreview, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const task = req.resource;
+    if (!task.recurrence_rule) {
+      return res.status(400).json({
+        error: 'Task is not recurring',
+        message: 'This task has no recurrence rule'
+      });
+    }
+
+    const limit = parseInt(req.query.limit || 5);
+    const dates = nextOccurrences(task.recurrence_rule, task.due_date, limit, task.occurrence_index);
+
+    res.json({
+      success: true,
+      data: {
+        recurrence_rule: task.recurrence_rule,
+        occurrences: dates.map((due_date, i) => ({
+          occurrence_index: task.occurrence_index + i + 1,
+          due_date
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Occurrence preview error:', error);
+    res.status(500).json({
+      error: 'Occurrence preview failed',
+      message: 'An error occurred while computing occurrences'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     summary: Get the change history of a task, newest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types (created, updated, deleted, restored)
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskEvent'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/history', validateTaskId, validatePagination, validateActivityFilters, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type } = req.query;
+
+    const result = await TaskEvent.findByTask(req.params.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      event_types: type ? type.split(',') : []
+    });
+
+    res.json({
+      success: true,
+      data: result.events.map(event => event.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Task history error:', error);
+    res.status(500).json({
+      error: 'History retrieval failed',
+      message: 'An error occurred while retrieving the task history'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/score-breakdown:
+ *   get:
+ *     summary: Explain how the priority score of a task is derived
+ *     description: >
+ *       The score is recomputed now with the scoring strategy and weights of
+ *       the task owner. stored_score is the value currently saved on the task,
+ *       which differs when the due date moved into another bucket since
+ *       score_computed_at.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Score breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     strategy:
+ *                       type: string
+ *                     weights:
+ *                       type: object
+ *                     score:
+ *                       type: number
+ *                     stored_score:
+ *                       type: number
+ *                     score_computed_at:
+ *                       type: string
+ *                       format: date-time
+ *                     components:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           factor:
+ *                             type: string
+ *                           value: {}
+ *                           points:
+ *                             type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/score-breakdown', validateTaskId, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const task = req.resource;
+    const breakdown = task.explainPriorityScore(await Setting.getScoring(task.user_id));
+
+    res.json({
+      success: true,
+      data: {
+        strategy: breakdown.strategy,
+        weights: breakdown.weights,
+        score: breakdown.score,
+        stored_score: task.priority_score,
+        score_computed_at: task.score_computed_at,
+        components: breakdown.components
+      }
+    });
+  } catch (error) {
+    console.error('Score breakdown error:', error);
+    res.status(500).json({
+      error: 'Score breakdown failed',
+      message: 'An error occurred while explaining the priority score'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get the tasks blocking a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Blocking tasks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/dependencies', validateTaskId, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const blockers = await Task.findBlockers(req.params.id);
+
+    res.json({
+      success: true,
+      data: blockers.map(task => task.toResponse())
+    });
+  } catch (error) {
+    console.error('Dependency retrieval error:', error);
+    res.status(500).json({
+      error: 'Dependency retrieval failed',
+      message: 'An error occurred while retrieving dependencies'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Mark a task as blocked by another task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Blocked task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blocker_id
+ *             properties:
+ *               blocker_id:
+ *                 type: string
+ *                 description: Task that has to be finished first
+ *     responses:
+ *       201:
+ *         description: Dependency added successfully
+ *       400:
+ *         description: Validation error, unknown blocker or dependency cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: Dependency already exists
+ */
+router.post('/:id/dependencies', validateTaskId, validateDependency, requireTaskPermission('edit'), async (req, res) => {
+  try {
+    const blocker = await Task.addBlocker(req.resource, req.body.blocker_id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: blocker.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Dependency creation error:', error);
+    res.status(500).json({
+      error: 'Dependency creation failed',
+      message: 'An error occurred while adding the dependency'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Remove a blocking task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Blocked task ID
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Blocking task ID
+ *     responses:
+ *       200:
+ *         description: Dependency removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or dependency not found
+ */
+router.delete('/:id/dependencies/:blockerId', validateTaskId, validateBlockerId, requireTaskPermission('edit'), async (req, res) => {
+  try {
+    const deleted = await TaskDependency.delete(req.params.id, req.params.blockerId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Dependency not found',
+        message: 'The specified dependency does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully'
+    });
+  } catch (error) {
+    console.error('Dependency deletion error:', error);
+    res.status(500).json({
+      error: 'Dependency deletion failed',
+      message: 'An error occurred while removing the dependency'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   get:
+ *     summary: List the comments of a task, oldest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/comments', validateTaskId, validatePagination, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const result = await Comment.findByTask(req.params.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.comments.map(comment => comment.toResponse()),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Comment retrieval error:', error);
+    res.status(500).json({
+      error: 'Comment retrieval failed',
+      message: 'An error occurred while retrieving comments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task (anyone who can view the task)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *                 description: Markdown text
+ *                 example: "Blocked on **API keys**, see the ticket"
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.post('/:id/comments', validateTaskId, validateComment, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const comment = await Comment.create({
+      task_id: req.params.id,
+      user_id: req.user.id,
+      body: req.body.body
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment created successfully',
+      data: comment.toResponse()
+    });
+  } catch (error) {
+    console.error('Comment creation error:', error);
+    res.status(500).json({
+      error: 'Comment creation failed',
+      message: 'An error occurred while creating the comment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment (author only)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or comment not found
+ */
+router.put('/:id/comments/:commentId', validateTaskId, validateCommentId, validateComment, requireTaskPermission('view'), loadComment, async (req, res) => {
+  try {
+    if (req.comment.user_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const comment = await Comment.update(req.comment.id, req.body.body);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment.toResponse()
+    });
+  } catch (error) {
+    console.error('Comment update error:', error);
+    res.status(500).json({
+      error: 'Comment update failed',
+      message: 'An error occurred while updating the comment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment (author, or anyone allowed to delete the task)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or comment not found
+ */
+router.delete('/:id/comments/:commentId', validateTaskId, validateCommentId, requireTaskPermission('view'), loadComment, async (req, res) => {
+  try {
+    const canModerate = await Task.hasPermission(req.resource, req.user.id, 'delete');
+    if (req.comment.user_id !== req.user.id && !canModerate) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    await Comment.delete(req.comment.id);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Comment deletion error:', error);
+    res.status(500).json({
+      error: 'Comment deletion failed',
+      message: 'An error occurred while deleting the comment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   get:
+ *     summary: List the attachments of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/attachments', validateTaskId, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const attachments = await Attachment.findByTask(req.params.id);
+
+    res.json({
+      success: true,
+      data: attachments.map(attachment => attachment.toResponse())
+    });
+  } catch (error) {
+    console.error('Attachment retrieval error:', error);
+    res.status(500).json({
+      error: 'Attachment retrieval failed',
+      message: 'An error occurred while retrieving attachments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   post:
+ *     summary: Upload a file to a task
+ *     description: Size and MIME type are limited by ATTACHMENT_MAX_SIZE_MB and ATTACHMENT_ALLOWED_TYPES.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded successfully
+ *       400:
+ *         description: No file sent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Unsupported file type
+ */
+router.post('/:id/attachments', validateTaskId, requireTaskPermission('edit'), uploadAttachment, async (req, res) => {
+  try {
+    const attachment = await Attachment.create({
+      task_id: req.params.id,
+      user_id: req.user.id,
+      filename: req.file.originalname,
+      mime_type: req.file.mimetype
+    }, req.file.buffer);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: attachment.toResponse()
+    });
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    res.status(500).json({
+      error: 'Attachment upload failed',
+      message: 'An error occurred while uploading the attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: File contents with the stored content type
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.get('/:id/attachments/:attachmentId', validateTaskId, validateAttachmentId, requireTaskPermission('view'), loadAttachment, async (req, res) => {
+  try {
+    const stream = await req.attachment.createReadStream();
+    stream.on('error', (error) => {
+      console.error('Attachment download error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Length');
+      res.status(404).json({
+        error: 'Attachment not found',
+        message: 'The stored file for this attachment is missing'
+      });
+    });
+
+    res.attachment(req.attachment.filename);
+    res.type(req.attachment.mime_type);
+    res.set('Content-Length', String(req.attachment.size));
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({
+      error: 'Attachment download failed',
+      message: 'An error occurred while downloading the attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment and its stored file
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.delete('/:id/attachments/:attachmentId', validateTaskId, validateAttachmentId, requireTaskPermission('edit'), loadAttachment, async (req, res) => {
+  try {
+    await Attachment.delete(req.attachment.id);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Attachment deletion error:', error);
+    res.status(500).json({
+      error: 'Attachment deletion failed',
+      message: 'An error occurred while deleting the attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   get:
+ *     summary: Get the checklist of a task in order
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Checklist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/checklist', validateTaskId, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const items = await ChecklistItem.findByTask(req.params.id);
+
+    res.json({
+      success: true,
+      data: items.map(item => item.toResponse())
+    });
+  } catch (error) {
+    console.error('Checklist retrieval error:', error);
+    res.status(500).json({
+      error: 'Checklist retrieval failed',
+      message: 'An error occurred while retrieving the checklist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   post:
+ *     summary: Append an item to the checklist of a task
+ *     description: While a task has checklist items (and no subtasks), its completion_percentage is the share of checked items.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Checklist item created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ChecklistItem'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.post('/:id/checklist', validateTaskId, validateChecklistItem, requireTaskPermission('edit'), async (req, res) => {
+  try {
+    // The checklist is shown with the task, so the task gets a new version
+    const item = await database.transaction(async () => {
+      const created = await ChecklistItem.create(req.params.id, req.body.title);
+      await Task.touch(req.params.id);
+      await Task.recalculateCompletion(req.params.id);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item created successfully',
+      data: item.toResponse()
+    });
+  } catch (error) {
+    console.error('Checklist item creation error:', error);
+    res.status(500).json({
+      error: 'Checklist item creation failed',
+      message: 'An error occurred while creating the checklist item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Rename, check or uncheck, or move a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 200
+ *               is_checked:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: New 1-based position; positions past the end move the item last
+ *     responses:
+ *       200:
+ *         description: Checklist item updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or no updates provided
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
  *       404:
- *         description: Task not found
+ *         description: Task or checklist item not found
  */
-router.get('/:id', validateTaskId, requireOwnership('task'), async (req, res) => {
+router.put('/:id/checklist/:itemId', validateTaskId, validateChecklistItemId, validateChecklistItemUpdate, requireTaskPermission('edit'), loadChecklistItem, async (req, res) => {
   try {
+    const { title, is_checked, position } = req.body;
+    if (title === undefined && is_checked === undefined && position === undefined) {
+      return res.status(400).json({
+        error: 'No updates provided',
+        message: 'Please provide title, is_checked or position'
+      });
+    }
+
+    const item = await database.transaction(async () => {
+      const updated = await ChecklistItem.update(req.checklistItem.id, { title, is_checked, position });
+      await Task.touch(req.params.id);
+      if (is_checked !== undefined) {
+        await Task.recalculateCompletion(req.params.id);
+      }
+      return updated;
+    });
+
     res.json({
       success: true,
-      data: req.resource.toResponse()
+      message: 'Checklist item updated successfully',
+      data: item.toResponse()
     });
   } catch (error) {
-    console.error('Task retrieval error:', error);
+    console.error('Checklist item update error:', error);
     res.status(500).json({
-      error: 'Task retrieval failed',
-      message: 'An error occurred while retrieving the task'
+      error: 'Checklist item update failed',
+      message: 'An error occurred while updating the checklist item'
     });
   }
 });
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   put:
- *     summary: Update a specific task
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Delete a checklist item
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -393,42 +2809,72 @@ router.get('/:id', validateTaskId, requireOwnership('task'), async (req, res) =>
  *         required: true
  *         schema:
  *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
  *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Checklist item deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or checklist item not found
+ */
+router.delete('/:id/checklist/:itemId', validateTaskId, validateChecklistItemId, requireTaskPermission('edit'), loadChecklistItem, async (req, res) => {
+  try {
+    await database.transaction(async () => {
+      await ChecklistItem.delete(req.checklistItem.id);
+      await Task.touch(req.params.id);
+      await Task.recalculateCompletion(req.params.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted successfully'
+    });
+  } catch (error) {
+    console.error('Checklist item deletion error:', error);
+    res.status(500).json({
+      error: 'Checklist item deletion failed',
+      message: 'An error occurred while deleting the checklist item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: Each user can have one running timer; stop it with POST /api/tasks/timer/stop.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *         description: Task ID
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               title:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 200
- *                 example: "Updated task title"
- *               description:
- *                 type: string
- *                 maxLength: 1000
- *                 example: "Updated task description"
- *               status:
- *                 type: string
- *                 enum: [TODO, IN_PROGRESS, COMPLETED, CANCELLED]
- *                 example: "IN_PROGRESS"
- *               priority:
- *                 type: string
- *                 enum: [LOW, MEDIUM, HIGH, URGENT]
- *                 example: "HIGH"
- *               is_urgent:
- *                 type: boolean
- *                 example: true
- *               due_date:
+ *               note:
  *                 type: string
- *                 format: date-time
- *                 example: "2024-01-20T10:00:00Z"
+ *                 maxLength: 500
  *     responses:
- *       200:
- *         description: Task updated successfully
+ *       201:
+ *         description: Timer started
  *         content:
  *           application/json:
  *             schema:
@@ -439,41 +2885,44 @@ router.get('/:id', validateTaskId, requireOwnership('task'), async (req, res) =>
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Task updated successfully"
  *                 data:
- *                   $ref: '#/components/schemas/Task'
- *       400:
- *         description: Validation error
+ *                   $ref: '#/components/schemas/TimeEntry'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
  *       404:
  *         description: Task not found
+ *       409:
+ *         description: Another timer is already running
  */
-router.put('/:id', validateTaskId, validateTaskUpdate, requireOwnership('task'), async (req, res) => {
+router.post('/:id/timer/start', validateTaskId, validateTimerStart, requireTaskPermission('edit'), async (req, res) => {
   try {
-    const updatedTask = await Task.update(req.params.id, req.body);
+    const entry = await TimeEntry.start(req.params.id, req.user.id, req.body.note);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Task updated successfully',
-      data: updatedTask.toResponse()
+      message: 'Timer started successfully',
+      data: entry.toResponse()
     });
   } catch (error) {
-    console.error('Task update error:', error);
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Timer start error:', error);
     res.status(500).json({
-      error: 'Task update failed',
-      message: 'An error occurred while updating the task'
+      error: 'Timer start failed',
+      message: 'An error occurred while starting the timer'
     });
   }
 });
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   delete:
- *     summary: Delete a specific task
+ * /api/tasks/{id}/time-entries:
+ *   get:
+ *     summary: List the time entries of a task, newest first
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -483,11 +2932,112 @@ router.put('/:id', validateTaskId, validateTaskUpdate, requireOwnership('task'),
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
  *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
  *     responses:
  *       200:
- *         description: Task deleted successfully
+ *         description: Time entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TimeEntry'
+ *                 total_seconds:
+ *                   type: integer
+ *                   description: Time logged on the task by all users (running timers excluded)
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/time-entries', validateTaskId, validatePagination, requireTaskPermission('view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const result = await TimeEntry.findByTask(req.params.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.entries.map(entry => entry.toResponse()),
+      total_seconds: result.total_seconds,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Time entry retrieval error:', error);
+    res.status(500).json({
+      error: 'Time entry retrieval failed',
+      message: 'An error occurred while retrieving time entries'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries:
+ *   post:
+ *     summary: Log time on a task manually
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - started_at
+ *             properties:
+ *               started_at:
+ *                 type: string
+ *                 format: date-time
+ *               ended_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required unless duration_minutes is given
+ *               duration_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Time entry created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -498,9 +3048,10 @@ router.put('/:id', validateTaskId, validateTaskUpdate, requireOwnership('task'),
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Task deleted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/TimeEntry'
  *       400:
- *         description: Validation error
+ *         description: Validation error, entry longer than 24 hours or ending in the future
  *       401:
  *         description: Unauthorized
  *       403:
@@ -508,30 +3059,90 @@ router.put('/:id', validateTaskId, validateTaskUpdate, requireOwnership('task'),
  *       404:
  *         description: Task not found
  */
-router.delete('/:id', validateTaskId, requireOwnership('task'), async (req, res) => {
+router.post('/:id/time-entries', validateTaskId, validateTimeEntry, requireTaskPermission('edit'), async (req, res) => {
   try {
-    const deleted = await Task.delete(req.params.id);
+    const entry = await TimeEntry.create({
+      task_id: req.params.id,
+      user_id: req.user.id,
+      started_at: req.body.started_at,
+      ended_at: req.body.ended_at,
+      duration_minutes: req.body.duration_minutes,
+      note: req.body.note
+    });
 
-    if (!deleted) {
-      return res.status(404).json({
-        error: 'Task not found',
-        message: 'The specified task does not exist'
+    res.status(201).json({
+      success: true,
+      message: 'Time entry created successfully',
+      data: entry.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Time entry creation error:', error);
+    res.status(500).json({
+      error: 'Time entry creation failed',
+      message: 'An error occurred while creating the time entry'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries/{entryId}:
+ *   delete:
+ *     summary: Delete a time entry
+ *     description: Users can delete their own entries; users with delete permission on the task can delete any entry.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Time entry deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task or time entry not found
+ */
+router.delete('/:id/time-entries/:entryId', validateTaskId, validateTimeEntryId, requireTaskPermission('view'), loadTimeEntry, async (req, res) => {
+  try {
+    const canModerate = await Task.hasPermission(req.resource, req.user.id, 'delete');
+    if (req.timeEntry.user_id !== req.user.id && !canModerate) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only delete your own time entries'
       });
     }
 
+    await TimeEntry.delete(req.timeEntry.id);
+
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Time entry deleted successfully'
     });
   } catch (error) {
-    console.error('Task deletion error:', error);
+    console.error('Time entry deletion error:', error);
     res.status(500).json({
-      error: 'Task deletion failed',
-      message: 'An error occurred while deleting the task'
+      error: 'Time entry deletion failed',
+      message: 'An error occurred while deleting the time entry'
     });
   }
 });
 
-
-
 module.exports = router;
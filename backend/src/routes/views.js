@@ -0,0 +1,365 @@
+const express = require('express');
+const View = require('../models/View');
+const Task = require('../models/Task');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const {
+  validateViewCreation,
+  validateViewUpdate,
+  validateViewId,
+  validatePagination
+} = require('../middleware/validation');
+const { taskFilterOptions } = require('../utils/taskFilters');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all view routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Get all saved views of the current user
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Views retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/View'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await View.findByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: views.map(view => view.toResponse())
+    });
+  } catch (error) {
+    console.error('View retrieval error:', error);
+    res.status(500).json({
+      error: 'View retrieval failed',
+      message: 'An error occurred while retrieving views'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/views:
+ *   post:
+ *     summary: Save a view of the task list
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Due within 3 days"
+ *               filters:
+ *                 type: object
+ *                 example:
+ *                   due_after: now
+ *                   due_before: +3d
+ *               sort_by:
+ *                 type: string
+ *                 default: created_at
+ *               sort_order:
+ *                 type: string
+ *                 enum: [ASC, DESC]
+ *                 default: DESC
+ *               page_size:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 10
+ *     responses:
+ *       201:
+ *         description: View created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A view with this name already exists
+ */
+router.post('/', validateViewCreation, async (req, res) => {
+  try {
+    const { name, filters, sort_by, sort_order, page_size } = req.body;
+    const view = await View.create({
+      user_id: req.user.id,
+      name,
+      filters,
+      sort_by,
+      sort_order,
+      page_size
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View created successfully',
+      data: view.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('View creation error:', error);
+    res.status(500).json({
+      error: 'View creation failed',
+      message: 'An error occurred while creating the view'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   get:
+ *     summary: Get a saved view by ID
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: View retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: View not found
+ */
+router.get('/:id', validateViewId, requireOwnership('view'), async (req, res) => {
+  res.json({
+    success: true,
+    data: req.resource.toResponse()
+  });
+});
+
+/**
+ * @swagger
+ * /api/views/{id}/tasks:
+ *   get:
+ *     summary: Run a saved view
+ *     description: >
+ *       Returns the tasks matching the filters of the view, sorted and paged
+ *       like GET /api/tasks. Date tokens in the filters are resolved at
+ *       request time, so "due_before: +3d" always means three days from now.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Overrides the page size of the view
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully (same shape as GET /api/tasks, plus the view)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: View not found
+ */
+router.get('/:id/tasks', validateViewId, validatePagination, requireOwnership('view'), async (req, res) => {
+  try {
+    const view = req.resource;
+    const { page = 1, limit = view.page_size } = req.query;
+
+    const result = await Task.findAll({
+      viewer_id: req.user.id,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      ...taskFilterOptions(view.filters, req.user.id),
+      sort_by: view.sort_by,
+      sort_order: view.sort_order
+    });
+
+    res.json({
+      success: true,
+      view: view.toResponse(),
+      data: result.tasks.map(task => task.toResponse()),
+      pagination: result.pagination,
+      filters: result.filters,
+      sorting: result.sorting
+    });
+  } catch (error) {
+    console.error('View execution error:', error);
+    res.status(500).json({
+      error: 'Task retrieval failed',
+      message: 'An error occurred while retrieving the tasks of the view'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   put:
+ *     summary: Update a saved view
+ *     description: New filters replace the old ones as a whole.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               sort_by:
+ *                 type: string
+ *               sort_order:
+ *                 type: string
+ *                 enum: [ASC, DESC]
+ *               page_size:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: View updated successfully
+ *       400:
+ *         description: Validation error or no updates provided
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: View not found
+ *       409:
+ *         description: A view with this name already exists
+ */
+router.put('/:id', validateViewId, validateViewUpdate, requireOwnership('view'), async (req, res) => {
+  try {
+    const { name, filters, sort_by, sort_order, page_size } = req.body;
+    if ([name, filters, sort_by, sort_order, page_size].every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'No updates provided',
+        message: 'Please provide name, filters, sort_by, sort_order or page_size'
+      });
+    }
+
+    const view = await View.update(req.params.id, { name, filters, sort_by, sort_order, page_size });
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: view.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('View update error:', error);
+    res.status(500).json({
+      error: 'View update failed',
+      message: 'An error occurred while updating the view'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   delete:
+ *     summary: Delete a saved view
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: View deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: View not found
+ */
+router.delete('/:id', validateViewId, requireOwnership('view'), async (req, res) => {
+  try {
+    await View.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('View deletion error:', error);
+    res.status(500).json({
+      error: 'View deletion failed',
+      message: 'An error occurred while deleting the view'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const Workflow = require('../models/Workflow');
+const Task = require('../models/Task');
+const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const {
+  validateWorkflowCreation,
+  validateWorkflowUpdate,
+  validateWorkflowId,
+  validateEffectiveWorkflow
+} = require('../middleware/validation');
+const { database } = require('../utils/database');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all workflow routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   get:
+ *     summary: Get all workflows of the current user
+ *     description: The default workflow (no project) comes first, then the project workflows by name.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workflows retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workflow'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workflows = await Workflow.findByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: workflows.map(workflow => workflow.toResponse())
+    });
+  } catch (error) {
+    console.error('Workflow retrieval error:', error);
+    res.status(500).json({
+      error: 'Workflow retrieval failed',
+      message: 'An error occurred while retrieving workflows'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workflows/effective:
+ *   get:
+ *     summary: Get the workflow that applies to new tasks
+ *     description: >
+ *       The workflow of the project if it has one, else the user's default
+ *       workflow, else the built-in workflow (TODO, IN_PROGRESS, COMPLETED,
+ *       CANCELLED without transition rules).
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: project_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ *       400:
+ *         description: Validation error or invalid project
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/effective', validateEffectiveWorkflow, async (req, res) => {
+  try {
+    const { project_id } = req.query;
+    if (project_id) {
+      await Workflow.validateProject(project_id, req.user.id);
+    }
+
+    const workflow = await Workflow.forTask({ user_id: req.user.id, project_id });
+
+    res.json({
+      success: true,
+      data: workflow.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Workflow retrieval error:', error);
+    res.status(500).json({
+      error: 'Workflow retrieval failed',
+      message: 'An error occurred while retrieving the workflow'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workflows:
+ *   post:
+ *     summary: Create a workflow
+ *     description: >
+ *       Without project_id the workflow becomes the default workflow of the
+ *       user's tasks, with project_id it governs the tasks of that project.
+ *       Existing tasks whose status is not part of the new workflow move to
+ *       its first status of the same category.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - statuses
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Review flow"
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkflowStatus'
+ *               transitions:
+ *                 type: object
+ *                 nullable: true
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Workflow created successfully
+ *       400:
+ *         description: Validation error, invalid workflow or invalid project
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Workflow already exists for the user or project
+ */
+router.post('/', validateWorkflowCreation, async (req, res) => {
+  try {
+    // Tasks move to the new statuses in the same transaction as the workflow
+    const workflow = await database.transaction(async () => {
+      const created = await Workflow.create({
+        user_id: req.user.id,
+        name: req.body.name,
+        project_id: req.body.project_id,
+        statuses: req.body.statuses,
+        transitions: req.body.transitions
+      });
+      await Task.syncWorkflows(req.user.id);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workflow created successfully',
+      data: workflow.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Workflow creation error:', error);
+    res.status(500).json({
+      error: 'Workflow creation failed',
+      message: 'An error occurred while creating the workflow'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   get:
+ *     summary: Get a workflow by ID
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workflow not found
+ */
+router.get('/:id', validateWorkflowId, requireOwnership('workflow'), async (req, res) => {
+  res.json({
+    success: true,
+    data: req.resource.toResponse()
+  });
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   put:
+ *     summary: Update a workflow
+ *     description: >
+ *       Replacing the statuses drops the transition rules unless new ones are
+ *       sent along. Tasks in a removed status move to the first status of the
+ *       same category, and completion follows the new status weights.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkflowStatus'
+ *               transitions:
+ *                 type: object
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error, invalid workflow or no updates provided
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workflow not found
+ */
+router.put('/:id', validateWorkflowId, validateWorkflowUpdate, requireOwnership('workflow'), async (req, res) => {
+  try {
+    const { name, statuses, transitions } = req.body;
+    if (name === undefined && statuses === undefined && transitions === undefined) {
+      return res.status(400).json({
+        error: 'No updates provided',
+        message: 'Please provide name, statuses or transitions'
+      });
+    }
+
+    const workflow = await database.transaction(async () => {
+      const updated = await Workflow.update(req.params.id, { name, statuses, transitions });
+      await Task.syncWorkflows(req.user.id);
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: workflow.toResponse()
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Workflow update error:', error);
+    res.status(500).json({
+      error: 'Workflow update failed',
+      message: 'An error occurred while updating the workflow'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workflows/{id}:
+ *   delete:
+ *     summary: Delete a workflow
+ *     description: >
+ *       Its tasks fall back to the default workflow (or the built-in one),
+ *       statuses that do not exist there move to its first status of the
+ *       same category.
+ *     tags: [Workflows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workflow deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workflow not found
+ */
+router.delete('/:id', validateWorkflowId, requireOwnership('workflow'), async (req, res) => {
+  try {
+    await database.transaction(async () => {
+      await Workflow.delete(req.params.id);
+      await Task.syncWorkflows(req.user.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Workflow deleted successfully'
+    });
+  } catch (error) {
+    console.error('Workflow deletion error:', error);
+    res.status(500).json({
+      error: 'Workflow deletion failed',
+      message: 'An error occurred while deleting the workflow'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,506 @@
+const express = require('express');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { authenticateToken, requireWorkspaceRole } = require('../middleware/auth');
+const {
+  validateWorkspace,
+  validateWorkspaceId,
+  validateWorkspaceMember,
+  validateMemberRoleUpdate,
+  validateMemberId
+} = require('../middleware/validation');
+const { database } = require('../utils/database');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Apply authentication to all workspace routes
+router.use(authenticateToken);
+
+/**
+ * Reject changes to the membership of the workspace owner
+ */
+const protectOwner = (req, res, next) => {
+  if (req.params.userId === req.resource.owner_id) {
+    return res.status(400).json({
+      error: 'Invalid operation',
+      message: 'The workspace owner always remains an admin member'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: Get the workspaces the current user is a member of
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await Workspace.findAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: workspaces.map(workspace => workspace.toResponse())
+    });
+  } catch (error) {
+    console.error('Workspace retrieval error:', error);
+    res.status(500).json({
+      error: 'Workspace retrieval failed',
+      message: 'An error occurred while retrieving workspaces'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace (the creator becomes its admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Platform team"
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', validateWorkspace, async (req, res) => {
+  try {
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      owner_id: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: workspace.toResponse()
+    });
+  } catch (error) {
+    console.error('Workspace creation error:', error);
+    res.status(500).json({
+      error: 'Workspace creation failed',
+      message: 'An error occurred while creating the workspace'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   get:
+ *     summary: Get a workspace together with its members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Workspace'
+ *                     - type: object
+ *                       properties:
+ *                         members:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WorkspaceMember'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Workspace not found
+ */
+router.get('/:id', validateWorkspaceId, requireWorkspaceRole('viewer', 'editor', 'admin'), async (req, res) => {
+  try {
+    const members = await Workspace.findMembers(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.resource.toResponse(),
+        members
+      }
+    });
+  } catch (error) {
+    console.error('Workspace retrieval error:', error);
+    res.status(500).json({
+      error: 'Workspace retrieval failed',
+      message: 'An error occurred while retrieving the workspace'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   put:
+ *     summary: Rename a workspace (admins only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workspace not found
+ */
+router.put('/:id', validateWorkspaceId, validateWorkspace, requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const workspace = await Workspace.update(req.params.id, { name: req.body.name });
+    workspace.role = req.resource.role;
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: workspace.toResponse()
+    });
+  } catch (error) {
+    console.error('Workspace update error:', error);
+    res.status(500).json({
+      error: 'Workspace update failed',
+      message: 'An error occurred while updating the workspace'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   delete:
+ *     summary: Delete a workspace (owner only, its tasks return to their owners)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workspace not found
+ */
+router.delete('/:id', validateWorkspaceId, requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    if (req.resource.owner_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the workspace owner can delete the workspace'
+      });
+    }
+
+    await Workspace.delete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    console.error('Workspace deletion error:', error);
+    res.status(500).json({
+      error: 'Workspace deletion failed',
+      message: 'An error occurred while deleting the workspace'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members:
+ *   post:
+ *     summary: Add a member to a workspace (admins only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *                 description: Alternative to user_id
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *                 default: editor
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workspace or user not found
+ *       409:
+ *         description: User is already a member
+ */
+router.post('/:id/members', validateWorkspaceId, validateWorkspaceMember, requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const { user_id, username, role = 'editor' } = req.body;
+    const user = user_id ? await User.findById(user_id) : await User.findByUsername(username);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    await Workspace.addMember(req.params.id, user.id, role);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: await Workspace.findMembers(req.params.id)
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+
+    console.error('Workspace member error:', error);
+    res.status(500).json({
+      error: 'Member update failed',
+      message: 'An error occurred while adding the member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the role of a workspace member (admins only)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Validation error or attempt to change the owner
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workspace or member not found
+ */
+router.put('/:id/members/:userId', validateWorkspaceId, validateMemberRoleUpdate, requireWorkspaceRole('admin'), protectOwner, async (req, res) => {
+  try {
+    const updated = await Workspace.updateMemberRole(req.params.id, req.params.userId, req.body.role);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'The user is not a member of this workspace'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: await Workspace.findMembers(req.params.id)
+    });
+  } catch (error) {
+    console.error('Workspace member error:', error);
+    res.status(500).json({
+      error: 'Member update failed',
+      message: 'An error occurred while updating the member'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member (admins) or leave the workspace (any member)
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Attempt to remove the owner
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Workspace or member not found
+ */
+router.delete('/:id/members/:userId', validateWorkspaceId, validateMemberId, requireWorkspaceRole('viewer', 'editor', 'admin'), protectOwner, async (req, res) => {
+  try {
+    if (req.params.userId !== req.user.id && req.resource.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only workspace admins can remove other members'
+      });
+    }
+
+    // The membership and the assignments it allowed go together
+    const removed = await database.transaction(async () => {
+      const existed = await Workspace.removeMember(req.params.id, req.params.userId);
+      if (existed) {
+        await Task.unassignMember(req.params.id, req.params.userId, req.user.id);
+      }
+      return existed;
+    });
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'The user is not a member of this workspace'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Workspace member error:', error);
+    res.status(500).json({
+      error: 'Member update failed',
+      message: 'An error occurred while removing the member'
+    });
+  }
+});
+
+module.exports = router;
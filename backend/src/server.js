@@ -8,7 +8,19 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const adminRoutes = require('./routes/admin');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
+const workspaceRoutes = require('./routes/workspaces');
+const notificationRoutes = require('./routes/notifications');
+const settingsRoutes = require('./routes/settings');
+const reportRoutes = require('./routes/reports');
+const activityRoutes = require('./routes/activity');
+const workflowRoutes = require('./routes/workflows');
+const boardRoutes = require('./routes/boards');
+const viewRoutes = require('./routes/views');
 const { initializeDatabase } = require('./utils/database');
+const { startJobs } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -17,13 +29,15 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Clients read task ETags to send them back in If-Match
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000), // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || 100), // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
@@ -69,6 +83,17 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/boards', boardRoutes);
+app.use('/api/views', viewRoutes);
 
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -105,11 +130,19 @@ async function startServer() {
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
     
+    // Tests drive the app through supertest, so several suites can load it
+    if (process.env.NODE_ENV === 'test') {
+      return;
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
     });
+
+    startJobs();
+    console.log('⏰ Background jobs started');
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -1,11 +1,18 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcryptjs');
 
 class Database {
   constructor() {
     this.dbPath = path.join(__dirname, '../../data/tasks.db');
     this.db = null;
+    // Depth of the transaction the current async call chain runs in
+    this.transactionScope = new AsyncLocalStorage();
+    // Pending while a transaction runs; queries outside it wait for it
+    this.transactionLock = null;
+    this.activeQueries = 0;
+    this.onQueriesDone = null;
   }
 
   async connect() {
@@ -16,14 +23,21 @@ class Database {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
-          resolve();
+          // SQLite ignores ON DELETE CASCADE unless foreign keys are enabled
+          this.db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+            if (pragmaErr) {
+              reject(pragmaErr);
+            } else {
+              resolve();
+            }
+          });
         }
       });
     });
   }
 
   async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.guarded(() => new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           console.error('Error running sql:', sql);
@@ -33,11 +47,11 @@ class Database {
           resolve({ id: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
   async get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.guarded(() => new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, result) => {
         if (err) {
           console.error('Error running sql:', sql);
@@ -47,11 +61,11 @@ class Database {
           resolve(result);
         }
       });
-    });
+    }));
   }
 
   async all(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.guarded(() => new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
           console.error('Error running sql:', sql);
@@ -61,7 +75,140 @@ class Database {
           resolve(rows);
         }
       });
-    });
+    }));
+  }
+
+  /**
+   * Run a query with respect to transactions. All queries share one
+   * connection, so a query running while a transaction is open would
+   * become part of it (and be rolled back with it). Queries of the
+   * transaction run right away; others wait until it has ended, and a
+   * transaction only begins once the queries in flight are done.
+   * @param {Function} query - Starts the query, returns its promise
+   * @returns {Promise<*>} Result of the query
+   */
+  async guarded(query) {
+    if (this.transactionScope.getStore()) {
+      return query();
+    }
+
+    while (this.transactionLock) {
+      await this.transactionLock;
+    }
+    this.activeQueries += 1;
+    try {
+      return await query();
+    } finally {
+      this.activeQueries -= 1;
+      if (this.activeQueries === 0 && this.onQueriesDone) {
+        this.onQueriesDone();
+      }
+    }
+  }
+
+  /**
+   * Add a column to an existing table if it is not there yet.
+   * CREATE TABLE IF NOT EXISTS leaves older databases untouched, so new
+   * columns have to be added explicitly.
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   * @returns {Promise<boolean>} Whether the column was added
+   */
+  async ensureColumn(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) {
+      return false;
+    }
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  /**
+   * Run a callback inside a transaction. It is committed when the callback
+   * resolves and rolled back when it throws. Transactions run one at a
+   * time and other queries wait for them (see guarded), so the callback
+   * should not wait on anything but the database. A transaction started
+   * inside another one becomes a savepoint of it.
+   * @param {Function} callback - Async function doing the work
+   * @returns {Promise<*>} Result of the callback
+   */
+  async transaction(callback) {
+    const depth = this.transactionScope.getStore();
+    if (depth) {
+      const savepoint = `nested_${depth}`;
+      return this.transactionScope.run(depth + 1, async () => {
+        await this.run(`SAVEPOINT ${savepoint}`);
+        try {
+          const result = await callback();
+          await this.run(`RELEASE ${savepoint}`);
+          return result;
+        } catch (error) {
+          await this.run(`ROLLBACK TO ${savepoint}`);
+          await this.run(`RELEASE ${savepoint}`);
+          throw error;
+        }
+      });
+    }
+
+    while (this.transactionLock) {
+      await this.transactionLock;
+    }
+    let unlock;
+    this.transactionLock = new Promise((resolve) => { unlock = resolve; });
+
+    try {
+      if (this.activeQueries > 0) {
+        await new Promise((resolve) => { this.onQueriesDone = resolve; });
+        this.onQueriesDone = null;
+      }
+
+      return await this.transactionScope.run(1, async () => {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+          const result = await callback();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.transactionLock = null;
+      unlock();
+    }
+  }
+
+  /**
+   * Rewrite the definition of an existing table. SQLite cannot drop
+   * constraints from a table, so the rows are copied into a table created
+   * from the rewritten statement, which then replaces the old one. Indexes
+   * and triggers go with the old table and have to be recreated.
+   * @param {string} table - Table name
+   * @param {Function} rewrite - Maps the current CREATE TABLE statement to the new one
+   * @returns {Promise<boolean>} Whether the table was rebuilt
+   */
+  async rebuildTable(table, rewrite) {
+    const current = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    const sql = rewrite(current.sql);
+    if (sql === current.sql) {
+      return false;
+    }
+
+    // Dropping the table must not cascade into the tables referencing it
+    await this.run('PRAGMA foreign_keys = OFF');
+    try {
+      await this.transaction(async () => {
+        await this.run(sql.replace(/^CREATE TABLE [^(]+\(/, `CREATE TABLE ${table}_rebuilt (`));
+        await this.run(`INSERT INTO ${table}_rebuilt SELECT * FROM ${table}`);
+        await this.run(`DROP TABLE ${table}`);
+        await this.run(`ALTER TABLE ${table}_rebuilt RENAME TO ${table}`);
+      });
+    } finally {
+      await this.run('PRAGMA foreign_keys = ON');
+    }
+    return true;
   }
 
   async close() {
@@ -92,10 +239,56 @@ async function initializeDatabase() {
         username TEXT UNIQUE NOT NULL,
         email TEXT UNIQUE NOT NULL,
         password TEXT NOT NULL,
+        token_version INTEGER DEFAULT 0,
+        role TEXT CHECK(role IN ('user', 'manager', 'admin')) DEFAULT 'user',
+        is_active BOOLEAN DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await database.ensureColumn('users', 'token_version', 'INTEGER DEFAULT 0');
+    const roleAdded = await database.ensureColumn('users', 'role', "TEXT CHECK(role IN ('user', 'manager', 'admin')) DEFAULT 'user'");
+    await database.ensureColumn('users', 'is_active', 'BOOLEAN DEFAULT 1');
+
+    // Create workspaces table (shared task spaces)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create workspace members table
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT CHECK(role IN ('viewer', 'editor', 'admin')) DEFAULT 'editor',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (workspace_id, user_id),
+        FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create projects table
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        color TEXT DEFAULT '#6B7280',
+        is_archived BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
 
     // Create tasks table
     await database.run(`
@@ -103,36 +296,369 @@ async function initializeDatabase() {
         id TEXT PRIMARY KEY,
         title TEXT NOT NULL,
         description TEXT,
-        status TEXT CHECK(status IN ('TODO', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED')) DEFAULT 'TODO',
+        status TEXT DEFAULT 'TODO',
+        status_category TEXT NOT NULL CHECK(status_category IN ('todo', 'in_progress', 'done', 'cancelled')) DEFAULT 'todo',
         priority TEXT CHECK(priority IN ('LOW', 'MEDIUM', 'HIGH', 'URGENT')) DEFAULT 'MEDIUM',
         is_urgent BOOLEAN DEFAULT 0,
         due_date DATETIME,
         completion_percentage REAL DEFAULT 0,
         priority_score REAL DEFAULT 0,
         user_id TEXT NOT NULL,
+        parent_id TEXT REFERENCES tasks (id) ON DELETE CASCADE,
+        project_id TEXT REFERENCES projects (id) ON DELETE SET NULL,
+        workspace_id TEXT REFERENCES workspaces (id) ON DELETE SET NULL,
+        assignee_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+        recurrence_rule TEXT,
+        occurrence_index INTEGER DEFAULT 1,
+        next_occurrence_id TEXT REFERENCES tasks (id) ON DELETE SET NULL,
+        score_computed_at DATETIME,
+        estimate_hours REAL,
+        progress INTEGER CHECK(progress BETWEEN 0 AND 100),
+        deleted_at DATETIME,
+        version INTEGER NOT NULL DEFAULT 1,
+        position REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await database.ensureColumn('tasks', 'parent_id', 'TEXT REFERENCES tasks (id) ON DELETE CASCADE');
+    await database.ensureColumn('tasks', 'project_id', 'TEXT REFERENCES projects (id) ON DELETE SET NULL');
+    await database.ensureColumn('tasks', 'workspace_id', 'TEXT REFERENCES workspaces (id) ON DELETE SET NULL');
+    await database.ensureColumn('tasks', 'assignee_id', 'TEXT REFERENCES users (id) ON DELETE SET NULL');
+    await database.ensureColumn('tasks', 'recurrence_rule', 'TEXT');
+    await database.ensureColumn('tasks', 'occurrence_index', 'INTEGER DEFAULT 1');
+    await database.ensureColumn('tasks', 'next_occurrence_id', 'TEXT REFERENCES tasks (id) ON DELETE SET NULL');
+    await database.ensureColumn('tasks', 'score_computed_at', 'DATETIME');
+    await database.ensureColumn('tasks', 'estimate_hours', 'REAL');
+    await database.ensureColumn('tasks', 'progress', 'INTEGER CHECK(progress BETWEEN 0 AND 100)');
+    await database.ensureColumn('tasks', 'deleted_at', 'DATETIME');
+    await database.ensureColumn('tasks', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    const categoryAdded = await database.ensureColumn(
+      'tasks', 'status_category',
+      "TEXT NOT NULL CHECK(status_category IN ('todo', 'in_progress', 'done', 'cancelled')) DEFAULT 'todo'"
+    );
+    if (categoryAdded) {
+      await database.run(`
+        UPDATE tasks SET status_category = CASE status
+          WHEN 'IN_PROGRESS' THEN 'in_progress'
+          WHEN 'COMPLETED' THEN 'done'
+          WHEN 'CANCELLED' THEN 'cancelled'
+          ELSE 'todo'
+        END
+      `);
+    }
+    const positionAdded = await database.ensureColumn('tasks', 'position', 'REAL');
+    if (positionAdded) {
+      // Board columns start out in creation order
+      await database.run('UPDATE tasks SET position = rowid');
+    }
+    // Statuses come from workflows now: drop the fixed status list of older databases
+    await database.rebuildTable('tasks', sql => sql.replace(/ CHECK\(status IN \([^)]*\)\)/, ''));
+
+    // Create tags table (user-scoped labels)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        color TEXT DEFAULT '#6B7280',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create task/tag join table
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id TEXT NOT NULL,
+        tag_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag_id),
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create task dependencies table (task_id is blocked by blocker_id)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id TEXT NOT NULL,
+        blocker_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, blocker_id),
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
+        FOREIGN KEY (blocker_id) REFERENCES tasks (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create comments table (Markdown bodies)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        body TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
     `);
+    const editedAdded = await database.ensureColumn('comments', 'edited_at', 'DATETIME');
+    if (editedAdded) {
+      // Best guess for comments written before edits were recorded
+      await database.run('UPDATE comments SET edited_at = updated_at WHERE updated_at != created_at');
+    }
+
+    // Create attachments table (file contents live in the storage backend)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create notifications table (dedupe_key keeps reminders unique per task)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        task_id TEXT,
+        type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, task_id, dedupe_key),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create task events table (audit trail; kept after the task is deleted)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS task_events (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        task_title TEXT,
+        owner_id TEXT NOT NULL,
+        workspace_id TEXT,
+        actor_id TEXT,
+        event_type TEXT NOT NULL,
+        changes TEXT NOT NULL DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create checklist items table (ordered steps inside a task)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS checklist_items (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        is_checked BOOLEAN DEFAULT 0,
+        position INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create time entries table (ended_at is NULL while a timer runs)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        started_at DATETIME NOT NULL,
+        ended_at DATETIME,
+        duration_seconds INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create workflows table (custom statuses; project_id NULL is the user's default workflow)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS workflows (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        project_id TEXT,
+        name TEXT NOT NULL,
+        statuses TEXT NOT NULL,
+        transitions TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create saved views table (named task list filters; filters are JSON)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS views (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        filters TEXT NOT NULL DEFAULT '{}',
+        sort_by TEXT NOT NULL DEFAULT 'created_at',
+        sort_order TEXT NOT NULL DEFAULT 'DESC',
+        page_size INTEGER NOT NULL DEFAULT 10,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create refresh tokens table (rotating, stored as SHA-256 hashes)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        family_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        replaced_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create per-user settings table (JSON values by key)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS settings (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, key),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create revoked access tokens table (logout before expiry)
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
     // Create indexes for better performance
     await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id)');
     await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)');
     await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority)');
     await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_workspace_id ON tasks(workspace_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks(assignee_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_status_category ON tasks(status_category)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_tasks_board ON tasks(user_id, project_id, status, position)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocker_id ON task_dependencies(blocker_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_comments_task_id ON comments(task_id, created_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_attachments_task_id ON attachments(task_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, read_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events(task_id, created_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_events_owner_id ON task_events(owner_id, created_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_events_actor_id ON task_events(actor_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_task_events_workspace_id ON task_events(workspace_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON checklist_items(task_id, position)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id, started_at)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_time_entries_user_id ON time_entries(user_id, started_at)');
+    // One default workflow per user and one workflow per project
+    await database.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_workflows_scope ON workflows(user_id, IFNULL(project_id, ''))");
+    // At most one running timer per user
+    await database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL');
     await database.run('CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)');
     await database.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)');
+    await database.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)');
+
+    // Full-text index of tasks (title, description and their comments), kept in sync by triggers
+    const ftsExists = await database.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tasks_fts'");
+    await database.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+        task_id UNINDEXED,
+        title,
+        description,
+        comments,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+    // Indexed words, for the typo tolerant search
+    await database.run("CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts_vocab USING fts5vocab(tasks_fts, 'instance')");
+    await database.run(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+        INSERT INTO tasks_fts (task_id, title, description, comments)
+        VALUES (new.id, new.title, COALESCE(new.description, ''), '');
+      END
+    `);
+    await database.run(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, description ON tasks BEGIN
+        UPDATE tasks_fts SET title = new.title, description = COALESCE(new.description, '')
+        WHERE task_id = new.id;
+      END
+    `);
+    await database.run(`
+      CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+        DELETE FROM tasks_fts WHERE task_id = old.id;
+      END
+    `);
+    for (const [event, row] of [['INSERT', 'new'], ['UPDATE OF body', 'new'], ['DELETE', 'old']]) {
+      await database.run(`
+        CREATE TRIGGER IF NOT EXISTS comments_fts_${event.split(' ')[0].toLowerCase()} AFTER ${event} ON comments BEGIN
+          UPDATE tasks_fts SET comments = (
+            SELECT COALESCE(group_concat(body, char(10)), '') FROM comments WHERE task_id = ${row}.task_id
+          )
+          WHERE task_id = ${row}.task_id;
+        END
+      `);
+    }
+    if (!ftsExists) {
+      await database.run(`
+        INSERT INTO tasks_fts (task_id, title, description, comments)
+        SELECT id, title, COALESCE(description, ''), (
+          SELECT COALESCE(group_concat(body, char(10)), '') FROM comments WHERE comments.task_id = tasks.id
+        )
+        FROM tasks
+      `);
+    }
 
     // Insert default admin user if not exists
     const adminExists = await database.get('SELECT id FROM users WHERE username = ?', ['admin']);
     if (!adminExists) {
       const hashedPassword = await bcrypt.hash('admin123', 10);
       await database.run(
-        'INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)',
-        ['admin-001', 'admin', 'admin@example.com', hashedPassword]
+        'INSERT INTO users (id, username, email, password, role) VALUES (?, ?, ?, ?, ?)',
+        ['admin-001', 'admin', 'admin@example.com', hashedPassword, 'admin']
       );
       console.log('Default admin user created');
+    } else if (roleAdded) {
+      // Databases created before roles existed: promote the seeded admin once
+      await database.run('UPDATE users SET role = ? WHERE id = ?', ['admin', adminExists.id]);
     }
 
     // Insert sample tasks if none exist
@@ -171,36 +697,10 @@ async function initializeDatabase() {
         }
       ];
 
+      // Loaded lazily: the model depends on this module
+      const Task = require('../models/Task');
       for (const task of sampleTasks) {
-        // Calculate derived fields
-        const statusPercentages = {
-          'TODO': 0,
-          'IN_PROGRESS': 50,
-          'COMPLETED': 100,
-          'CANCELLED': 0
-        };
-        const completion_percentage = statusPercentages[task.status] || 0;
-        
-        let priority_score = 0;
-        const priorityWeights = { 'LOW': 10, 'MEDIUM': 25, 'HIGH': 40, 'URGENT': 60 };
-        priority_score += priorityWeights[task.priority] || 25;
-        if (task.is_urgent) { priority_score += 20; }
-        if (task.due_date) {
-          const now = new Date();
-          const dueDate = new Date(task.due_date);
-          const daysUntilDue = Math.ceil((dueDate - now) / (1000 * 60 * 60 * 24));
-          if (daysUntilDue < 0) { priority_score += 40; }
-          else if (daysUntilDue <= 1) { priority_score += 35; }
-          else if (daysUntilDue <= 3) { priority_score += 25; }
-          else if (daysUntilDue <= 7) { priority_score += 15; }
-          else { priority_score += 5; }
-        }
-        priority_score = Math.min(priority_score, 100);
-
-        await database.run(`
-          INSERT INTO tasks (id, title, description, status, priority, is_urgent, due_date, completion_percentage, priority_score, user_id)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [task.id, task.title, task.description, task.status, task.priority, task.is_urgent, task.due_date, completion_percentage, priority_score, task.user_id]);
+        await Task.create(task);
       }
       console.log('Sample tasks created');
     }
@@ -0,0 +1,57 @@
+const moment = require('moment');
+
+/**
+ * Dynamic dates for task filters, evaluated each time the filter runs: an
+ * anchor (now, today, tomorrow, yesterday, start_of_week, start_of_month)
+ * optionally followed by an offset such as +3d or -12h (h hours, d days,
+ * w weeks, M months). A bare offset is relative to now, so "due within 3
+ * days" is due_after=now&due_before=+3d. Anchors are UTC and weeks start
+ * on Monday. Fixed ISO 8601 dates are accepted as well.
+ */
+
+const TOKEN = /^(now|today|tomorrow|yesterday|start_of_week|start_of_month)?(?:([+-])(\d{1,4})([hdwM]))?$/;
+
+const UNITS = { h: 'hours', d: 'days', w: 'weeks', M: 'months' };
+
+const ANCHORS = {
+  now: now => now.clone(),
+  today: now => now.clone().startOf('day'),
+  tomorrow: now => now.clone().startOf('day').add(1, 'day'),
+  yesterday: now => now.clone().startOf('day').subtract(1, 'day'),
+  start_of_week: now => now.clone().startOf('isoWeek'),
+  start_of_month: now => now.clone().startOf('month')
+};
+
+/**
+ * Whether a value is a dynamic date token (rather than a fixed date)
+ * @param {string} value - Filter value
+ * @returns {boolean} Whether the value is a token
+ */
+function isDateToken(value) {
+  return typeof value === 'string' && value !== '' && TOKEN.test(value);
+}
+
+/**
+ * Resolve a date filter value to an ISO 8601 timestamp
+ * @param {string} value - Token such as "today+7d" or an ISO 8601 date
+ * @param {moment} [now] - Reference time, defaults to the current time
+ * @returns {string|null} UTC timestamp, or null when the value is neither
+ */
+function resolveDate(value, now = moment.utc()) {
+  if (isDateToken(value)) {
+    const [, anchor = 'now', sign, amount, unit] = value.match(TOKEN);
+    const date = ANCHORS[anchor](now);
+    if (sign) {
+      date.add((sign === '-' ? -1 : 1) * parseInt(amount), UNITS[unit]);
+    }
+    return date.toISOString();
+  }
+
+  const date = moment.utc(value, moment.ISO_8601, true);
+  return date.isValid() ? date.toISOString() : null;
+}
+
+module.exports = {
+  isDateToken,
+  resolveDate
+};
@@ -0,0 +1,33 @@
+/**
+ * Create an error that carries an HTTP status and a short error title.
+ * Models throw these for invalid requests; routes (and the global error
+ * handler in server.js) turn them into `{ error, message }` responses.
+ * @param {number} status - HTTP status code
+ * @param {string} error - Short error title
+ * @param {string} message - Human readable description
+ * @returns {Error} Error instance with status and error properties
+ */
+function createError(status, error, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.error = error;
+  return err;
+}
+
+/**
+ * Send an error created by createError as JSON
+ * @param {Object} res - Express response
+ * @param {Error} err - Error with status and error properties
+ * @returns {Object} Express response
+ */
+function sendError(res, err) {
+  return res.status(err.status).json({
+    error: err.error,
+    message: err.message
+  });
+}
+
+module.exports = {
+  createError,
+  sendError
+};
@@ -0,0 +1,225 @@
+const moment = require('moment');
+
+/**
+ * A small subset of iCalendar (RFC 5545) recurrence rules:
+ * FREQ=DAILY|WEEKLY|MONTHLY with optional INTERVAL, BYDAY, COUNT or UNTIL.
+ * BYDAY takes ordinals in monthly rules (e.g. 1MO, -1FR). Occurrences keep
+ * the time of day of the task's due date and are computed in UTC.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on the periods scanned for one occurrence, so rules that
+// can never match (e.g. the 31st every 12 months starting in April) end
+const MAX_PERIODS = 1000;
+
+/**
+ * Parse an RRULE string
+ * @param {string} value - Rule such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {Object} Parsed rule { freq, interval, byday, count, until }
+ * @throws {Error} With a description of the first invalid part
+ */
+function parseRule(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = { interval: 1, byday: [] };
+  const parts = value.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, val] = part.split('=');
+    if (!val) {
+      throw new Error(`Invalid recurrence rule part "${part}"`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        if (!/^\d+$/.test(val) || parseInt(val) < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        rule.interval = parseInt(val);
+        break;
+      case 'BYDAY':
+        rule.byday = val.split(',').map((day) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match || (match[1] && (parseInt(match[1]) === 0 || Math.abs(parseInt(match[1])) > 5))) {
+            throw new Error(`Invalid BYDAY value "${day}"`);
+          }
+          return { ordinal: match[1] ? parseInt(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+        });
+        break;
+      case 'COUNT':
+        if (!/^\d+$/.test(val) || parseInt(val) < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        rule.count = parseInt(val);
+        break;
+      case 'UNTIL': {
+        const until = /^\d{8}$/.test(val)
+          ? moment.utc(val, 'YYYYMMDD', true).endOf('day')
+          : moment.utc(val, 'YYYYMMDD[T]HHmmss[Z]', true);
+        if (!until.isValid()) {
+          throw new Error('UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)');
+        }
+        rule.until = until;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported recurrence rule part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must contain FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byday.some(day => day.ordinal !== null)) {
+    throw new Error('BYDAY ordinals are only supported for MONTHLY rules');
+  }
+
+  return rule;
+}
+
+/**
+ * Normalise a rule string for storage (upper case, no RRULE: prefix)
+ * @param {string} value - Rule string
+ * @returns {string} Normalised rule
+ */
+function normalizeRule(value) {
+  parseRule(value);
+  return value.trim().toUpperCase().replace(/^RRULE:/, '');
+}
+
+/**
+ * Get the candidate occurrences of one period (day, week or month)
+ * @param {Object} rule - Parsed rule
+ * @param {moment} periodStart - Start of the period
+ * @param {moment} anchor - Occurrence that provides time of day and defaults
+ * @returns {moment[]} Candidates in chronological order
+ */
+function periodCandidates(rule, periodStart, anchor) {
+  const atAnchorTime = day => day.clone().set({
+    hour: anchor.hour(),
+    minute: anchor.minute(),
+    second: anchor.second(),
+    millisecond: anchor.millisecond()
+  });
+
+  if (rule.freq === 'DAILY') {
+    const matches = rule.byday.length === 0 || rule.byday.some(day => day.weekday === periodStart.day());
+    return matches ? [atAnchorTime(periodStart)] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byday.length > 0 ? rule.byday.map(day => day.weekday) : [anchor.day()];
+    // Weeks start on Monday (WKST=MO)
+    return [...new Set(weekdays)]
+      .map(weekday => periodStart.clone().add((weekday + 6) % 7, 'days'))
+      .sort((a, b) => a.valueOf() - b.valueOf())
+      .map(atAnchorTime);
+  }
+
+  // MONTHLY
+  if (rule.byday.length === 0) {
+    if (anchor.date() > periodStart.daysInMonth()) {
+      return [];
+    }
+    return [atAnchorTime(periodStart.clone().date(anchor.date()))];
+  }
+
+  const days = [];
+  for (const { ordinal, weekday } of rule.byday) {
+    const matching = [];
+    for (let date = 1; date <= periodStart.daysInMonth(); date++) {
+      const day = periodStart.clone().date(date);
+      if (day.day() === weekday) {
+        matching.push(day);
+      }
+    }
+
+    if (ordinal === null) {
+      days.push(...matching);
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) {
+        days.push(day);
+      }
+    }
+  }
+
+  return [...new Map(days.map(day => [day.valueOf(), day])).values()]
+    .sort((a, b) => a.valueOf() - b.valueOf())
+    .map(atAnchorTime);
+}
+
+/**
+ * Get the occurrences that follow a given occurrence
+ * @param {string|Object} rule - Rule string or parsed rule
+ * @param {string|Date} from - Current occurrence (the task's due date)
+ * @param {number} limit - Maximum number of occurrences to return
+ * @param {number} [index] - 1-based position of the current occurrence, for COUNT
+ * @returns {string[]} ISO 8601 date-times of the following occurrences
+ */
+function nextOccurrences(rule, from, limit, index = 1) {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  const anchor = moment.utc(from);
+  const unit = { DAILY: 'day', WEEKLY: 'isoWeek', MONTHLY: 'month' }[parsed.freq];
+  const step = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months' }[parsed.freq];
+
+  let remaining = parsed.count ? Math.min(limit, parsed.count - index) : limit;
+  const occurrences = [];
+  let periods = 0;
+  let periodStart = anchor.clone().startOf(unit);
+
+  while (remaining > 0 && periods < MAX_PERIODS) {
+    let found = false;
+    for (const candidate of periodCandidates(parsed, periodStart, anchor)) {
+      if (!candidate.isAfter(anchor)) {
+        continue;
+      }
+      if (parsed.until && candidate.isAfter(parsed.until)) {
+        return occurrences;
+      }
+
+      occurrences.push(candidate.toISOString());
+      found = true;
+      remaining--;
+      if (remaining === 0) {
+        break;
+      }
+    }
+
+    periods = found ? 0 : periods + 1;
+    periodStart = periodStart.clone().add(parsed.interval, step).startOf(unit);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the occurrence following a given occurrence
+ * @param {string|Object} rule - Rule string or parsed rule
+ * @param {string|Date} from - Current occurrence
+ * @param {number} [index] - 1-based position of the current occurrence, for COUNT
+ * @returns {string|null} ISO 8601 date-time or null when the series has ended
+ */
+function nextOccurrence(rule, from, index = 1) {
+  return nextOccurrences(rule, from, 1, index)[0] || null;
+}
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  nextOccurrences,
+  nextOccurrence
+};
@@ -0,0 +1,216 @@
+const moment = require('moment');
+
+/**
+ * Priority scoring strategies. Every strategy turns a task into a score
+ * between 0 and 100 and reports the components the score was built from,
+ * so the derivation can be explained to the user. Weights are plain
+ * nested objects of numbers; users may override any of them.
+ */
+
+/**
+ * Whole days until a due date (negative when overdue), or null
+ * @param {string} dueDate - Due date
+ * @param {moment} now - Reference time
+ * @returns {number|null} Days until due
+ */
+const daysUntil = (dueDate, now) => (dueDate ? moment(dueDate).diff(now, 'days') : null);
+
+/**
+ * Pick the due date bucket of a task
+ * @param {number|null} days - Days until due
+ * @returns {string|null} Bucket name
+ */
+const dueBucket = (days) => {
+  if (days === null) {
+    return null;
+  }
+  if (days < 0) {
+    return 'overdue';
+  }
+  if (days <= 1) {
+    return 'within_1_day';
+  }
+  if (days <= 3) {
+    return 'within_3_days';
+  }
+  if (days <= 7) {
+    return 'within_7_days';
+  }
+  return 'later';
+};
+
+const clamp = score => Math.max(0, Math.min(Math.round(score * 100) / 100, 100));
+
+const STRATEGIES = {
+  default: {
+    description: 'Priority weight plus an urgency bonus plus a bonus that grows as the due date approaches',
+    weights: {
+      priority: { LOW: 10, MEDIUM: 25, HIGH: 40, URGENT: 60 },
+      urgent: 20,
+      due: { overdue: 40, within_1_day: 35, within_3_days: 25, within_7_days: 15, later: 5 }
+    },
+    score(task, weights, now) {
+      const components = [{
+        factor: 'priority',
+        value: task.priority,
+        points: weights.priority[task.priority] ?? weights.priority.MEDIUM
+      }];
+
+      if (task.is_urgent) {
+        components.push({ factor: 'urgent', value: true, points: weights.urgent });
+      }
+
+      const bucket = dueBucket(daysUntil(task.due_date, now));
+      if (bucket) {
+        components.push({ factor: 'due_date', value: bucket, points: weights.due[bucket] });
+      }
+
+      return {
+        score: clamp(components.reduce((sum, component) => sum + component.points, 0)),
+        components
+      };
+    }
+  },
+
+  eisenhower: {
+    description: 'Eisenhower matrix: important (HIGH/URGENT priority) and urgent (flagged or due soon) decide the quadrant',
+    weights: {
+      quadrants: { do_first: 100, schedule: 70, delegate: 40, eliminate: 10 },
+      urgent_within_days: 2
+    },
+    score(task, weights, now) {
+      const days = daysUntil(task.due_date, now);
+      const important = task.priority === 'HIGH' || task.priority === 'URGENT';
+      const urgent = Boolean(task.is_urgent) || (days !== null && days <= weights.urgent_within_days);
+
+      let quadrant = 'eliminate';
+      if (important && urgent) {
+        quadrant = 'do_first';
+      } else if (important) {
+        quadrant = 'schedule';
+      } else if (urgent) {
+        quadrant = 'delegate';
+      }
+
+      return {
+        score: clamp(weights.quadrants[quadrant]),
+        components: [
+          { factor: 'important', value: important, points: 0 },
+          { factor: 'urgent', value: urgent, points: 0 },
+          { factor: 'quadrant', value: quadrant, points: weights.quadrants[quadrant] }
+        ]
+      };
+    }
+  },
+
+  wsjf: {
+    description: 'Weighted shortest job first: cost of delay (business value + time criticality) divided by the estimated effort',
+    weights: {
+      business_value: { LOW: 1, MEDIUM: 3, HIGH: 5, URGENT: 8 },
+      time_criticality: { overdue: 8, within_1_day: 5, within_3_days: 3, within_7_days: 2, later: 1 },
+      urgent: 3,
+      default_estimate_hours: 4,
+      scale: 10
+    },
+    score(task, weights, now) {
+      const bucket = dueBucket(daysUntil(task.due_date, now));
+      const businessValue = weights.business_value[task.priority] ?? weights.business_value.MEDIUM;
+      const timeCriticality = (bucket ? weights.time_criticality[bucket] : 0) + (task.is_urgent ? weights.urgent : 0);
+      const costOfDelay = businessValue + timeCriticality;
+      const jobSize = task.estimate_hours > 0 ? task.estimate_hours : weights.default_estimate_hours;
+
+      return {
+        score: clamp((costOfDelay / Math.max(jobSize, 0.1)) * weights.scale),
+        components: [
+          { factor: 'business_value', value: task.priority, points: businessValue },
+          { factor: 'time_criticality', value: bucket, points: timeCriticality },
+          { factor: 'cost_of_delay', value: null, points: costOfDelay },
+          { factor: 'job_size', value: task.estimate_hours > 0 ? 'estimate' : 'default', points: jobSize },
+          { factor: 'scale', value: null, points: weights.scale }
+        ]
+      };
+    }
+  }
+};
+
+const DEFAULT_STRATEGY = 'default';
+
+/**
+ * Merge weight overrides into the defaults of a strategy. Overrides may
+ * be partial but must only contain known keys with non-negative numbers.
+ * @param {Object} defaults - Default weights
+ * @param {Object} [overrides] - User weights
+ * @param {string} [path] - Key path used in error messages
+ * @returns {Object} Merged weights
+ * @throws {Error} For unknown keys or invalid values
+ */
+function mergeWeights(defaults, overrides = {}, path = '') {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`Weights${path ? ` for ${path}` : ''} must be an object`);
+  }
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!Object.hasOwn(defaults, key)) {
+      throw new Error(`Unknown weight "${keyPath}"`);
+    }
+
+    if (typeof defaults[key] === 'object') {
+      merged[key] = mergeWeights(defaults[key], value, keyPath);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Weight "${keyPath}" must be a non-negative number`);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Resolve stored scoring settings into a strategy name and full weights
+ * @param {Object} [settings] - { strategy, weights: { <strategy>: overrides } }
+ * @returns {Object} { strategy, weights }
+ */
+function resolveScoring(settings = {}) {
+  const strategy = STRATEGIES[settings.strategy] ? settings.strategy : DEFAULT_STRATEGY;
+  const overrides = (settings.weights && settings.weights[strategy]) || {};
+  return {
+    strategy,
+    weights: mergeWeights(STRATEGIES[strategy].weights, overrides)
+  };
+}
+
+/**
+ * Score a task
+ * @param {Object} task - Task with priority, is_urgent, due_date and estimate_hours
+ * @param {Object} [scoring] - Resolved scoring settings, defaults to the default strategy
+ * @param {moment} [now] - Reference time
+ * @returns {Object} { strategy, weights, score, components }
+ */
+function scoreTask(task, scoring, now = moment()) {
+  const { strategy, weights } = scoring || resolveScoring();
+  const result = STRATEGIES[strategy].score(task, weights, now);
+  return { strategy, weights, ...result };
+}
+
+/**
+ * Describe the available strategies with their default weights
+ * @returns {Object[]} Strategies
+ */
+function listStrategies() {
+  return Object.entries(STRATEGIES).map(([name, strategy]) => ({
+    name,
+    description: strategy.description,
+    default_weights: strategy.weights
+  }));
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  STRATEGIES,
+  mergeWeights,
+  resolveScoring,
+  scoreTask,
+  listStrategies
+};
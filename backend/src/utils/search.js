@@ -0,0 +1,127 @@
+/**
+ * Full-text search helpers for the tasks_fts index (SQLite FTS5 with the
+ * unicode61 tokenizer, which folds case and diacritics). User input never
+ * reaches MATCH as is: it is split into words that are quoted, so FTS5
+ * operators in the input are searched for like any other text.
+ */
+
+// Most words of a search; longer input is cut off
+const MAX_TERMS = 10;
+
+// Most indexed words compared with one search word in the typo tolerant search
+const MAX_TYPO_CANDIDATES = 2000;
+
+// Highlight markers, replaced by <mark> tags once the text is HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Split search input into index terms, folded like the tokenizer folds them
+ * @param {string} text - Search input
+ * @returns {string[]} Distinct terms in input order
+ */
+function searchTerms(text) {
+  const words = text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Build a MATCH expression requiring every term. Each term is given as the
+ * list of words it may match; with prefix the words also match longer
+ * words starting with them.
+ * @param {string[][]} alternatives - Words per term
+ * @param {boolean} prefix - Whether words match as prefixes
+ * @returns {string} FTS5 query
+ */
+function matchExpression(alternatives, prefix) {
+  return alternatives
+    .map((words) => {
+      const quoted = words.map(word => `"${word.replace(/"/g, '""')}"${prefix ? '*' : ''}`);
+      return quoted.length === 1 ? quoted[0] : `(${quoted.join(' OR ')})`;
+    })
+    .join(' AND ');
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps
+ * of neighbouring letters as one edit (optimal string alignment)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Distance
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Edits a word may be away from the words it stands for in the typo
+ * tolerant search: none for short words, where a single edit changes
+ * the word, one up to seven letters and two beyond
+ * @param {string} word - Search word
+ * @returns {number} Allowed edits
+ */
+function allowedEdits(word) {
+  if (word.length < 4) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Range of the indexed words sharing the first letter of a word. Typos
+ * are only looked for after the first letter, which keeps the words to
+ * compare with few even for a large index.
+ * @param {string} word - Search word
+ * @returns {string[]} Lowest word (inclusive) and highest word (exclusive)
+ */
+function firstLetterRange(word) {
+  const first = String.fromCodePoint(word.codePointAt(0));
+  return [first, String.fromCodePoint(first.codePointAt(0) + 1)];
+}
+
+/**
+ * Turn text highlighted with the markers into HTML with <mark> tags
+ * @param {string|null} text - Text from highlight() or snippet()
+ * @returns {string|null} Escaped HTML
+ */
+function markHighlights(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  return text
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+module.exports = {
+  MAX_TYPO_CANDIDATES,
+  MARK_START,
+  MARK_END,
+  searchTerms,
+  matchExpression,
+  editDistance,
+  allowedEdits,
+  firstLetterRange,
+  markHighlights
+};
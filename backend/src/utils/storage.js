@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { database } = require('./database');
+
+/**
+ * Stores attachment contents as files in a local directory. By default
+ * this is the "attachments" folder next to tasks.db.
+ *
+ * Every storage backend implements the same three async methods:
+ * save(key, buffer), createReadStream(key) and remove(key).
+ */
+class LocalStorage {
+  constructor(directory) {
+    this.directory = directory || process.env.ATTACHMENT_DIR ||
+      path.join(path.dirname(database.dbPath), 'attachments');
+  }
+
+  /**
+   * Resolve the file path of a key
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    return path.join(this.directory, path.basename(key));
+  }
+
+  /**
+   * Write contents under a key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.resolve(key), buffer);
+  }
+
+  /**
+   * Open the contents of a key for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>} File stream
+   */
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Remove the contents of a key; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+// Available backends, selected with ATTACHMENT_STORAGE
+const backends = {
+  local: () => new LocalStorage()
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown attachment storage backend: ${name}`);
+    }
+    storage = backends[name]();
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage backend, e.g. with an object store client
+ * @param {Object} backend - Object implementing save, createReadStream and remove
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  LocalStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,65 @@
+const moment = require('moment');
+const { resolveDate } = require('./dateTokens');
+
+// Filters of the task list, shared by GET /api/tasks, bulk operations and saved views
+const TASK_FILTERS = [
+  'status', 'priority', 'is_urgent', 'search', 'parent_id', 'project_id',
+  'workspace_id', 'assigned_to', 'tags', 'tag_mode', 'due_after', 'due_before', 'q'
+];
+
+// Fields the task list can be sorted by
+const TASK_SORT_FIELDS = [
+  'title', 'status', 'priority', 'due_date', 'created_at', 'updated_at',
+  'completion_percentage', 'priority_score'
+];
+
+/**
+ * Turn task list filters (the query of GET /api/tasks, the filter of a
+ * bulk operation or the filters of a saved view) into Task.findAll
+ * options. Date tokens, including those of the query language, are
+ * resolved against one reference time.
+ * @param {Object} filters - Filter values as strings (is_urgent may be a boolean)
+ * @param {string} userId - Current user, for assigned_to=me
+ * @param {moment} [now] - Reference time for date tokens
+ * @returns {Object} Filter options
+ */
+function taskFilterOptions(filters, userId, now = moment.utc()) {
+  const {
+    status,
+    priority,
+    is_urgent,
+    search,
+    parent_id,
+    project_id,
+    workspace_id,
+    assigned_to,
+    tags,
+    tag_mode,
+    due_after,
+    due_before,
+    q
+  } = filters;
+
+  return {
+    status,
+    priority,
+    is_urgent: is_urgent !== undefined ? String(is_urgent) === 'true' : undefined,
+    search,
+    parent_id,
+    project_id,
+    workspace_id,
+    assignee_id: assigned_to === 'me' ? userId : assigned_to,
+    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+    tag_mode,
+    due_after: due_after ? resolveDate(due_after, now) : undefined,
+    due_before: due_before ? resolveDate(due_before, now) : undefined,
+    q,
+    now
+  };
+}
+
+module.exports = {
+  TASK_FILTERS,
+  TASK_SORT_FIELDS,
+  taskFilterOptions
+};
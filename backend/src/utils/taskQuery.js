@@ -0,0 +1,483 @@
+const moment = require('moment');
+const { resolveDate } = require('./dateTokens');
+const { STATUS_KEY, OPEN_CATEGORIES } = require('./workflow');
+
+/**
+ * The task query language of the q parameter, e.g.
+ *
+ *   status:TODO,IN_PROGRESS priority>=HIGH due<2026-11-01 -is:urgent "exact phrase"
+ *
+ * Terms next to each other must all match, OR between terms matches either
+ * side (AND binds tighter, parentheses group), and a leading - or NOT
+ * negates a term. A term is field:value (a comma separated list matches any
+ * of the values), field!=value, a comparison (<, <=, >, >=) on an ordered
+ * field, a "quoted phrase" or a bare word; phrases and words search title
+ * and description. Dates are ISO 8601 dates or date tokens such as today+7d.
+ * Queries are parsed into a tree and compiled to parameterised SQL over the
+ * tasks table; values never end up in the SQL text.
+ */
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+const EQUALITY = [':', '=', '!='];
+const COMPARISON = [':', '=', '!=', '<', '<=', '>', '>='];
+
+// Flags of is: and the condition each one stands for (now is the reference time)
+const FLAGS = {
+  urgent: () => ({ sql: 'tasks.is_urgent = 1', params: [] }),
+  open: () => ({ sql: `tasks.status_category IN (${OPEN_CATEGORIES.map(() => '?').join(', ')})`, params: OPEN_CATEGORIES }),
+  done: () => ({ sql: 'tasks.status_category = ?', params: ['done'] }),
+  cancelled: () => ({ sql: 'tasks.status_category = ?', params: ['cancelled'] }),
+  overdue: (now) => ({
+    sql: `datetime(tasks.due_date) < datetime(?) AND tasks.status_category IN (${OPEN_CATEGORIES.map(() => '?').join(', ')})`,
+    params: [now.toISOString(), ...OPEN_CATEGORIES]
+  }),
+  subtask: () => ({ sql: 'tasks.parent_id IS NOT NULL', params: [] }),
+  recurring: () => ({ sql: 'tasks.recurrence_rule IS NOT NULL', params: [] })
+};
+
+// Properties of has: and the condition each one stands for
+const PROPERTIES = {
+  due: 'tasks.due_date IS NOT NULL',
+  project: 'tasks.project_id IS NOT NULL',
+  assignee: 'tasks.assignee_id IS NOT NULL',
+  description: "COALESCE(tasks.description, '') != ''",
+  tags: 'EXISTS (SELECT 1 FROM task_tags WHERE task_tags.task_id = tasks.id)',
+  subtasks: 'EXISTS (SELECT 1 FROM tasks AS subtasks WHERE subtasks.parent_id = tasks.id AND subtasks.deleted_at IS NULL)'
+};
+
+const ID = /^[a-zA-Z0-9-]+$/;
+
+/**
+ * Fields of the language: the operators each accepts, how a value is
+ * checked and normalised (returning undefined rejects it) and whether a
+ * list of values is allowed
+ */
+const FIELDS = {
+  status: {
+    operators: EQUALITY,
+    list: true,
+    value: value => (STATUS_KEY.test(value.toUpperCase()) ? value.toUpperCase() : undefined),
+    expected: 'a status key'
+  },
+  priority: {
+    operators: COMPARISON,
+    list: true,
+    value: value => (PRIORITIES.includes(value.toUpperCase()) ? value.toUpperCase() : undefined),
+    expected: `one of ${PRIORITIES.join(', ')}`
+  },
+  due: { operators: COMPARISON, date: true, column: 'due_date' },
+  created: { operators: COMPARISON, date: true, column: 'created_at' },
+  updated: { operators: COMPARISON, date: true, column: 'updated_at' },
+  completion: {
+    operators: COMPARISON,
+    value: value => (/^\d{1,3}$/.test(value) && parseInt(value) <= 100 ? parseInt(value) : undefined),
+    expected: 'a percentage between 0 and 100'
+  },
+  project: { operators: EQUALITY, list: true, value: value => (ID.test(value) ? value : undefined), expected: 'a project ID' },
+  workspace: { operators: EQUALITY, list: true, value: value => (ID.test(value) ? value : undefined), expected: 'a workspace ID' },
+  assignee: { operators: EQUALITY, list: true, value: value => (ID.test(value) ? value : undefined), expected: '"me" or a user ID' },
+  tag: { operators: EQUALITY, list: true, value: value => value, expected: 'a tag name' },
+  title: { operators: [':', '='], value: value => value, expected: 'text' },
+  is: {
+    operators: [':'],
+    value: value => (FLAGS[value.toLowerCase()] ? value.toLowerCase() : undefined),
+    expected: `one of ${Object.keys(FLAGS).join(', ')}`
+  },
+  has: {
+    operators: [':'],
+    value: value => (PROPERTIES[value.toLowerCase()] ? value.toLowerCase() : undefined),
+    expected: `one of ${Object.keys(PROPERTIES).join(', ')}`
+  }
+};
+
+const MAX_LENGTH = 500;
+const MAX_TERMS = 30;
+const MAX_DEPTH = 8;
+
+const FIELD_TERM = /^([a-zA-Z_]+)(!=|<=|>=|:|=|<|>)(.*)$/;
+
+/**
+ * A query that cannot be parsed, located at the offending token
+ */
+class TaskQueryError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {Object} token - Offending token { text, position }
+   */
+  constructor(message, token) {
+    super(message);
+    this.name = 'TaskQueryError';
+    this.token = token.text;
+    this.position = token.position;
+  }
+
+  /**
+   * Error detail in the shape of validation error details
+   * @returns {Object} { message, token, position }
+   */
+  toDetail() {
+    return { message: this.message, token: this.token, position: this.position };
+  }
+}
+
+/**
+ * Split a query into tokens: parentheses, operators (OR, AND, NOT, a
+ * leading -), quoted phrases and words. A word may contain a quoted part,
+ * as in title:"weekly report".
+ * @param {string} input - Query
+ * @returns {Object[]} Tokens { type, text, position }
+ */
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    const start = index;
+    if (char === '-' && index + 1 < input.length && !/[\s)]/.test(input[index + 1])) {
+      tokens.push({ type: 'NOT', text: '-', position: index });
+      index += 1;
+      continue;
+    }
+
+    while (index < input.length && !/[\s()]/.test(input[index])) {
+      if (input[index] === '"') {
+        const end = input.indexOf('"', index + 1);
+        if (end === -1) {
+          throw new TaskQueryError('Unterminated quote', { text: input.slice(index), position: index });
+        }
+        index = end;
+      }
+      index += 1;
+    }
+
+    const text = input.slice(start, index);
+    const type = ['OR', 'AND', 'NOT'].includes(text) ? text : 'term';
+    tokens.push({ type, text, position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Strip the quotes of a quoted value
+ * @param {string} value - Value, possibly quoted
+ * @returns {string} Unquoted value
+ */
+function unquote(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+/**
+ * Turn a term token into a node of the query tree
+ * @param {Object} token - Term token
+ * @returns {Object} { type: 'text' | 'field', ... }
+ */
+function parseTerm(token) {
+  const match = FIELD_TERM.exec(token.text);
+  if (!match) {
+    const text = unquote(token.text);
+    if (text.trim() === '') {
+      throw new TaskQueryError('Empty phrase', token);
+    }
+    return { type: 'text', text, token };
+  }
+
+  const [, name, operator, rawValue] = match;
+  const field = FIELDS[name.toLowerCase()];
+  if (!field) {
+    throw new TaskQueryError(`Unknown field "${name}", use one of ${Object.keys(FIELDS).join(', ')}`, token);
+  }
+  if (!field.operators.includes(operator)) {
+    throw new TaskQueryError(`${name.toLowerCase()} does not support "${operator}", use ${field.operators.join(' ')}`, token);
+  }
+  if (rawValue === '') {
+    throw new TaskQueryError(`Missing value for ${name.toLowerCase()}`, token);
+  }
+
+  const rawValues = rawValue.startsWith('"') ? [unquote(rawValue)] : rawValue.split(',');
+  const ordered = ['<', '<=', '>', '>='].includes(operator);
+  if (rawValues.length > 1 && (!field.list || ordered)) {
+    throw new TaskQueryError(`${name.toLowerCase()}${operator} takes a single value`, token);
+  }
+
+  const values = rawValues.map((value) => {
+    if (field.date) {
+      if (resolveDate(value) === null) {
+        throw new TaskQueryError(`Invalid date "${value}", use an ISO 8601 date or a date token such as today+3d`, token);
+      }
+      return value;
+    }
+    const normalized = value === '' ? undefined : field.value(value);
+    if (normalized === undefined) {
+      throw new TaskQueryError(`Invalid ${name.toLowerCase()} "${value}", expected ${field.expected}`, token);
+    }
+    return normalized;
+  });
+
+  return { type: 'field', field: name.toLowerCase(), operator: operator === '=' ? ':' : operator, values, token };
+}
+
+/**
+ * Parse a query into a tree of and/or/not nodes over text and field terms
+ * @param {string} input - Query
+ * @returns {Object} Query tree
+ * @throws {TaskQueryError} Located at the first offending token
+ */
+function parseTaskQuery(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new TaskQueryError('Query is empty', { text: '', position: 0 });
+  }
+  if (input.length > MAX_LENGTH) {
+    throw new TaskQueryError(`Query is longer than ${MAX_LENGTH} characters`, { text: '', position: MAX_LENGTH });
+  }
+
+  const tokens = tokenize(input);
+  let index = 0;
+  let terms = 0;
+
+  const peek = () => tokens[index];
+  const end = { text: '', position: input.length };
+
+  const parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[index++];
+      if (!peek() || ['OR', 'AND', ')'].includes(peek().type)) {
+        throw new TaskQueryError('Expected a term after OR', operator);
+      }
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseUnary(depth)];
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      if (peek().type === 'AND') {
+        const operator = tokens[index++];
+        if (!peek() || ['OR', 'AND', ')'].includes(peek().type)) {
+          throw new TaskQueryError('Expected a term after AND', operator);
+        }
+      }
+      children.push(parseUnary(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = (depth) => {
+    const token = peek();
+    if (!token) {
+      throw new TaskQueryError('Unexpected end of query', end);
+    }
+
+    if (token.type === 'NOT') {
+      index += 1;
+      if (!peek() || ['OR', 'AND', ')'].includes(peek().type)) {
+        throw new TaskQueryError(`Expected a term after ${token.text}`, token);
+      }
+      return { type: 'not', child: parseUnary(depth) };
+    }
+
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw new TaskQueryError(`Parentheses are nested deeper than ${MAX_DEPTH} levels`, token);
+      }
+      index += 1;
+      if (peek() && peek().type === ')') {
+        throw new TaskQueryError('Empty parentheses', token);
+      }
+      const node = parseOr(depth + 1);
+      if (!peek() || peek().type !== ')') {
+        throw new TaskQueryError('Missing closing parenthesis', token);
+      }
+      index += 1;
+      return node;
+    }
+
+    if (token.type !== 'term') {
+      throw new TaskQueryError(`Unexpected "${token.text}"`, token);
+    }
+
+    index += 1;
+    terms += 1;
+    if (terms > MAX_TERMS) {
+      throw new TaskQueryError(`Query has more than ${MAX_TERMS} terms`, token);
+    }
+    return parseTerm(token);
+  };
+
+  const tree = parseOr(0);
+  if (peek()) {
+    throw new TaskQueryError(`Unexpected "${peek().text}"`, peek());
+  }
+  return tree;
+}
+
+/**
+ * Collect the field terms of a query tree
+ * @param {Object} node - Query tree
+ * @param {string} field - Field name
+ * @returns {Object[]} Field term nodes
+ */
+function fieldTerms(node, field) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children.flatMap(child => fieldTerms(child, field));
+    case 'not':
+      return fieldTerms(node.child, field);
+    default:
+      return node.type === 'field' && node.field === field ? [node] : [];
+  }
+}
+
+/**
+ * Escape LIKE wildcards so words match literally
+ * @param {string} text - Search text
+ * @returns {string} LIKE pattern matching the text anywhere
+ */
+function containsPattern(text) {
+  return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+const placeholders = values => values.map(() => '?').join(', ');
+
+// Rank of a priority, for comparisons
+const PRIORITY_RANK = `CASE tasks.priority ${PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank + 1}`).join(' ')} END`;
+
+/**
+ * Compile a field term
+ * @param {Object} node - Field term
+ * @param {Object} context - { user_id, now }
+ * @returns {Object} { sql, params }
+ */
+function compileField(node, context) {
+  const { field, operator, values } = node;
+  const negated = operator === '!=';
+  let condition;
+
+  switch (field) {
+    case 'status':
+      condition = { sql: `tasks.status IN (${placeholders(values)})`, params: values };
+      break;
+    case 'priority':
+      condition = [':', '!='].includes(operator)
+        ? { sql: `tasks.priority IN (${placeholders(values)})`, params: values }
+        : { sql: `${PRIORITY_RANK} ${operator} ?`, params: [PRIORITIES.indexOf(values[0]) + 1] };
+      break;
+    case 'due':
+    case 'created':
+    case 'updated': {
+      const column = `tasks.${FIELDS[field].column}`;
+      const date = resolveDate(values[0], context.now);
+      // field:date matches the whole (UTC) day of the date
+      condition = [':', '!='].includes(operator)
+        ? { sql: `date(${column}) = date(?)`, params: [date] }
+        : { sql: `datetime(${column}) ${operator} datetime(?)`, params: [date] };
+      break;
+    }
+    case 'completion':
+      condition = [':', '!='].includes(operator)
+        ? { sql: 'tasks.completion_percentage = ?', params: values }
+        : { sql: `tasks.completion_percentage ${operator} ?`, params: values };
+      break;
+    case 'project':
+      condition = { sql: `tasks.project_id IN (${placeholders(values)})`, params: values };
+      break;
+    case 'workspace':
+      condition = { sql: `tasks.workspace_id IN (${placeholders(values)})`, params: values };
+      break;
+    case 'assignee': {
+      const ids = values.map(value => (value === 'me' ? context.user_id : value));
+      condition = { sql: `tasks.assignee_id IN (${placeholders(ids)})`, params: ids };
+      break;
+    }
+    case 'tag':
+      condition = {
+        sql: `tasks.id IN (
+          SELECT task_tags.task_id FROM task_tags
+          JOIN tags ON tags.id = task_tags.tag_id
+          WHERE tags.name IN (${placeholders(values)})
+        )`,
+        params: values
+      };
+      break;
+    case 'title':
+      condition = { sql: "tasks.title LIKE ? ESCAPE '\\'", params: [containsPattern(values[0])] };
+      break;
+    case 'is':
+      condition = FLAGS[values[0]](context.now);
+      break;
+    case 'has':
+      condition = { sql: PROPERTIES[values[0]], params: [] };
+      break;
+    default:
+      throw new Error(`Unsupported field ${field}`);
+  }
+
+  return negated ? negate(condition) : condition;
+}
+
+/**
+ * Negate a condition; conditions that are unknown for a task (NULL, e.g.
+ * a due date comparison on a task without due date) count as not matching
+ * @param {Object} condition - { sql, params }
+ * @returns {Object} { sql, params }
+ */
+function negate(condition) {
+  return { sql: `NOT COALESCE((${condition.sql}), 0)`, params: condition.params };
+}
+
+/**
+ * Compile a query tree into a parameterised SQL condition over tasks
+ * @param {Object} node - Query tree from parseTaskQuery
+ * @param {Object} context - Evaluation context
+ * @param {string} context.user_id - User "me" stands for
+ * @param {moment} [context.now] - Reference time for date tokens and is:overdue
+ * @returns {Object} { sql, params }
+ */
+function compileTaskQuery(node, context) {
+  const { user_id, now = moment.utc() } = context;
+
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const parts = node.children.map(child => compileTaskQuery(child, { user_id, now }));
+      return {
+        sql: `(${parts.map(part => `(${part.sql})`).join(node.type === 'and' ? ' AND ' : ' OR ')})`,
+        params: parts.flatMap(part => part.params)
+      };
+    }
+    case 'not':
+      return negate(compileTaskQuery(node.child, { user_id, now }));
+    case 'text': {
+      const pattern = containsPattern(node.text);
+      return {
+        sql: "(tasks.title LIKE ? ESCAPE '\\' OR tasks.description LIKE ? ESCAPE '\\')",
+        params: [pattern, pattern]
+      };
+    }
+    default:
+      return compileField(node, { user_id, now });
+  }
+}
+
+module.exports = {
+  TaskQueryError,
+  parseTaskQuery,
+  compileTaskQuery,
+  fieldTerms
+};
@@ -0,0 +1,36 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User instance
+ * @returns {string} Signed JWT
+ */
+function generateAccessToken(user) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, tv: user.token_version || 0 },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m', jwtid: uuidv4() }
+  );
+}
+
+/**
+ * Issue an access token together with a new refresh token
+ * @param {Object} user - User instance
+ * @param {string} [family_id] - Refresh token family to continue
+ * @returns {Promise<Object>} Token pair and the refresh token record
+ */
+async function issueTokens(user, family_id) {
+  const { token: refresh_token, record } = await RefreshToken.create(user.id, family_id);
+  return {
+    token: generateAccessToken(user),
+    refresh_token,
+    record
+  };
+}
+
+module.exports = {
+  generateAccessToken,
+  issueTokens
+};
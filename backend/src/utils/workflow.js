@@ -0,0 +1,114 @@
+/**
+ * Task workflows. A workflow is an ordered list of statuses, each mapped
+ * to one of a fixed set of categories, plus optional transition rules.
+ * Behaviour is tied to categories, never to status names: open tasks are
+ * those in `todo` or `in_progress`, blocker checks and recurrence trigger
+ * on entering `done`, and cancelling cascades on entering `cancelled`.
+ * The first status is the initial status of new tasks. A status may cap
+ * the number of tasks in its board column with a WIP limit.
+ */
+
+const CATEGORIES = ['todo', 'in_progress', 'done', 'cancelled'];
+
+// Categories of tasks that still need work
+const OPEN_CATEGORIES = ['todo', 'in_progress'];
+
+// Categories every workflow needs: new tasks, completion and cancellation
+const REQUIRED_CATEGORIES = ['todo', 'done', 'cancelled'];
+
+// Completion weight of a status when none is given
+const DEFAULT_WEIGHTS = { todo: 0, in_progress: 50, done: 100, cancelled: 0 };
+
+const STATUS_KEY = /^[A-Z][A-Z0-9_]{0,29}$/;
+const MAX_STATUSES = 30;
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'TODO', name: 'To do', category: 'todo', weight: 0, wip_limit: null },
+    { key: 'IN_PROGRESS', name: 'In progress', category: 'in_progress', weight: 50, wip_limit: null },
+    { key: 'COMPLETED', name: 'Completed', category: 'done', weight: 100, wip_limit: null },
+    { key: 'CANCELLED', name: 'Cancelled', category: 'cancelled', weight: 0, wip_limit: null }
+  ],
+  transitions: null
+};
+
+/**
+ * Check a workflow definition and fill in defaults
+ * @param {Object} definition - { statuses, transitions }
+ * @returns {Object} Normalised { statuses, transitions }
+ * @throws {Error} When the definition is invalid
+ */
+function normalizeWorkflow(definition = {}) {
+  const { statuses, transitions } = definition;
+
+  if (!Array.isArray(statuses) || statuses.length === 0 || statuses.length > MAX_STATUSES) {
+    throw new Error(`A workflow needs between 1 and ${MAX_STATUSES} statuses`);
+  }
+
+  const normalized = statuses.map((status) => {
+    if (!status || !STATUS_KEY.test(status.key)) {
+      throw new Error('Status keys must be upper case letters, digits and underscores (at most 30), starting with a letter');
+    }
+    if (!CATEGORIES.includes(status.category)) {
+      throw new Error(`Status ${status.key}: category must be one of ${CATEGORIES.join(', ')}`);
+    }
+
+    const weight = status.weight ?? DEFAULT_WEIGHTS[status.category];
+    if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+      throw new Error(`Status ${status.key}: weight must be an integer between 0 and 100`);
+    }
+
+    const wipLimit = status.wip_limit ?? null;
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) {
+      throw new Error(`Status ${status.key}: wip_limit must be a positive integer or null`);
+    }
+
+    return {
+      key: status.key,
+      name: typeof status.name === 'string' && status.name.trim() ? status.name.trim() : status.key,
+      category: status.category,
+      weight,
+      wip_limit: wipLimit
+    };
+  });
+
+  const keys = normalized.map(status => status.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new Error(`Status ${duplicate} is defined twice`);
+  }
+
+  const missing = REQUIRED_CATEGORIES.filter(category => !normalized.some(status => status.category === category));
+  if (missing.length > 0) {
+    throw new Error(`A workflow needs at least one status in each of: ${missing.join(', ')}`);
+  }
+  if (normalized[0].category !== 'todo') {
+    throw new Error('The first status is the initial status and must be in the todo category');
+  }
+
+  if (transitions === undefined || transitions === null) {
+    return { statuses: normalized, transitions: null };
+  }
+  if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+    throw new Error('Transitions must map a status to the statuses it may move to');
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!keys.includes(from)) {
+      throw new Error(`Transitions: unknown status ${from}`);
+    }
+    if (!Array.isArray(targets) || targets.some(to => !keys.includes(to))) {
+      throw new Error(`Transitions from ${from} must be a list of statuses of the workflow`);
+    }
+  }
+
+  return { statuses: normalized, transitions };
+}
+
+module.exports = {
+  CATEGORIES,
+  OPEN_CATEGORIES,
+  STATUS_KEY,
+  DEFAULT_WORKFLOW,
+  normalizeWorkflow
+};
@@ -4,17 +4,20 @@ const { database } = require('../src/utils/database');
 
 describe('Authentication Endpoints', () => {
   let authToken;
+  let refreshToken;
   let testUserId;
 
   beforeAll(async () => {
     // Clean up test data
     await database.run('DELETE FROM tasks WHERE user_id LIKE ?', ['test-%']);
+    await database.run('DELETE FROM refresh_tokens WHERE user_id IN (SELECT id FROM users WHERE username LIKE ?)', ['test_%']);
     await database.run('DELETE FROM users WHERE username LIKE ?', ['test_%']);
   });
 
   afterAll(async () => {
     // Clean up test data
     await database.run('DELETE FROM tasks WHERE user_id LIKE ?', ['test-%']);
+    await database.run('DELETE FROM refresh_tokens WHERE user_id IN (SELECT id FROM users WHERE username LIKE ?)', ['test_%']);
     await database.run('DELETE FROM users WHERE username LIKE ?', ['test_%']);
     await database.close();
   });
@@ -37,10 +40,12 @@ describe('Authentication Endpoints', () => {
       expect(response.body.data.username).toBe(userData.username);
       expect(response.body.data.email).toBe(userData.email);
       expect(response.body.token).toBeDefined();
+      expect(response.body.refresh_token).toBeDefined();
       expect(response.body.data.password).toBeUndefined();
 
       testUserId = response.body.data.id;
       authToken = response.body.token;
+      refreshToken = response.body.refresh_token;
     });
 
     it('should return 409 for duplicate username', async () => {
@@ -323,4 +328,232 @@ describe('Authentication Endpoints', () => {
       expect(response.body.error).toBe('Invalid token');
     });
   });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refresh_token).not.toBe(refreshToken);
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: refreshToken })
+        .expect(401);
+
+      expect(replay.body.error).toBe('Invalid refresh token');
+
+      // Replaying a rotated token revokes the whole family
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: response.body.refresh_token })
+        .expect(401);
+    });
+
+    it('should treat concurrent use of a refresh token as reuse', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test_user_duplicate', password: 'TestPass123' })
+        .expect(200);
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: login.body.refresh_token })));
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses).toEqual([200, 401]);
+
+      // The rotation that won is revoked along with the rest of the family
+      const winner = responses.find(response => response.status === 200);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: winner.body.refresh_token })
+        .expect(401);
+    });
+
+    it('should return 400 for missing refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the access and refresh token', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test_user_duplicate', password: 'TestPass123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ refresh_token: login.body.refresh_token })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Token revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: login.body.refresh_token })
+        .expect(401);
+    });
+
+    it('should invalidate every session when the password changes', async () => {
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test_user_duplicate', password: 'TestPass123' })
+        .expect(200);
+
+      const update = await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .send({ email: 'duplicate@example.com', password: 'ChangedPass123' })
+        .expect(200);
+
+      expect(update.body.token).toBeDefined();
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${first.body.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: first.body.refresh_token })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${update.body.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Admin user management', () => {
+    let adminToken;
+    let memberToken;
+    let memberId;
+
+    beforeAll(async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'admin123' });
+      adminToken = admin.body.token;
+
+      const member = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'test_member', email: 'member@example.com', password: 'TestPass123' });
+      memberToken = member.body.token;
+      memberId = member.body.data.id;
+    });
+
+    it('should expose the role of the seeded admin', async () => {
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.role).toBe('admin');
+    });
+
+    it('should return 403 for regular users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Access denied');
+    });
+
+    it('should list users for admins', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.pagination).toBeDefined();
+    });
+
+    it('should change the role of a user', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${memberId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'manager' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('manager');
+
+      // Managers can read but not modify users
+      await request(app)
+        .get(`/api/admin/users/${memberId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/admin/users/${memberId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+    });
+
+    it('should return 400 for an invalid role', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${memberId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    it('should disable a user and revoke their sessions', async () => {
+      await request(app)
+        .post(`/api/admin/users/${memberId}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test_member', password: 'TestPass123' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Account disabled');
+    });
+
+    it('should not let admins delete themselves', async () => {
+      await request(app)
+        .delete('/api/admin/users/admin-001')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    it('should delete a user', async () => {
+      await request(app)
+        .delete(`/api/admin/users/${memberId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/admin/users/${memberId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
 });
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const moment = require('moment');
+const app = require('../src/server');
+const { database } = require('../src/utils/database');
+const Notification = require('../src/models/Notification');
+const { sendDueReminders } = require('../src/jobs/reminders');
+
+describe('Notification Endpoints', () => {
+  let authToken;
+
+  const createTask = async (data) => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(data)
+      .expect(201);
+    return response.body.data;
+  };
+
+  const unreadCount = async () => {
+    const response = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    return response.body.data.unread_count;
+  };
+
+  beforeAll(async () => {
+    // Clean up test data
+    await database.run('DELETE FROM users WHERE username LIKE ?', ['test_notify%']);
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'test_notify_user',
+        email: 'notify@example.com',
+        password: 'TestPass123'
+      });
+    authToken = response.body.token;
+  });
+
+  afterAll(async () => {
+    // Clean up test data (tasks and notifications are removed by ON DELETE CASCADE)
+    await database.run('DELETE FROM users WHERE username LIKE ?', ['test_notify%']);
+    await database.close();
+  });
+
+  describe('Due date reminders', () => {
+    it('should notify about tasks due soon and overdue tasks once', async () => {
+      await createTask({ title: 'Due soon', due_date: moment.utc().add(30, 'minutes').toISOString() });
+      await createTask({ title: 'Overdue', due_date: moment.utc().subtract(1, 'day').toISOString() });
+      await createTask({ title: 'Due later', due_date: moment.utc().add(5, 'days').toISOString() });
+      await createTask({ title: 'Done', status: 'COMPLETED', due_date: moment.utc().subtract(1, 'day').toISOString() });
+
+      await sendDueReminders();
+      // A second run (e.g. after a restart) must not duplicate reminders
+      await sendDueReminders();
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      expect(response.body.data.map(notification => notification.type).sort()).toEqual(['due_soon', 'overdue']);
+      expect(await unreadCount()).toBe(2);
+    });
+
+    it('should skip recipients already notified of an overdue task', async () => {
+      const create = jest.spyOn(Notification, 'create');
+      try {
+        await sendDueReminders();
+        const titles = create.mock.calls.map(([notification]) => notification.message);
+        expect(titles.some(message => message.includes('"Overdue"'))).toBe(false);
+      } finally {
+        create.mockRestore();
+      }
+    });
+
+    it('should use the lead times chosen by the user', async () => {
+      const settings = await request(app)
+        .put('/api/settings/reminders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lead_minutes: [20, 10, 20] })
+        .expect(200);
+      expect(settings.body.data).toEqual({ lead_minutes: [10, 20], is_default: false });
+
+      await request(app)
+        .put('/api/settings/reminders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ lead_minutes: [0] })
+        .expect(400);
+
+      const later = await createTask({ title: 'Due in an hour', due_date: moment.utc().add(1, 'hour').toISOString() });
+      const sooner = await createTask({ title: 'Due in 20 minutes', due_date: moment.utc().add(20, 'minutes').toISOString() });
+      await sendDueReminders();
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const messages = response.body.data.map(notification => notification.message);
+      expect(messages.some(message => message.includes('"Due in 20 minutes"'))).toBe(true);
+      expect(messages.some(message => message.includes('"Due in an hour"'))).toBe(false);
+
+      // Their notifications go with the tasks
+      for (const task of [later, sooner]) {
+        await request(app)
+          .delete(`/api/tasks/${task.id}/permanent`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+      }
+    });
+  });
+
+  describe('Reading notifications', () => {
+    it('should mark a single notification as read', async () => {
+      const list = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/notifications/${list.body.data[0].id}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.is_read).toBe(true);
+      expect(await unreadCount()).toBe(1);
+    });
+
+    it('should mark all notifications as read', async () => {
+      const response = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.updated).toBe(1);
+      expect(await unreadCount()).toBe(0);
+    });
+
+    it('should not expose notifications of other users', async () => {
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'test_notify_other',
+          email: 'notify_other@example.com',
+          password: 'TestPass123'
+        });
+
+      const list = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/notifications/${list.body.data[0].id}/read`)
+        .set('Authorization', `Bearer ${other.body.token}`)
+        .expect(403);
+    });
+  });
+});
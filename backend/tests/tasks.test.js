@@ -0,0 +1,2137 @@
+const request = require('supertest');
+
+// This suite sends more requests than the default rate limit allows
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+
+const app = require('../src/server');
+const fs = require('fs');
+const { database } = require('../src/utils/database');
+const { getStorage } = require('../src/utils/storage');
+const Task = require('../src/models/Task');
+const User = require('../src/models/User');
+const TaskEvent = require('../src/models/TaskEvent');
+
+describe('Task Endpoints', () => {
+  let authToken;
+
+  const createTask = async (data) => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(data)
+      .expect(201);
+    return response.body.data;
+  };
+
+  const getTask = async (id) => {
+    const response = await request(app)
+      .get(`/api/tasks/${id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    return response.body.data;
+  };
+
+  // Deleting through the model also removes the users' attachment files
+  const removeTestUsers = async () => {
+    const users = await database.all('SELECT id FROM users WHERE username LIKE ?', ['test_tasks%']);
+    for (const user of users) {
+      await User.delete(user.id);
+    }
+  };
+
+  beforeAll(async () => {
+    // Clean up test data
+    await removeTestUsers();
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'test_tasks_user',
+        email: 'tasks@example.com',
+        password: 'TestPass123'
+      });
+    authToken = response.body.token;
+  });
+
+  afterAll(async () => {
+    // Clean up test data (tasks are removed by ON DELETE CASCADE)
+    await removeTestUsers();
+    await database.close();
+  });
+
+  describe('Subtasks', () => {
+    let parent;
+    let first;
+    let second;
+
+    beforeAll(async () => {
+      parent = await createTask({ title: 'Parent task' });
+      first = await createTask({ title: 'First subtask', parent_id: parent.id });
+      second = await createTask({ title: 'Second subtask', parent_id: parent.id });
+    });
+
+    it('should list the subtasks of a task', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${parent.id}/subtasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toEqual([first.id, second.id]);
+      expect((await getTask(parent.id)).subtask_count).toBe(2);
+    });
+
+    it('should roll up completion from subtasks', async () => {
+      await request(app)
+        .put(`/api/tasks/${first.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+
+      expect((await getTask(parent.id)).completion_percentage).toBe(50);
+    });
+
+    it('should reject a subtask as parent of its ancestor', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ parent_id: first.id })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid parent task');
+    });
+
+    it('should reject an unknown parent', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Orphan', parent_id: 'does-not-exist' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid parent task');
+    });
+
+    it('should cancel unfinished subtasks with their parent', async () => {
+      await request(app)
+        .put(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'CANCELLED' })
+        .expect(200);
+
+      expect((await getTask(first.id)).status).toBe('COMPLETED');
+      expect((await getTask(second.id)).status).toBe('CANCELLED');
+    });
+
+    it('should delete subtasks with their parent', async () => {
+      await request(app)
+        .delete(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/tasks/${second.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Dependencies', () => {
+    let blocker;
+    let blocked;
+
+    beforeAll(async () => {
+      blocker = await createTask({ title: 'Blocking task' });
+      blocked = await createTask({ title: 'Blocked task' });
+    });
+
+    it('should add a blocking task', async () => {
+      await request(app)
+        .post(`/api/tasks/${blocked.id}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ blocker_id: blocker.id })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${blocked.id}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toEqual([blocker.id]);
+      expect((await getTask(blocked.id)).is_blocked).toBe(true);
+    });
+
+    it('should reject dependency cycles', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${blocker.id}/dependencies`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ blocker_id: blocked.id })
+        .expect(400);
+
+      expect(response.body.message).toBe('This dependency would create a cycle');
+    });
+
+    it('should not complete a task with open blockers', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${blocked.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Task is blocked');
+    });
+
+    it('should unblock a task once its blocker is completed', async () => {
+      await request(app)
+        .put(`/api/tasks/${blocker.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+
+      expect((await getTask(blocked.id)).is_blocked).toBe(false);
+
+      await request(app)
+        .put(`/api/tasks/${blocked.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+    });
+
+    it('should remove a blocking task', async () => {
+      await request(app)
+        .delete(`/api/tasks/${blocked.id}/dependencies/${blocker.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/tasks/${blocked.id}/dependencies/${blocker.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Tags', () => {
+    let backend;
+    let both;
+
+    beforeAll(async () => {
+      backend = await createTask({ title: 'Tagged backend', tags: ['backend'] });
+      both = await createTask({ title: 'Tagged twice', tags: ['backend', 'Client-A'] });
+    });
+
+    it('should include tags in the task response', async () => {
+      expect(both.tags.map(tag => tag.name)).toEqual(['backend', 'Client-A']);
+      expect(both.tags[0].color).toBeDefined();
+    });
+
+    it('should filter tasks by any tag', async () => {
+      const response = await request(app)
+        .get('/api/tasks?tags=backend,client-a&tag_mode=any')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id).sort()).toEqual([backend.id, both.id].sort());
+    });
+
+    it('should filter tasks by all tags', async () => {
+      const response = await request(app)
+        .get('/api/tasks?tags=backend,client-a&tag_mode=all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.id)).toEqual([both.id]);
+    });
+
+    it('should replace tags on update', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${backend.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tags: ['frontend'] })
+        .expect(200);
+
+      expect(response.body.data.tags.map(tag => tag.name)).toEqual(['frontend']);
+    });
+
+    it('should count tasks per tag in statistics', async () => {
+      const response = await request(app)
+        .get('/api/tasks/statistics')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const counts = Object.fromEntries(response.body.data.tags.map(tag => [tag.name, tag.task_count]));
+      expect(counts).toEqual({ backend: 1, 'Client-A': 1, frontend: 1 });
+    });
+
+    it('should reject duplicate tag names', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'BACKEND', color: '#FF0000' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Tag already exists');
+    });
+  });
+
+  describe('Projects', () => {
+    let project;
+    let projectTask;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Client work', color: '#2563EB' })
+        .expect(201);
+      project = response.body.data;
+
+      projectTask = await createTask({ title: 'Client task', project_id: project.id, status: 'COMPLETED' });
+      await createTask({ title: 'Second client task', project_id: project.id });
+    });
+
+    it('should filter tasks by project', async () => {
+      const response = await request(app)
+        .get(`/api/tasks?project_id=${project.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      expect(response.body.data.every(task => task.project_id === project.id)).toBe(true);
+    });
+
+    it('should return per-project statistics', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${project.id}/statistics`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.total_tasks).toBe(2);
+      expect(response.body.data.completed_tasks).toBe(1);
+      expect(response.body.data.completion_rate).toBe(50);
+    });
+
+    it('should reject tasks for archived projects', async () => {
+      await request(app)
+        .put(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_archived: true })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Late task', project_id: project.id })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid project');
+
+      const list = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.map(item => item.id)).not.toContain(project.id);
+    });
+
+    it('should keep tasks when the project is deleted', async () => {
+      await request(app)
+        .delete(`/api/projects/${project.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect((await getTask(projectTask.id)).project_id).toBeNull();
+    });
+  });
+
+  describe('Workspaces', () => {
+    let memberToken;
+    let memberId;
+    let workspace;
+    let sharedTask;
+
+    beforeAll(async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'test_tasks_member',
+          email: 'tasks_member@example.com',
+          password: 'TestPass123'
+        });
+      memberToken = registration.body.token;
+      memberId = registration.body.data.id;
+
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Team space' })
+        .expect(201);
+      workspace = response.body.data;
+
+      await request(app)
+        .post(`/api/workspaces/${workspace.id}/members`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'test_tasks_member', role: 'viewer' })
+        .expect(201);
+
+      sharedTask = await createTask({ title: 'Shared task', workspace_id: workspace.id });
+    });
+
+    it('should let viewers read but not edit workspace tasks', async () => {
+      const list = await request(app)
+        .get(`/api/tasks?workspace_id=${workspace.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+      expect(list.body.data.map(task => task.id)).toEqual([sharedTask.id]);
+
+      await request(app)
+        .put(`/api/tasks/${sharedTask.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ status: 'IN_PROGRESS' })
+        .expect(403);
+    });
+
+    it('should assign tasks to members and list them with assigned_to=me', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${sharedTask.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assignee_id: memberId })
+        .expect(200);
+      expect(response.body.data.assignee_id).toBe(memberId);
+
+      const assigned = await request(app)
+        .get('/api/tasks?assigned_to=me')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+      expect(assigned.body.data.map(task => task.id)).toEqual([sharedTask.id]);
+
+      // Assignees may edit, but only owners and workspace admins may delete
+      await request(app)
+        .put(`/api/tasks/${sharedTask.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ status: 'IN_PROGRESS' })
+        .expect(200);
+      await request(app)
+        .delete(`/api/tasks/${sharedTask.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+    });
+
+    it('should apply the task permissions to bulk operations', async () => {
+      const updated = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ action: 'update', filter: { assigned_to: 'me' }, changes: { priority: 'HIGH' } })
+        .expect(200);
+      expect(updated.body.data.results.map(result => [result.id, result.status])).toEqual([[sharedTask.id, 200]]);
+      expect((await getTask(sharedTask.id)).priority).toBe('HIGH');
+
+      const deleted = await request(app)
+        .post('/api/tasks/bulk')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ action: 'delete', ids: [sharedTask.id] })
+        .expect(200);
+      expect(deleted.body.data.results[0].status).toBe(403);
+    });
+
+    it('should reject assignees outside the workspace', async () => {
+      const personal = await createTask({ title: 'Personal task' });
+
+      const response = await request(app)
+        .put(`/api/tasks/${personal.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assignee_id: memberId })
+        .expect(400);
+      expect(response.body.error).toBe('Invalid assignee');
+
+      await request(app)
+        .get(`/api/tasks/${personal.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403);
+    });
+
+    it('should let editors create tasks in the workspace', async () => {
+      await request(app)
+        .put(`/api/workspaces/${workspace.id}/members/${memberId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'editor' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ title: 'Member task', workspace_id: workspace.id, assignee_id: memberId })
+        .expect(201);
+      expect(response.body.data.workspace_id).toBe(workspace.id);
+    });
+  });
+
+  describe('Comments', () => {
+    let task;
+    let comment;
+
+    beforeAll(async () => {
+      task = await createTask({ title: 'Discussed task' });
+    });
+
+    it('should add Markdown comments and count them on the task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Waiting on **review**' })
+        .expect(201);
+      comment = response.body.data;
+
+      expect(comment.body).toBe('Waiting on **review**');
+      expect(comment.author.username).toBe('test_tasks_user');
+      expect(comment.is_edited).toBe(false);
+
+      await request(app)
+        .post(`/api/tasks/${task.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Second comment' })
+        .expect(201);
+
+      const updated = await getTask(task.id);
+      expect(updated.comment_count).toBe(2);
+    });
+
+    it('should reject empty and overly long comments', async () => {
+      await request(app)
+        .post(`/api/tasks/${task.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: '   ' })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/tasks/${task.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'x'.repeat(5001) })
+        .expect(400);
+    });
+
+    it('should paginate comments oldest first', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${task.id}/comments?limit=1`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].id).toBe(comment.id);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should edit and delete a comment', async () => {
+      const edited = await request(app)
+        .put(`/api/tasks/${task.id}/comments/${comment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Reviewed' })
+        .expect(200);
+      expect(edited.body.data.body).toBe('Reviewed');
+      expect(edited.body.data.is_edited).toBe(true);
+      expect(edited.body.data.edited_at).not.toBeNull();
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}/comments/${comment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const updated = await getTask(task.id);
+      expect(updated.comment_count).toBe(1);
+    });
+  });
+
+  describe('Attachments', () => {
+    let task;
+
+    const upload = (taskId, contents, filename, contentType, token = authToken) => request(app)
+      .post(`/api/tasks/${taskId}/attachments`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(contents), { filename, contentType });
+    const png = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from('screenshot')]);
+
+    beforeAll(async () => {
+      task = await createTask({ title: 'Task with files' });
+    });
+
+    it('should upload and download a file with its content type', async () => {
+      const response = await upload(task.id, 'spec contents', 'spec.txt', 'text/plain').expect(201);
+      const attachment = response.body.data;
+      expect(attachment.filename).toBe('spec.txt');
+      expect(attachment.size).toBe(13);
+
+      const download = await request(app)
+        .get(`/api/tasks/${task.id}/attachments/${attachment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(download.headers['content-type']).toMatch(/^text\/plain/);
+      expect(download.headers['content-disposition']).toContain('spec.txt');
+      expect(download.text).toBe('spec contents');
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await upload(task.id, 'MZ', 'tool.exe', 'application/x-msdownload').expect(415);
+      expect(response.body.error).toBe('Unsupported file type');
+    });
+
+    it('should reject files whose contents do not match their type', async () => {
+      const response = await upload(task.id, '<script>alert(1)</script>', 'shot.png', 'image/png').expect(415);
+      expect(response.body.error).toBe('Unsupported file type');
+
+      await upload(task.id, Buffer.from([0x00, 0xff, 0xfe]), 'notes.txt', 'text/plain').expect(415);
+    });
+
+    it('should remove the stored file when the attachment is deleted', async () => {
+      const response = await upload(task.id, 'temporary', 'temp.txt', 'text/plain').expect(201);
+      const attachment = response.body.data;
+      const filePath = getStorage().resolve(attachment.id);
+      expect(fs.existsSync(filePath)).toBe(true);
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}/attachments/${attachment.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should remove stored files when the task is deleted permanently', async () => {
+      const parent = await createTask({ title: 'Parent with files' });
+      const child = await createTask({ title: 'Child with files', parent_id: parent.id });
+      const response = await upload(child.id, png, 'shot.png', 'image/png').expect(201);
+      const filePath = getStorage().resolve(response.body.data.id);
+
+      // Files stay while the task is in the trash
+      await request(app)
+        .delete(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(fs.existsSync(filePath)).toBe(true);
+
+      await request(app)
+        .delete(`/api/tasks/${parent.id}/permanent`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should remove stored files when the user is deleted', async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'test_tasks_files', email: 'tasks_files@example.com', password: 'TestPass123' });
+      const created = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${registration.body.token}`)
+        .send({ title: 'Leaving user task' })
+        .expect(201);
+      const response = await upload(created.body.data.id, png, 'shot.png', 'image/png', registration.body.token).expect(201);
+      const filePath = getStorage().resolve(response.body.data.id);
+
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'admin123' });
+      await request(app)
+        .delete(`/api/admin/users/${registration.body.data.id}`)
+        .set('Authorization', `Bearer ${admin.body.token}`)
+        .expect(200);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('Score recomputation', () => {
+    it('should recompute stale priority scores on demand', async () => {
+      const admin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'admin', password: 'admin123' })
+        .expect(200);
+
+      const created = await createTask({ title: 'Stale score', priority: 'HIGH', due_date: new Date(Date.now() - 86400000).toISOString() });
+      await database.run('UPDATE tasks SET priority_score = 0 WHERE id = ?', [created.id]);
+
+      await request(app)
+        .post('/api/admin/scores/recompute')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/admin/scores/recompute')
+        .set('Authorization', `Bearer ${admin.body.token}`)
+        .expect(200);
+      expect(response.body.data.updated).toBeGreaterThanOrEqual(1);
+
+      const task = await database.get('SELECT priority_score, score_computed_at FROM tasks WHERE id = ?', [created.id]);
+      expect(task.priority_score).toBe(80);
+      expect(task.score_computed_at).toBeTruthy();
+    });
+  });
+
+  describe('Server-managed fields', () => {
+    let otherToken;
+    let otherUser;
+    let otherTask;
+
+    beforeAll(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'test_tasks_other', email: 'other@example.com', password: 'TestPass123' })
+        .expect(201);
+      otherToken = registered.body.token;
+      otherUser = registered.body.data;
+
+      const created = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Someone else\'s task' })
+        .expect(201);
+      otherTask = created.body.data;
+    });
+
+    it('should not take the owner from the request when re-parenting', async () => {
+      const mine = await createTask({ title: 'Spoofed parent' });
+
+      const response = await request(app)
+        .put(`/api/tasks/${mine.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ user_id: otherUser.id, parent_id: otherTask.id })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid parent task');
+      const stored = await Task.findById(mine.id);
+      expect(stored.user_id).not.toBe(otherUser.id);
+      expect(stored.parent_id).toBeNull();
+    });
+
+    it('should create tags in the account of the task owner', async () => {
+      const mine = await createTask({ title: 'Spoofed tags' });
+
+      await request(app)
+        .put(`/api/tasks/${mine.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ user_id: otherUser.id, tags: ['spoofed-tag'] })
+        .expect(200);
+
+      const otherTags = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+      expect(otherTags.body.data.map(tag => tag.name)).not.toContain('spoofed-tag');
+      expect((await getTask(mine.id)).tags.map(tag => tag.name)).toEqual(['spoofed-tag']);
+    });
+
+    it('should only move tasks into projects of the task owner', async () => {
+      const project = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Other project' })
+        .expect(201);
+      const mine = await createTask({ title: 'Spoofed project' });
+
+      const response = await request(app)
+        .put(`/api/tasks/${mine.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ user_id: otherUser.id, project_id: project.body.data.id })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid project');
+      expect((await getTask(mine.id)).project_id).toBeNull();
+    });
+
+    it('should ignore identifiers and server fields on creation', async () => {
+      const created = await createTask({ title: 'Chosen ID', id: 'chosen-id', user_id: otherUser.id, version: 7, position: -5 });
+
+      expect(created.id).not.toBe('chosen-id');
+      expect(created.user_id).not.toBe(otherUser.id);
+      expect(created.version).toBe(1);
+      expect(created.position).not.toBe(-5);
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    it('should reject invalid rules and rules without a due date', async () => {
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Bad rule', due_date: '2026-11-02T09:00:00Z', recurrence_rule: 'FREQ=YEARLY' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'No due date', recurrence_rule: 'FREQ=DAILY' })
+        .expect(400);
+      expect(response.body.error).toBe('Invalid recurrence');
+    });
+
+    it('should preview upcoming occurrences', async () => {
+      const task = await createTask({
+        title: 'Weekly report',
+        due_date: '2026-11-02T09:00:00Z',
+        recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO,TH'
+      });
+
+      const response = await request(app)
+        .get(`/api/tasks/${task.id}/occurrences?limit=3`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.occurrences.map(occurrence => occurrence.due_date)).toEqual([
+        '2026-11-05T09:00:00.000Z',
+        '2026-11-09T09:00:00.000Z',
+        '2026-11-12T09:00:00.000Z'
+      ]);
+    });
+
+    it('should spawn the next occurrence on completion until COUNT is reached', async () => {
+      const first = await createTask({
+        title: 'Monthly invoice',
+        priority: 'HIGH',
+        tags: ['billing'],
+        due_date: '2026-10-31T12:00:00Z',
+        recurrence_rule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=2'
+      });
+
+      const completed = await request(app)
+        .put(`/api/tasks/${first.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+
+      const second = await getTask(completed.body.data.next_occurrence_id);
+      expect(second.status).toBe('TODO');
+      expect(second.due_date).toBe('2026-11-27T12:00:00.000Z');
+      expect(second.occurrence_index).toBe(2);
+      expect(second.tags.map(tag => tag.name)).toEqual(['billing']);
+
+      const last = await request(app)
+        .put(`/api/tasks/${second.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+      expect(last.body.data.next_occurrence_id).toBeNull();
+    });
+
+    it('should ignore occurrence fields of recurring tasks', async () => {
+      const created = await createTask({
+        title: 'Spoofed occurrence',
+        due_date: '2026-11-02T09:00:00Z',
+        recurrence_rule: 'FREQ=DAILY',
+        occurrence_index: 5
+      });
+      expect(created.occurrence_index).toBe(1);
+
+      await request(app)
+        .put(`/api/tasks/${created.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ next_occurrence_id: created.id })
+        .expect(200);
+
+      const completed = await request(app)
+        .put(`/api/tasks/${created.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+
+      const next = await getTask(completed.body.data.next_occurrence_id);
+      expect(next.id).not.toBe(created.id);
+      expect(next.occurrence_index).toBe(2);
+    });
+  });
+
+  describe('Priority scoring', () => {
+    const dueInTenDays = () => new Date(Date.now() + 10 * 86400000).toISOString();
+
+    const updateScoring = (settings) => request(app)
+      .put('/api/settings/scoring')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(settings);
+
+    afterAll(async () => {
+      await updateScoring({ strategy: 'default', weights: { default: {}, wsjf: {} } }).expect(200);
+    });
+
+    it('should explain the default score', async () => {
+      const task = await createTask({ title: 'Scored', priority: 'HIGH', is_urgent: true, due_date: dueInTenDays() });
+
+      const response = await request(app)
+        .get(`/api/tasks/${task.id}/score-breakdown`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.strategy).toBe('default');
+      expect(response.body.data.score).toBe(65);
+      expect(response.body.data.stored_score).toBe(65);
+      expect(response.body.data.components.map(component => [component.factor, component.points])).toEqual([
+        ['priority', 40],
+        ['urgent', 20],
+        ['due_date', 5]
+      ]);
+    });
+
+    it('should rescore open tasks with the selected strategy and weights', async () => {
+      const task = await createTask({ title: 'Small job', priority: 'HIGH', estimate_hours: 2, due_date: dueInTenDays() });
+
+      const settings = await updateScoring({ strategy: 'wsjf', weights: { wsjf: { scale: 20 } } }).expect(200);
+      expect(settings.body.data.strategy).toBe('wsjf');
+      expect(settings.body.data.weights.scale).toBe(20);
+      expect(settings.body.data.weights.default_estimate_hours).toBe(4);
+
+      // (business value 5 + time criticality 1) / 2 hours * 20
+      const rescored = await getTask(task.id);
+      expect(rescored.priority_score).toBe(60);
+
+      const breakdown = await request(app)
+        .get(`/api/tasks/${task.id}/score-breakdown`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(breakdown.body.data.strategy).toBe('wsjf');
+      expect(breakdown.body.data.components.find(component => component.factor === 'job_size').points).toBe(2);
+    });
+
+    it('should reject unknown weights', async () => {
+      const response = await updateScoring({ weights: { eisenhower: { quadrants: { later: 5 } } } }).expect(400);
+      expect(response.body.error).toBe('Invalid scoring settings');
+      expect(response.body.message).toContain('quadrants.later');
+
+      await updateScoring({ strategy: 'fastest' }).expect(400);
+    });
+
+    it('should reject weights named after object properties', async () => {
+      const inherited = await updateScoring({ weights: { default: { constructor: 1 } } }).expect(400);
+      expect(inherited.body.message).toContain('constructor');
+
+      await request(app)
+        .put('/api/settings/scoring')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'application/json')
+        .send('{"weights":{"default":{"__proto__":{"priority":{"HIGH":1}}}}}')
+        .expect(400);
+    });
+  });
+
+  describe('Time tracking', () => {
+    let task;
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+    beforeAll(async () => {
+      task = await createTask({ title: 'Billable work' });
+    });
+
+    it('should run one timer per user', async () => {
+      const other = await createTask({ title: 'Other billable work' });
+
+      const started = await request(app)
+        .post(`/api/tasks/${task.id}/timer/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ note: 'Pairing' })
+        .expect(201);
+      expect(started.body.data.is_running).toBe(true);
+
+      const conflict = await request(app)
+        .post(`/api/tasks/${other.id}/timer/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(conflict.body.error).toBe('Timer already running');
+
+      const current = await request(app)
+        .get('/api/tasks/timer')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(current.body.data.id).toBe(started.body.data.id);
+
+      const stopped = await request(app)
+        .post('/api/tasks/timer/stop')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(stopped.body.data.is_running).toBe(false);
+      expect(stopped.body.data.duration_seconds).toBeGreaterThanOrEqual(0);
+
+      await request(app)
+        .post('/api/tasks/timer/stop')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should log manual entries and total them on the task', async () => {
+      await request(app)
+        .post(`/api/tasks/${task.id}/time-entries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ started_at: `${yesterday}T09:00:00Z`, duration_minutes: 90, note: 'Client call' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/tasks/${task.id}/time-entries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ started_at: `${yesterday}T13:00:00Z`, ended_at: `${yesterday}T13:30:00Z` })
+        .expect(201);
+
+      const invalid = await request(app)
+        .post(`/api/tasks/${task.id}/time-entries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ started_at: `${yesterday}T13:00:00Z`, ended_at: `${yesterday}T12:00:00Z` })
+        .expect(400);
+      expect(invalid.body.error).toBe('Invalid time entry');
+
+      const response = await request(app)
+        .get(`/api/tasks/${task.id}/time-entries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(3);
+      expect(response.body.data[0].note).toBe('Pairing');
+      expect(response.body.total_seconds).toBeGreaterThanOrEqual(7200);
+
+      const updated = await getTask(task.id);
+      expect(updated.tracked_seconds).toBe(response.body.total_seconds);
+    });
+
+    it('should summarise logged time by day, task and status', async () => {
+      const response = await request(app)
+        .get(`/api/reports/time?from=${yesterday}&to=${yesterday}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const report = response.body.data;
+      expect(report.seconds).toBe(7200);
+      expect(report.hours).toBe(2);
+      expect(report.by_day).toEqual([{ day: yesterday, seconds: 7200, hours: 2 }]);
+      expect(report.by_task).toEqual([{ task_id: task.id, title: 'Billable work', seconds: 7200, hours: 2 }]);
+      expect(report.by_status).toEqual([{ status: 'TODO', seconds: 7200, hours: 2 }]);
+
+      await request(app)
+        .get(`/api/reports/time?from=${yesterday}&to=2000-01-01`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Effort and progress', () => {
+    it('should use reported progress for open tasks', async () => {
+      const reported = await createTask({ title: 'Reported', status: 'IN_PROGRESS', progress: 30 });
+      expect(reported.completion_percentage).toBe(30);
+
+      const unreported = await createTask({ title: 'Unreported', status: 'IN_PROGRESS' });
+      expect(unreported.completion_percentage).toBe(50);
+
+      const completed = await request(app)
+        .put(`/api/tasks/${reported.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'COMPLETED' })
+        .expect(200);
+      expect(completed.body.data.completion_percentage).toBe(100);
+    });
+
+    it('should weight subtasks by their estimates', async () => {
+      const parent = await createTask({ title: 'Estimated parent' });
+      await createTask({ title: 'Big', parent_id: parent.id, status: 'COMPLETED', estimate_hours: 6 });
+      await createTask({ title: 'Small', parent_id: parent.id, progress: 50, estimate_hours: 2 });
+
+      // (6h * 100% + 2h * 50%) / 8h
+      expect((await getTask(parent.id)).completion_percentage).toBe(88);
+    });
+
+    it('should report estimated and remaining effort', async () => {
+      const project = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Estimated work' })
+        .expect(201);
+      const projectId = project.body.data.id;
+
+      await createTask({ title: 'Quarter done', project_id: projectId, progress: 25, estimate_hours: 4 });
+      await createTask({ title: 'Done', project_id: projectId, status: 'COMPLETED', estimate_hours: 2 });
+      await createTask({ title: 'Unestimated', project_id: projectId });
+
+      const response = await request(app)
+        .get(`/api/tasks/statistics?project_id=${projectId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.effort).toEqual({
+        estimated_tasks: 2,
+        estimated_hours: 6,
+        remaining_hours: 3
+      });
+    });
+  });
+
+  describe('Checklists', () => {
+    let task;
+    const items = [];
+
+    const checklistUrl = (itemId = '') => `/api/tasks/${task.id}/checklist${itemId && `/${itemId}`}`;
+
+    beforeAll(async () => {
+      task = await createTask({ title: 'Release', status: 'IN_PROGRESS' });
+      for (const title of ['Tag version', 'Build', 'Publish']) {
+        const response = await request(app)
+          .post(checklistUrl())
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title })
+          .expect(201);
+        items.push(response.body.data);
+      }
+    });
+
+    it('should include the checklist in the task and derive completion from it', async () => {
+      expect(items.map(item => item.position)).toEqual([1, 2, 3]);
+
+      await request(app)
+        .put(checklistUrl(items[0].id))
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_checked: true })
+        .expect(200);
+
+      const updated = await getTask(task.id);
+      expect(updated.checklist.map(item => [item.title, item.is_checked])).toEqual([
+        ['Tag version', true],
+        ['Build', false],
+        ['Publish', false]
+      ]);
+      expect(updated.completion_percentage).toBe(33);
+    });
+
+    it('should rename and reorder items', async () => {
+      await request(app)
+        .put(checklistUrl(items[2].id))
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Publish to npm', position: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(checklistUrl())
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(response.body.data.map(item => [item.title, item.position])).toEqual([
+        ['Publish to npm', 1],
+        ['Tag version', 2],
+        ['Build', 3]
+      ]);
+
+      await request(app)
+        .put(checklistUrl(items[2].id))
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should delete items and recalculate completion', async () => {
+      await request(app)
+        .delete(checklistUrl(items[1].id))
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const updated = await getTask(task.id);
+      expect(updated.checklist.map(item => item.position)).toEqual([1, 2]);
+      expect(updated.completion_percentage).toBe(50);
+
+      const other = await createTask({ title: 'Other task' });
+      await request(app)
+        .delete(`/api/tasks/${other.id}/checklist/${items[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should ignore the checklist and counters in task updates', async () => {
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Release 2', checklist: 'abc', comment_count: 9, completion_percentage: 100 })
+        .expect(200);
+
+      const updated = await getTask(task.id);
+      expect(updated.title).toBe('Release 2');
+      expect(updated.checklist.map(item => item.position)).toEqual([1, 2]);
+      expect(updated.comment_count).toBe(0);
+      expect(updated.completion_percentage).toBe(50);
+    });
+  });
+
+  describe('History', () => {
+    it('should record field-level changes with their actor', async () => {
+      const task = await createTask({ title: 'Tracked task', priority: 'LOW' });
+
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'IN_PROGRESS', due_date: '2030-01-15T00:00:00.000Z' })
+        .expect(200);
+
+      // Saving the same values again is not an event
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'IN_PROGRESS' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task.id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const events = response.body.data;
+      expect(events.map(event => event.event_type)).toEqual(['updated', 'created']);
+      expect(events[0].changes).toEqual({
+        status: { from: 'TODO', to: 'IN_PROGRESS' },
+        due_date: { from: null, to: '2030-01-15T00:00:00.000Z' }
+      });
+      expect(events[0].actor.username).toBe('test_tasks_user');
+      expect(events[1].changes.title).toEqual({ from: null, to: 'Tracked task' });
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should keep deletions in the activity feed', async () => {
+      const task = await createTask({ title: 'Short-lived task' });
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/activity?type=deleted&limit=1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        task_id: task.id,
+        task_title: 'Short-lived task',
+        event_type: 'deleted'
+      });
+      expect(response.body.data[0].changes.title).toEqual({ from: 'Short-lived task', to: null });
+    });
+
+    it('should reject unknown event types', async () => {
+      await request(app)
+        .get('/api/activity?type=created,renamed')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Trash', () => {
+    let parent;
+    let child;
+
+    beforeAll(async () => {
+      parent = await createTask({ title: 'Trashed parent' });
+      child = await createTask({ title: 'Trashed child', parent_id: parent.id });
+      await request(app)
+        .delete(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should hide deleted tasks and list them in the trash', async () => {
+      await request(app)
+        .get(`/api/tasks/${child.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      const list = await request(app)
+        .get('/api/tasks?search=Trashed')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data).toHaveLength(0);
+
+      const trash = await request(app)
+        .get('/api/tasks/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const trashedIds = trash.body.data.map(task => task.id);
+      expect(trashedIds).toContain(parent.id);
+      expect(trashedIds).not.toContain(child.id);
+      expect(trash.body.data.find(task => task.id === parent.id).deleted_at).toBeTruthy();
+    });
+
+    it('should restore a task together with its subtasks', async () => {
+      await request(app)
+        .post(`/api/tasks/${child.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      const response = await request(app)
+        .post(`/api/tasks/${parent.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(response.body.data.deleted_at).toBeNull();
+      expect(response.body.data.subtask_count).toBe(1);
+      expect((await getTask(child.id)).deleted_at).toBeNull();
+
+      await request(app)
+        .post(`/api/tasks/${parent.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      const history = await request(app)
+        .get(`/api/tasks/${parent.id}/history?type=deleted,restored`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(history.body.data.map(event => event.event_type)).toEqual(['restored', 'deleted']);
+    });
+
+    it('should purge tasks that stayed in the trash past the retention period', async () => {
+      const old = await createTask({ title: 'Old trash' });
+      const recent = await createTask({ title: 'Recent trash' });
+      for (const task of [old, recent]) {
+        await request(app)
+          .delete(`/api/tasks/${task.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+      }
+      await database.run(
+        "UPDATE tasks SET deleted_at = datetime('now', '-31 days') WHERE id = ?",
+        [old.id]
+      );
+
+      expect(await Task.purgeDeleted({ retentionDays: 30 })).toBeGreaterThanOrEqual(1);
+      expect(await Task.findById(old.id, { include_deleted: true })).toBeNull();
+      expect(await Task.findById(recent.id, { include_deleted: true })).not.toBeNull();
+    });
+
+    it('should leave the subtree untouched when deleting fails partway', async () => {
+      const root = await createTask({ title: 'Half deleted parent' });
+      const leaf = await createTask({ title: 'Half deleted child', parent_id: root.id });
+      const record = jest.spyOn(TaskEvent, 'record').mockRejectedValueOnce(new Error('History unavailable'));
+
+      try {
+        await expect(Task.delete(root.id)).rejects.toThrow('History unavailable');
+      } finally {
+        record.mockRestore();
+      }
+      expect(await Task.findById(root.id)).not.toBeNull();
+      expect(await Task.findById(leaf.id)).not.toBeNull();
+    });
+  });
+
+  describe('Transactions', () => {
+    it('should keep concurrent writes out of transactions that roll back', async () => {
+      const anchor = await createTask({ title: 'Transaction anchor' });
+
+      const failingRestores = Array.from({ length: 10 }, () => request(app)
+        .post(`/api/tasks/${anchor.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`));
+      const rolledBack = database.transaction(async () => {
+        await database.run('UPDATE tasks SET title = ? WHERE id = ?', ['Rolled back', anchor.id]);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('rollback');
+      }).catch(error => error);
+      const creates = Array.from({ length: 10 }, (_, index) => request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: `Concurrent write ${index}` }));
+
+      const [restores, rollback, created] = await Promise.all([
+        Promise.all(failingRestores),
+        rolledBack,
+        Promise.all(creates)
+      ]);
+
+      expect(restores.every(response => response.status === 409)).toBe(true);
+      expect(rollback.message).toBe('rollback');
+      expect(created.map(response => response.status)).toEqual(new Array(10).fill(201));
+      const stored = await database.get("SELECT COUNT(*) AS count FROM tasks WHERE title LIKE 'Concurrent write %'");
+      expect(stored.count).toBe(10);
+      expect((await getTask(anchor.id)).title).toBe('Transaction anchor');
+    });
+  });
+
+  describe('Bulk operations', () => {
+    let otherTask;
+
+    const bulk = (body) => request(app)
+      .post('/api/tasks/bulk')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    beforeAll(async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'test_tasks_bulk',
+          email: 'tasks_bulk@example.com',
+          password: 'TestPass123'
+        });
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${registration.body.token}`)
+        .send({ title: 'Not mine' })
+        .expect(201);
+      otherTask = response.body.data;
+    });
+
+    it('should update listed tasks and report each result', async () => {
+      const first = await createTask({ title: 'Bulk first' });
+      const second = await createTask({ title: 'Bulk second' });
+      const missingId = '00000000-0000-4000-8000-000000000000';
+
+      const response = await bulk({
+        action: 'update',
+        ids: [first.id, second.id, otherTask.id, missingId],
+        changes: { status: 'COMPLETED', priority: 'HIGH' }
+      }).expect(200);
+
+      expect(response.body.data).toMatchObject({ total: 4, succeeded: 2, failed: 2 });
+      expect(response.body.data.results.map(result => result.status)).toEqual([200, 200, 403, 404]);
+      expect(response.body.data.results[0].data).toMatchObject({ status: 'COMPLETED', priority: 'HIGH' });
+      expect((await getTask(second.id)).status).toBe('COMPLETED');
+    });
+
+    it('should move and delete the tasks matching a filter', async () => {
+      const project = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bulk target' })
+        .expect(201);
+      const first = await createTask({ title: 'Bulk cleanup one', tags: ['bulk-cleanup'] });
+      const second = await createTask({ title: 'Bulk cleanup two', tags: ['bulk-cleanup'] });
+
+      const moved = await bulk({
+        action: 'move',
+        filter: { tags: 'bulk-cleanup' },
+        project_id: project.body.data.id
+      }).expect(200);
+      expect(moved.body.data.succeeded).toBe(2);
+      expect((await getTask(first.id)).project_id).toBe(project.body.data.id);
+
+      const deleted = await bulk({
+        action: 'delete',
+        filter: { project_id: project.body.data.id }
+      }).expect(200);
+      expect(deleted.body.data.results.map(result => result.id).sort()).toEqual([first.id, second.id].sort());
+
+      await request(app)
+        .get(`/api/tasks/${second.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should reject invalid requests', async () => {
+      await bulk({ action: 'delete', ids: [otherTask.id], filter: { status: 'TODO' } }).expect(400);
+      await bulk({ action: 'update', ids: [otherTask.id] }).expect(400);
+      await bulk({ action: 'update', ids: [otherTask.id], changes: { title: 'Renamed' } }).expect(400);
+      await bulk({ action: 'move', ids: [otherTask.id] }).expect(400);
+    });
+  });
+
+  describe('Concurrency', () => {
+    it('should return the current task with 412 when If-Match is stale', async () => {
+      const task = await createTask({ title: 'Edited in two tabs' });
+      const loaded = await request(app)
+        .get(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const etag = loaded.headers.etag;
+      expect(etag).toMatch(/^"1-[0-9a-f]+"$/);
+
+      const first = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', etag)
+        .send({ title: 'First tab' })
+        .expect(200);
+      expect(first.body.data.version).toBe(2);
+      expect(first.headers.etag).toMatch(/^"2-/);
+
+      const second = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', etag)
+        .send({ title: 'Second tab' })
+        .expect(412);
+      expect(second.body.data.title).toBe('First tab');
+      expect(second.headers.etag).toBe(first.headers.etag);
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', etag)
+        .expect(412);
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', second.headers.etag)
+        .expect(200);
+    });
+
+    it('should accept weak ETags, lists of ETags and "*"', async () => {
+      const task = await createTask({ title: 'Edited by a proxy' });
+      const update = (ifMatch, title) => request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', ifMatch)
+        .send({ title });
+
+      const weak = await update('W/"1-0123456789abcdef"', 'Weak tag').expect(200);
+      expect(weak.body.data.version).toBe(2);
+
+      const listed = await update(`"1-0123456789abcdef", ${weak.headers.etag}`, 'Listed tag').expect(200);
+      expect(listed.body.data.version).toBe(3);
+
+      await update('"1-0123456789abcdef", W/"2-0123456789abcdef"', 'Stale tags').expect(412);
+      await update('not-an-etag', 'Garbage').expect(412);
+
+      const any = await update('*', 'Any tag').expect(200);
+      expect(any.body.data.title).toBe('Any tag');
+
+      await request(app)
+        .delete(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      await update('*', 'Gone').expect(404);
+    });
+
+    it('should give a task a new version when its checklist or completion changes', async () => {
+      const parent = await createTask({ title: 'Versioned parent' });
+      const child = await createTask({ title: 'Versioned child', parent_id: parent.id });
+      const parentVersion = (await getTask(parent.id)).version;
+
+      const item = await request(app)
+        .post(`/api/tasks/${child.id}/checklist`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Check it' })
+        .expect(201);
+      expect((await getTask(child.id)).version).toBe(child.version + 1);
+
+      await request(app)
+        .put(`/api/tasks/${child.id}/checklist/${item.body.data.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_checked: true })
+        .expect(200);
+      const checked = await getTask(child.id);
+      expect(checked.completion_percentage).toBe(100);
+      expect(checked.version).toBeGreaterThan(child.version + 1);
+      expect((await getTask(parent.id)).version).toBe(parentVersion + 1);
+
+      await request(app)
+        .put(`/api/tasks/${child.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', `"${child.version}"`)
+        .send({ title: 'Stale edit' })
+        .expect(412);
+    });
+
+    it('should give unassigned tasks a new version and history when a member leaves', async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'test_tasks_leaver',
+          email: 'tasks_leaver@example.com',
+          password: 'TestPass123'
+        })
+        .expect(201);
+      const leaverId = registration.body.data.id;
+
+      const space = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Short stay' })
+        .expect(201);
+      await request(app)
+        .post(`/api/workspaces/${space.body.data.id}/members`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'test_tasks_leaver', role: 'editor' })
+        .expect(201);
+      const task = await createTask({ title: 'Left behind', workspace_id: space.body.data.id, assignee_id: leaverId });
+
+      await request(app)
+        .delete(`/api/workspaces/${space.body.data.id}/members/${leaverId}`)
+        .set('Authorization', `Bearer ${registration.body.token}`)
+        .expect(200);
+
+      const unassigned = await getTask(task.id);
+      expect(unassigned.assignee_id).toBeNull();
+      expect(unassigned.version).toBe(task.version + 1);
+
+      const history = await request(app)
+        .get(`/api/tasks/${task.id}/history?type=updated`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(history.body.data[0].changes.assignee_id).toEqual({ from: leaverId, to: null });
+      expect(history.body.data[0].actor.id).toBe(leaverId);
+    });
+
+    it('should require If-Match when configured', async () => {
+      const task = await createTask({ title: 'Strict task' });
+      process.env.REQUIRE_IF_MATCH = 'true';
+      try {
+        await request(app)
+          .put(`/api/tasks/${task.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title: 'No precondition' })
+          .expect(428);
+
+        await request(app)
+          .put(`/api/tasks/${task.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .set('If-Match', '*')
+          .send({ title: 'Any version' })
+          .expect(200);
+      } finally {
+        delete process.env.REQUIRE_IF_MATCH;
+      }
+    });
+  });
+
+  describe('Workflows', () => {
+    let project;
+    let workflow;
+
+    const reviewStatuses = [
+      { key: 'BACKLOG', name: 'Backlog', category: 'todo' },
+      { key: 'DOING', name: 'Doing', category: 'in_progress', weight: 40 },
+      { key: 'IN_REVIEW', name: 'In review', category: 'in_progress', weight: 80 },
+      { key: 'SHIPPED', name: 'Shipped', category: 'done' },
+      { key: 'DROPPED', name: 'Dropped', category: 'cancelled' }
+    ];
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Review project' })
+        .expect(201);
+      project = response.body.data;
+    });
+
+    it('should reject workflows without the required categories', async () => {
+      const response = await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Broken', project_id: project.id, statuses: [{ key: 'OPEN', category: 'todo' }] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid workflow');
+    });
+
+    it('should create a project workflow with transition rules', async () => {
+      const response = await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Review flow',
+          project_id: project.id,
+          statuses: reviewStatuses,
+          transitions: { BACKLOG: ['DOING', 'DROPPED'], DOING: ['IN_REVIEW'], IN_REVIEW: ['SHIPPED', 'DOING'] }
+        })
+        .expect(201);
+      workflow = response.body.data;
+
+      expect(workflow.statuses[3]).toEqual({ key: 'SHIPPED', name: 'Shipped', category: 'done', weight: 100, wip_limit: null });
+
+      const effective = await request(app)
+        .get(`/api/workflows/effective?project_id=${project.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(effective.body.data.id).toBe(workflow.id);
+
+      await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Second flow', project_id: project.id, statuses: reviewStatuses })
+        .expect(409);
+    });
+
+    it('should give tasks the statuses of their workflow', async () => {
+      const task = await createTask({ title: 'Reviewed task', project_id: project.id });
+      expect(task.status).toBe('BACKLOG');
+      expect(task.status_category).toBe('todo');
+
+      const invalid = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Built-in status', project_id: project.id, status: 'COMPLETED' })
+        .expect(400);
+      expect(invalid.body.details[0].message).toContain('BACKLOG, DOING, IN_REVIEW, SHIPPED, DROPPED');
+
+      // Tasks outside the project keep the built-in workflow
+      expect((await createTask({ title: 'Personal task' })).status).toBe('TODO');
+    });
+
+    it('should enforce transition rules', async () => {
+      const task = await createTask({ title: 'Ruled task', project_id: project.id });
+
+      const skipped = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'SHIPPED' })
+        .expect(409);
+      expect(skipped.body.error).toBe('Invalid status transition');
+
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'DOING' })
+        .expect(200);
+      const reviewed = await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'IN_REVIEW' })
+        .expect(200);
+      expect(reviewed.body.data.status_category).toBe('in_progress');
+      expect(reviewed.body.data.completion_percentage).toBe(80);
+    });
+
+    it('should cascade cancellation and count statistics by category', async () => {
+      const parent = await createTask({ title: 'Dropped parent', project_id: project.id });
+      const child = await createTask({ title: 'Dropped child', project_id: project.id, parent_id: parent.id });
+
+      await request(app)
+        .put(`/api/tasks/${parent.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'DROPPED' })
+        .expect(200);
+      expect((await getTask(child.id)).status).toBe('DROPPED');
+
+      const statistics = await request(app)
+        .get(`/api/projects/${project.id}/statistics`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(statistics.body.data.in_progress_tasks).toBe(1);
+    });
+
+    it('should recompute completion when a status weight changes', async () => {
+      const parent = await createTask({ title: 'Weighted parent', project_id: project.id });
+      const child = await createTask({ title: 'Weighted child', project_id: project.id, parent_id: parent.id });
+      await request(app)
+        .put(`/api/tasks/${child.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'DOING' })
+        .expect(200);
+      await request(app)
+        .put(`/api/tasks/${child.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'IN_REVIEW' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/workflows/${workflow.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          statuses: reviewStatuses.map(status => (status.key === 'IN_REVIEW' ? { ...status, weight: 90 } : status))
+        })
+        .expect(200);
+
+      expect((await getTask(child.id)).completion_percentage).toBe(90);
+      expect((await getTask(parent.id)).completion_percentage).toBe(90);
+    });
+
+    it('should move tasks out of removed statuses', async () => {
+      const task = await createTask({ title: 'Remapped task', project_id: project.id });
+      await request(app)
+        .put(`/api/tasks/${task.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'DOING' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/workflows/${workflow.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ statuses: reviewStatuses.filter(status => status.key !== 'DOING') })
+        .expect(200);
+
+      const remapped = await getTask(task.id);
+      expect(remapped.status).toBe('IN_REVIEW');
+      expect(remapped.completion_percentage).toBe(80);
+
+      const history = await request(app)
+        .get(`/api/tasks/${task.id}/history?type=updated`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const statusChanges = history.body.data.map(event => event.changes.status);
+      expect(statusChanges).toContainEqual({ from: 'DOING', to: 'IN_REVIEW' });
+    });
+
+    it('should fall back to the built-in workflow when deleted', async () => {
+      const task = await createTask({ title: 'Orphaned task', project_id: project.id });
+
+      await request(app)
+        .delete(`/api/workflows/${workflow.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const fallback = await getTask(task.id);
+      expect(fallback.status).toBe('TODO');
+      expect(fallback.status_category).toBe('todo');
+
+      await request(app)
+        .get(`/api/workflows/${workflow.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Board', () => {
+    let project;
+    let tasks;
+
+    const board = async () => {
+      const response = await request(app)
+        .get(`/api/boards?project_id=${project.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      return response.body.data;
+    };
+    const columnTitles = async (status) => {
+      const column = (await board()).columns.find(candidate => candidate.status === status);
+      return column.tasks.map(task => task.title);
+    };
+    const move = (task, body) => request(app)
+      .post(`/api/tasks/${task.id}/move`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Board project' })
+        .expect(201);
+      project = response.body.data;
+
+      await request(app)
+        .post('/api/workflows')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Limited flow',
+          project_id: project.id,
+          statuses: [
+            { key: 'TODO', category: 'todo' },
+            { key: 'DOING', category: 'in_progress', wip_limit: 1 },
+            { key: 'DONE', category: 'done' },
+            { key: 'CANCELLED', category: 'cancelled' }
+          ]
+        })
+        .expect(201);
+
+      tasks = [];
+      for (const title of ['Card A', 'Card B', 'Card C']) {
+        tasks.push(await createTask({ title, project_id: project.id }));
+      }
+    });
+
+    it('should group tasks by status with counts and limits', async () => {
+      const data = await board();
+
+      expect(data.columns.map(column => column.status)).toEqual(['TODO', 'DOING', 'DONE', 'CANCELLED']);
+      expect(data.columns[0].count).toBe(3);
+      expect(data.columns[0].tasks.map(task => task.title)).toEqual(['Card A', 'Card B', 'Card C']);
+      expect(data.columns[1].wip_limit).toBe(1);
+    });
+
+    it('should reorder tasks within a column', async () => {
+      await move(tasks[2], { before_id: tasks[0].id }).expect(200);
+      expect(await columnTitles('TODO')).toEqual(['Card C', 'Card A', 'Card B']);
+
+      await move(tasks[2], { after_id: tasks[1].id }).expect(200);
+      expect(await columnTitles('TODO')).toEqual(['Card A', 'Card B', 'Card C']);
+    });
+
+    it('should move tasks between columns and enforce WIP limits', async () => {
+      const moved = await move(tasks[0], { status: 'DOING' }).expect(200);
+      expect(moved.body.data.status).toBe('DOING');
+      expect(moved.headers.etag).toBeDefined();
+
+      const rejected = await move(tasks[1], { status: 'DOING', after_id: tasks[0].id }).expect(409);
+      expect(rejected.body.error).toBe('WIP limit reached');
+      expect(rejected.body.message).toContain('WIP limit is 1');
+      expect((await getTask(tasks[1].id)).status).toBe('TODO');
+
+      // The limit also applies to plain updates
+      await request(app)
+        .put(`/api/tasks/${tasks[1].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'DOING' })
+        .expect(409);
+    });
+
+    it('should reject references outside the target column', async () => {
+      const response = await move(tasks[1], { status: 'DONE', before_id: tasks[0].id }).expect(400);
+      expect(response.body.error).toBe('Invalid position');
+      expect((await getTask(tasks[1].id)).status).toBe('TODO');
+    });
+
+    it('should renumber a column when positions run out', async () => {
+      const last = await createTask({ title: 'Card D', project_id: project.id });
+      const renumber = jest.spyOn(Task, 'renumberColumn');
+
+      // Moving the last card right after the first halves the gap every time
+      try {
+        for (let i = 0; i < 60; i++) {
+          await Task.move(i % 2 === 0 ? last.id : tasks[2].id, { after_id: tasks[1].id });
+        }
+        expect(renumber).toHaveBeenCalled();
+      } finally {
+        renumber.mockRestore();
+      }
+
+      const column = (await board()).columns[0];
+      expect(column.tasks.map(task => task.title)).toEqual(['Card B', 'Card C', 'Card D']);
+      expect(column.tasks[0].position).toBeLessThan(column.tasks[1].position);
+      expect(column.tasks[1].position).toBeLessThan(column.tasks[2].position);
+    });
+
+    it('should hold the WIP limit under concurrent writes', async () => {
+      await move(tasks[0], { status: 'DONE' }).expect(200);
+
+      const responses = await Promise.all(['Rush A', 'Rush B', 'Rush C'].map(title => request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title, project_id: project.id, status: 'DOING' })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409, 409]);
+      expect((await board()).columns[1].count).toBe(1);
+    });
+  });
+
+  describe('Saved views', () => {
+    let view;
+
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    beforeAll(async () => {
+      await createTask({ title: 'View due tomorrow', tags: ['view-test'], due_date: inDays(1) });
+      await createTask({ title: 'View due next week', tags: ['view-test'], due_date: inDays(7) });
+      await createTask({ title: 'View overdue', tags: ['view-test'], due_date: inDays(-2) });
+      await createTask({ title: 'View no due date', tags: ['view-test'] });
+    });
+
+    it('should save a view and resolve its date tokens when it runs', async () => {
+      const created = await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Due soon',
+          filters: { tags: 'view-test', due_after: 'now', due_before: '+3d' },
+          sort_by: 'due_date',
+          sort_order: 'ASC'
+        })
+        .expect(201);
+
+      view = created.body.data;
+      expect(view.filters).toEqual({ tags: 'view-test', due_after: 'now', due_before: '+3d' });
+      expect(view.page_size).toBe(10);
+
+      const response = await request(app)
+        .get(`/api/views/${view.id}/tasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.view.id).toBe(view.id);
+      expect(response.body.data.map(task => task.title)).toEqual(['View due tomorrow']);
+      expect(response.body.sorting).toEqual({ sort_by: 'due_date', sort_order: 'ASC' });
+      expect(Date.parse(response.body.filters.due_before) - Date.now()).toBeGreaterThan(2 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject duplicate view names', async () => {
+      const response = await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'due SOON' })
+        .expect(409);
+
+      expect(response.body.error).toBe('View already exists');
+    });
+
+    it('should reject unknown filters and invalid date tokens', async () => {
+      await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Broken', filters: { owner: 'me' } })
+        .expect(400);
+
+      await request(app)
+        .post('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Broken', filters: { due_before: 'next_tuesday' } })
+        .expect(400);
+
+      await request(app)
+        .get('/api/tasks?due_before=%2B3x')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should list, update and delete views', async () => {
+      const listed = await request(app)
+        .get('/api/views')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(listed.body.data.map(candidate => candidate.name)).toContain('Due soon');
+
+      const updated = await request(app)
+        .put(`/api/views/${view.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ filters: { tags: 'view-test', due_before: 'now' }, page_size: 5 })
+        .expect(200);
+      expect(updated.body.data.page_size).toBe(5);
+
+      const response = await request(app)
+        .get(`/api/views/${view.id}/tasks`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(response.body.data.map(task => task.title)).toEqual(['View overdue']);
+      expect(response.body.pagination.limit).toBe(5);
+
+      await request(app)
+        .put(`/api/views/${view.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .delete(`/api/views/${view.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/views/${view.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Query language', () => {
+    const search = (q) => request(app)
+      .get('/api/tasks')
+      .query({ q, sort_by: 'title', sort_order: 'ASC' })
+      .set('Authorization', `Bearer ${authToken}`);
+
+    beforeAll(async () => {
+      await createTask({ title: 'Qlang alpha report', priority: 'HIGH', due_date: '2026-10-30T12:00:00.000Z' });
+      await createTask({ title: 'Qlang beta report', priority: 'URGENT', is_urgent: true, due_date: '2026-11-20T12:00:00.000Z' });
+      await createTask({ title: 'Qlang gamma', priority: 'LOW', description: 'Weekly 100% sync' });
+      await createTask({ title: 'Qlang delta report', priority: 'MEDIUM', tags: ['qlang-tag'] });
+    });
+
+    it('should combine fields, comparisons, negation and phrases', async () => {
+      const response = await search('qlang priority>=HIGH -is:urgent due<2026-11-01 "alpha report"').expect(200);
+
+      expect(response.body.data.map(task => task.title)).toEqual(['Qlang alpha report']);
+      expect(response.body.filters.q).toBe('qlang priority>=HIGH -is:urgent due<2026-11-01 "alpha report"');
+    });
+
+    it('should support OR, parentheses, lists and literal wildcards', async () => {
+      const either = await search('qlang (priority:LOW,URGENT OR tag:qlang-tag) -has:due').expect(200);
+      expect(either.body.data.map(task => task.title)).toEqual(['Qlang delta report', 'Qlang gamma']);
+
+      const literal = await search('"100%" OR "qlang_"').expect(200);
+      expect(literal.body.data.map(task => task.title)).toEqual(['Qlang gamma']);
+    });
+
+    it('should point at the offending token', async () => {
+      const unknownField = await search('qlang prio>=HIGH').expect(400);
+      expect(unknownField.body.error).toBe('Validation failed');
+      expect(unknownField.body.details[0]).toMatchObject({
+        field: 'q',
+        token: 'prio>=HIGH',
+        position: 6
+      });
+      expect(unknownField.body.details[0].message).toMatch(/Unknown field "prio"/);
+
+      const danglingOr = await search('status:TODO OR').expect(400);
+      expect(danglingOr.body.details[0]).toMatchObject({ token: 'OR', position: 12, message: 'Expected a term after OR' });
+
+      const unknownStatus = await search('qlang status:NOPE').expect(400);
+      expect(unknownStatus.body.details[0]).toMatchObject({ token: 'status:NOPE', position: 6 });
+
+      const badDate = await search('due<soon').expect(400);
+      expect(badDate.body.details[0].token).toBe('due<soon');
+    });
+  });
+
+  describe('Full-text search', () => {
+    let titled;
+    let described;
+
+    const search = (q, token = authToken) => request(app)
+      .get('/api/tasks/search')
+      .query({ q })
+      .set('Authorization', `Bearer ${token}`);
+
+    beforeAll(async () => {
+      titled = await createTask({ title: 'Xylophone tuning' });
+      described = await createTask({ title: 'Music room', description: 'Tune the <b>xylophone</b> before the concert' });
+    });
+
+    it('should rank title matches first and highlight prefix matches', async () => {
+      const response = await search('xylo').expect(200);
+
+      expect(response.body.data.map(result => result.task.id)).toEqual([titled.id, described.id]);
+      expect(response.body.data[0].score).toBeGreaterThan(response.body.data[1].score);
+      expect(response.body.data[0].highlights.title).toBe('<mark>Xylophone</mark> tuning');
+      expect(response.body.data[1].highlights.snippet).toBe('Tune the &lt;b&gt;<mark>xylophone</mark>&lt;/b&gt; before the concert');
+      expect(response.body.search).toEqual({ q: 'xylo', fuzzy: false });
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should keep the index in sync with titles, comments and deletions', async () => {
+      await request(app)
+        .post(`/api/tasks/${described.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Mallets ship from Zanzibar' })
+        .expect(201);
+
+      const commented = await search('zanzibar').expect(200);
+      expect(commented.body.data.map(result => result.task.id)).toEqual([described.id]);
+      expect(commented.body.data[0].highlights.snippet).toBe('Mallets ship from <mark>Zanzibar</mark>');
+
+      await request(app)
+        .put(`/api/tasks/${titled.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Marimba tuning' })
+        .expect(200);
+      expect((await search('marimba').expect(200)).body.data.map(result => result.task.id)).toEqual([titled.id]);
+      expect((await search('xylophone tuning').expect(200)).body.data).toHaveLength(0);
+
+      await request(app)
+        .delete(`/api/tasks/${described.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect((await search('zanzibar').expect(200)).body.data).toHaveLength(0);
+    });
+
+    it('should fall back to typo tolerant matching', async () => {
+      const response = await search('maribma').expect(200);
+
+      expect(response.body.search.fuzzy).toBe(true);
+      expect(response.body.data.map(result => result.task.id)).toEqual([titled.id]);
+      expect(response.body.data[0].highlights.title).toBe('<mark>Marimba</mark> tuning');
+
+      const tooShort = await search('mxr').expect(200);
+      expect(tooShort.body.data).toHaveLength(0);
+
+      // Only indexed words with the same first letter are compared
+      const firstLetter = await search('narimba').expect(200);
+      expect(firstLetter.body.data).toHaveLength(0);
+    });
+
+    it('should only search tasks the user can see', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'test_tasks_searcher', email: 'searcher@example.com', password: 'TestPass123' })
+        .expect(201);
+
+      const response = await search('marimba', registered.body.token).expect(200);
+      expect(response.body.data).toHaveLength(0);
+
+      await request(app)
+        .get('/api/tasks/search')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should not let words of other users crowd out typo candidates', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'test_tasks_wordy', email: 'wordy@example.com', password: 'TestPass123' })
+        .expect(201);
+
+      // More words sorting before "marimba" than MAX_TYPO_CANDIDATES
+      const letters = 'abcdefghijklmnopqrstuvwxyz';
+      const words = Array.from({ length: 2100 }, (_, i) => `maa${letters[Math.floor(i / 676) % 26]}${letters[Math.floor(i / 26) % 26]}${letters[i % 26]}a`);
+      await Task.create({ title: 'Word list', description: words.join(' '), user_id: registered.body.data.id });
+
+      const response = await search('maribma').expect(200);
+      expect(response.body.search.fuzzy).toBe(true);
+      expect(response.body.data.map(result => result.task.id)).toEqual([titled.id]);
+    });
+  });
+});